@@ -0,0 +1,141 @@
+/**
+ * HTTP helpers for the matching API
+ * Handlers take Node's (req, res), so the same files run as Vercel
+ * functions and under server.js
+ */
+
+// Comma-separated origins allowed to call the API from a browser ("*" for any)
+const CORS_ORIGINS = (process.env.PANTONE_API_CORS_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean);
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Error with an HTTP status, sent to the client as a JSON error body
+ */
+class HttpError extends Error {
+    constructor(status, message, headers = {}) {
+        super(message);
+        this.status = status;
+        this.headers = headers;
+    }
+}
+
+/**
+ * Read the query string (Vercel fills req.query, including route parameters)
+ * @returns {object} Parameter name -> value
+ */
+function getQuery(req) {
+    if (req.query) return req.query;
+
+    const url = new URL(req.url, 'http://localhost');
+    return Object.fromEntries(url.searchParams);
+}
+
+/**
+ * Parse JSON request text
+ * @throws {HttpError} 400 when the text is not JSON
+ */
+function parseJSON(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new HttpError(400, 'Request body must be JSON');
+    }
+}
+
+/**
+ * Read a JSON request body
+ * @returns {Promise} Resolves with the parsed body
+ * @throws {HttpError} 413 when too large, 400 when not JSON
+ */
+async function readJSON(req) {
+    // Vercel parses the body before the handler runs
+    if (req.body !== undefined) {
+        return typeof req.body === 'string' || Buffer.isBuffer(req.body) ? parseJSON(String(req.body)) : req.body;
+    }
+
+    let size = 0;
+    const chunks = [];
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw new HttpError(413, `Request body is larger than ${MAX_BODY_BYTES / 1024} KB`);
+        }
+        chunks.push(chunk);
+    }
+
+    return parseJSON(Buffer.concat(chunks).toString('utf8'));
+}
+
+/**
+ * Set CORS headers for the request's origin
+ */
+function setCorsHeaders(req, res) {
+    const origin = req.headers.origin;
+
+    if (CORS_ORIGINS.includes('*')) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+    } else if (origin && CORS_ORIGINS.includes(origin)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Vary', 'Origin');
+    }
+
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Max-Age', '86400');
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJSON(res, status, body, headers = {}) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+    res.end(JSON.stringify(body, null, 2) + '\n');
+}
+
+/**
+ * Wrap a handler with CORS, method checks and JSON error bodies
+ * @param {object} methods - HTTP method -> async (req, res) returning the response body
+ * @returns {Function} (req, res) handler
+ */
+function createHandler(methods) {
+    const allowed = Object.keys(methods).concat('OPTIONS').join(', ');
+
+    return async (req, res) => {
+        setCorsHeaders(req, res);
+
+        if (req.method === 'OPTIONS') {
+            res.statusCode = 204;
+            res.end();
+            return;
+        }
+
+        try {
+            const handle = methods[req.method];
+            if (!handle) {
+                throw new HttpError(405, `Method ${req.method} not allowed`, { Allow: allowed });
+            }
+
+            sendJSON(res, 200, await handle(req, res));
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                console.error('API error:', error);
+            }
+
+            const status = error instanceof HttpError ? error.status : 500;
+            const message = error instanceof HttpError ? error.message : 'Internal server error';
+            sendJSON(res, status, { error: { status, message } }, error.headers);
+        }
+    };
+}
+
+module.exports = {
+    HttpError,
+    getQuery,
+    readJSON,
+    sendJSON,
+    createHandler
+};
@@ -0,0 +1,187 @@
+/**
+ * Request validation and response shapes for the matching API
+ * Matching itself is PantoneDatabase.findNearest, as in the web app
+ */
+
+const ColorAlgorithms = require('../../js/color-algorithms.js');
+const ColorParser = require('../../js/color-parser.js');
+const PantoneDatabase = require('../../js/pantone-database.js');
+const { loadManifest, resolveLibraries } = require('../../lib/load-libraries.js');
+const { HttpError } = require('./http.js');
+
+const DEFAULT_TOP = 10;
+const MAX_TOP = 50;
+const MAX_BATCH_COLORS = 1000;
+
+/**
+ * Round to 2 decimals
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Read a Delta E formula id
+ * @param {string} value - Metric id, or empty for the default
+ * @returns {object} Metric definition
+ * @throws {HttpError} 400 for unknown ids
+ */
+function readMetric(value) {
+    const id = value === undefined || value === '' ? ColorAlgorithms.DEFAULT_METRIC : String(value);
+    const metric = ColorAlgorithms.getMetrics().find(item => item.id === id);
+    if (!metric) {
+        throw new HttpError(400, `Unknown metric "${id}" (use ${ColorAlgorithms.getMetrics().map(item => item.id).join(', ')})`);
+    }
+    return metric;
+}
+
+/**
+ * Read the number of matches per color
+ * @param {string|number} value - Requested count, or empty for the default
+ * @param {number} fallback - Default count
+ * @returns {number} 1 to MAX_TOP
+ * @throws {HttpError} 400 when out of range
+ */
+function readTop(value, fallback = DEFAULT_TOP) {
+    if (value === undefined || value === '') return fallback;
+
+    const top = Number(value);
+    if (!Number.isInteger(top) || top < 1 || top > MAX_TOP) {
+        throw new HttpError(400, `"top" must be a whole number from 1 to ${MAX_TOP}`);
+    }
+    return top;
+}
+
+/**
+ * Read and load the requested libraries
+ * @param {string|Array} value - Comma-separated ids or names, an array, or empty for the defaults
+ * @returns {Array} Library ids
+ * @throws {HttpError} 400 for unknown or ambiguous names
+ */
+function readLibraries(value) {
+    const names = Array.isArray(value)
+        ? value.map(String)
+        : String(value || '').split(',');
+
+    try {
+        return resolveLibraries(names.map(name => name.trim()).filter(Boolean));
+    } catch (error) {
+        throw new HttpError(400, error.message);
+    }
+}
+
+/**
+ * Parse a color value
+ * @param {string} value - Hex (with or without #) or any format ColorParser reads
+ * @param {string} name - Parameter name for error messages
+ * @returns {object} Parsed color
+ * @throws {HttpError} 400 when missing or unreadable
+ */
+function readColor(value, name) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        throw new HttpError(400, `Missing "${name}"`);
+    }
+
+    try {
+        return ColorParser.parse(String(value));
+    } catch (error) {
+        throw new HttpError(400, error.message);
+    }
+}
+
+/**
+ * Shape a match for responses
+ */
+function describeMatch(match, metric) {
+    return {
+        name: match.name,
+        code: match.code,
+        hex: match.hex,
+        lab: match.lab,
+        library: match.library,
+        libraryName: match.libraryName,
+        deltaE: round(match.deltaE),
+        rating: ColorAlgorithms.getDeltaEInterpretation(match.deltaE, metric.id).rating
+    };
+}
+
+/**
+ * Match one parsed color
+ * @param {object} color - Parsed color
+ * @param {object} options - {metric, top, libraries: ids}
+ * @returns {object} {input, hex, lab, white, matches}
+ */
+function matchColor(color, options) {
+    const matches = PantoneDatabase.findNearest(color.lab, {
+        k: options.top,
+        metric: options.metric.id,
+        white: color.white,
+        libraries: options.libraries
+    });
+
+    return {
+        input: color.input,
+        hex: color.hex,
+        lab: { L: round(color.lab.L), a: round(color.lab.a), b: round(color.lab.b) },
+        white: color.white,
+        matches: matches.map(match => describeMatch(match, options.metric))
+    };
+}
+
+/**
+ * Summarize the settings a response was computed with
+ */
+function describeSettings(metric, libraries) {
+    return {
+        metric: { id: metric.id, label: metric.label },
+        libraries: libraries.map(id => {
+            const entry = loadManifest().libraries.find(library => library.id === id);
+            return { id, name: entry.name };
+        })
+    };
+}
+
+/**
+ * Find a Pantone by code or name in each library
+ * "185-c", "185 C", "PANTONE 185 C" and "Reflex Blue C" all work
+ * @param {string} query - Code or name
+ * @param {Array} libraries - Library ids
+ * @returns {Array} Color details, one per library that has the color
+ */
+function findColors(query, libraries) {
+    const code = query.trim().toLowerCase().replace(/^pantone\s+/, '').replace(/\s+/g, '-');
+    const names = [query, `PANTONE ${query}`];
+
+    return libraries
+        .map(id => PantoneDatabase.findByCode(code, id) ||
+            names.map(name => PantoneDatabase.findByName(name, id)).find(Boolean))
+        .filter(Boolean)
+        .map(color => {
+            const white = PantoneDatabase.getReferenceWhite(color.library);
+            const lch = ColorAlgorithms.labToLch(color.lab);
+
+            return {
+                name: color.name,
+                code: color.code,
+                library: color.library,
+                libraryName: color.libraryName,
+                hex: color.hex,
+                rgb: color.rgb,
+                lab: color.lab,
+                lch: { L: lch.L, C: round(lch.C), h: Math.round(lch.h * 10) / 10 },
+                white: `${white.illuminant}/${white.observer}°`,
+                gamut: color.gamut
+            };
+        });
+}
+
+module.exports = {
+    MAX_BATCH_COLORS,
+    readMetric,
+    readTop,
+    readLibraries,
+    readColor,
+    matchColor,
+    describeSettings,
+    findColors
+};
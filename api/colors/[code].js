@@ -0,0 +1,26 @@
+/**
+ * GET /api/colors/:code?library=coated,legacy
+ * A Pantone by code or name ("185-c", "185 C", "PANTONE 185 C") in each
+ * requested library
+ */
+
+const { createHandler, getQuery, HttpError } = require('../_lib/http.js');
+const { readLibraries, findColors } = require('../_lib/matching.js');
+
+module.exports = createHandler({
+    GET: async (req) => {
+        const query = getQuery(req);
+        const code = String(query.code || '').trim();
+        if (!code) {
+            throw new HttpError(400, 'Missing color code');
+        }
+
+        const libraries = readLibraries(query.library);
+        const colors = findColors(code, libraries);
+        if (colors.length === 0) {
+            throw new HttpError(404, `No color "${code}" in ${libraries.join(', ')}`);
+        }
+
+        return { query: code, colors };
+    }
+});
@@ -0,0 +1,29 @@
+/**
+ * GET /api/libraries
+ * Libraries the match endpoints accept in "library"
+ */
+
+const PantoneDatabase = require('../js/pantone-database.js');
+const { createHandler } = require('./_lib/http.js');
+const { loadManifest } = require('../lib/load-libraries.js');
+
+module.exports = createHandler({
+    GET: async () => {
+        const manifest = loadManifest();
+
+        return {
+            defaultLibraries: manifest.defaultLibraries,
+            libraries: manifest.libraries.map(entry => {
+                const white = PantoneDatabase.getLibraryWhite(entry.id);
+                return {
+                    id: entry.id,
+                    name: entry.name,
+                    shortName: entry.shortName,
+                    description: entry.metadata && entry.metadata.description,
+                    colors: entry.metadata && entry.metadata.totalColors,
+                    white: `${white.illuminant}/${white.observer}°`
+                };
+            })
+        };
+    }
+});
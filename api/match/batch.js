@@ -0,0 +1,48 @@
+/**
+ * POST /api/match/batch
+ * Body: {"colors": ["#E4002B", {"label": "Sky", "hex": "#3AA0FF"}, ...],
+ *        "metric": "2000", "top": 1, "library": ["coated"]}
+ * Colors that cannot be read get an error in their result instead of
+ * failing the whole request.
+ */
+
+const { createHandler, readJSON, HttpError } = require('../_lib/http.js');
+const {
+    MAX_BATCH_COLORS, readMetric, readTop, readLibraries, readColor, matchColor, describeSettings
+} = require('../_lib/matching.js');
+
+module.exports = createHandler({
+    POST: async (req) => {
+        const body = await readJSON(req);
+        if (!body || !Array.isArray(body.colors)) {
+            throw new HttpError(400, 'Body must be an object with a "colors" array');
+        }
+        if (body.colors.length === 0 || body.colors.length > MAX_BATCH_COLORS) {
+            throw new HttpError(400, `"colors" must have 1 to ${MAX_BATCH_COLORS} entries`);
+        }
+
+        const metric = readMetric(body.metric);
+        const top = readTop(body.top, 1);
+        const libraries = readLibraries(body.library);
+
+        const results = body.colors.map((item, index) => {
+            const entry = item !== null && typeof item === 'object' ? item : { hex: item };
+            const value = entry.hex !== undefined ? entry.hex : entry.color;
+            const label = entry.label !== undefined ? String(entry.label) : '';
+
+            try {
+                return { index, label, ...matchColor(readColor(value, 'hex or color'), { metric, top, libraries }) };
+            } catch (error) {
+                if (!(error instanceof HttpError)) throw error;
+                return { index, label, input: value === undefined ? null : value, error: error.message };
+            }
+        });
+
+        return {
+            ...describeSettings(metric, libraries),
+            count: results.length,
+            failed: results.filter(result => result.error).length,
+            results
+        };
+    }
+});
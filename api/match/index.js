@@ -0,0 +1,23 @@
+/**
+ * GET /api/match?hex=FF5733&metric=2000&top=5&library=coated
+ * Nearest Pantones for one color. "color" may be used instead of "hex" for
+ * any format the web app accepts (rgb(), lab(), oklch()...).
+ */
+
+const { createHandler, getQuery } = require('../_lib/http.js');
+const { readMetric, readTop, readLibraries, readColor, matchColor, describeSettings } = require('../_lib/matching.js');
+
+module.exports = createHandler({
+    GET: async (req) => {
+        const query = getQuery(req);
+        const color = readColor(query.hex !== undefined ? query.hex : query.color, query.hex !== undefined ? 'hex' : 'hex or color');
+        const metric = readMetric(query.metric);
+        const top = readTop(query.top);
+        const libraries = readLibraries(query.library);
+
+        return {
+            ...describeSettings(metric, libraries),
+            ...matchColor(color, { metric, top, libraries })
+        };
+    }
+});
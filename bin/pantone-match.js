@@ -0,0 +1,484 @@
+#!/usr/bin/env node
+/**
+ * pantone-match: Pantone matching from the command line
+ *
+ * Uses the same modules as the web app: ColorParser for input,
+ * PantoneDatabase for matching, PaletteIO for batch files and reports.
+ * Run with --help for usage.
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+
+const ColorAlgorithms = require('../js/color-algorithms.js');
+const ColorParser = require('../js/color-parser.js');
+const PantoneDatabase = require('../js/pantone-database.js');
+const PaletteIO = require('../js/palette-io.js');
+const { loadManifest, loadLibraries } = require('../lib/load-libraries.js');
+const { NOTATIONS, convertColor, formatNotation } = require('../lib/convert-color.js');
+
+const DEFAULT_TOP = 10;
+const OUTPUT_FORMATS = ['table', 'json', 'csv'];
+
+/**
+ * Help text
+ */
+const usage = () => `Usage: pantone-match [command] [options] <color...>
+
+Commands:
+  match <color...>     Nearest Pantones for each color (default command)
+  batch <file>         Best match for every color in a list, CSV or JSON
+                       palette file (use - to read stdin)
+  convert <color...>   Show colors in every notation the parser reads
+  info <pantone...>    Show Pantone colors by code or name ("185 C", "185-c")
+  libraries            List the available libraries
+
+Colors: #FF5733, "rgb(255 87 51)", "lab(54 81 70)", "oklch(0.68 0.21 33.7)",
+        or bare numbers with --from. Quote colors containing spaces.
+
+Options:
+  -l, --library <ids>  Libraries to search, comma-separated: id, name, short
+                       name or a .ase/.acb/.json file (default: ${loadManifest().defaultLibraries.join(', ')})
+  -m, --metric <id>    Delta E formula: ${ColorAlgorithms.getMetrics().map(metric => metric.id).join(', ')} (default ${ColorAlgorithms.DEFAULT_METRIC})
+  -n, --top <n>        Matches per color (default ${DEFAULT_TOP})
+  -f, --format <fmt>   Output: ${OUTPUT_FORMATS.join(', ')} (default table)
+      --from <fmt>     Notation of bare numbers: ${ColorParser.getFormats().filter(format => format.wrap).map(format => format.id).join(', ')}
+      --to <fmt>       convert: print only this notation: ${NOTATIONS.join(', ')}
+  -h, --help           Show this help
+
+Examples:
+  pantone-match "#FF5733" --metric 2000 --top 5 --library coated --format json
+  pantone-match batch brand-colors.csv --format csv > report.csv
+  pantone-match convert --from rgb "255, 87, 51"
+  pantone-match info "185 C" --library coated,legacy
+`;
+
+const COMMANDS = ['match', 'batch', 'convert', 'info', 'libraries'];
+
+/**
+ * Error shown without a stack trace
+ */
+class UsageError extends Error {}
+
+/**
+ * Read and check the command line
+ * @param {Array} argv - Arguments after the script name
+ * @returns {object} {command, args, options}
+ */
+function parseCommandLine(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                library: { type: 'string', short: 'l' },
+                metric: { type: 'string', short: 'm' },
+                top: { type: 'string', short: 'n' },
+                format: { type: 'string', short: 'f', default: 'table' },
+                from: { type: 'string' },
+                to: { type: 'string' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const { values, positionals } = parsed;
+    const command = COMMANDS.includes(positionals[0]) ? positionals[0] : 'match';
+    const args = command === positionals[0] ? positionals.slice(1) : positionals;
+
+    const metric = values.metric || ColorAlgorithms.DEFAULT_METRIC;
+    if (!ColorAlgorithms.getMetrics().some(item => item.id === metric)) {
+        throw new UsageError(`Unknown metric "${metric}" (use ${ColorAlgorithms.getMetrics().map(item => item.id).join(', ')})`);
+    }
+
+    const top = values.top === undefined ? DEFAULT_TOP : Number(values.top);
+    if (!Number.isInteger(top) || top < 1) {
+        throw new UsageError(`--top must be a positive whole number (got "${values.top}")`);
+    }
+
+    if (!OUTPUT_FORMATS.includes(values.format)) {
+        throw new UsageError(`Unknown format "${values.format}" (use ${OUTPUT_FORMATS.join(', ')})`);
+    }
+    if (values.from && !ColorParser.getFormats().some(format => format.id === values.from)) {
+        throw new UsageError(`Unknown input format "${values.from}"`);
+    }
+    if (values.to && !NOTATIONS.includes(values.to)) {
+        throw new UsageError(`Unknown notation "${values.to}" (use ${NOTATIONS.join(', ')})`);
+    }
+
+    return {
+        command,
+        args,
+        options: {
+            libraries: values.library ? values.library.split(',').map(name => name.trim()).filter(Boolean) : [],
+            metric,
+            top,
+            format: values.format,
+            from: values.from || 'auto',
+            to: values.to,
+            help: values.help
+        }
+    };
+}
+
+/**
+ * Print rows as aligned columns
+ * @param {Array} header - Column titles
+ * @param {Array} rows - Arrays of cell text
+ * @param {string} indent - Prefix for every line
+ */
+function printTable(header, rows, indent = '') {
+    const widths = header.map((title, column) =>
+        Math.max(title.length, ...rows.map(row => String(row[column]).length))
+    );
+    const line = cells => indent + cells.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd();
+
+    console.log(line(header));
+    rows.forEach(row => console.log(line(row)));
+}
+
+/**
+ * Print CSV rows
+ */
+function printCSV(header, rows) {
+    const cell = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    console.log([header, ...rows].map(row => row.map(cell).join(',')).join('\n'));
+}
+
+/**
+ * Print JSON
+ */
+function printJSON(value) {
+    console.log(JSON.stringify(value, null, 2));
+}
+
+/**
+ * Round to 2 decimals
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Shape a match for JSON output
+ */
+function describeMatch(match, metric) {
+    return {
+        name: match.name,
+        code: match.code,
+        hex: match.hex,
+        lab: match.lab,
+        library: match.library,
+        libraryName: match.libraryName,
+        deltaE: round(match.deltaE),
+        rating: ColorAlgorithms.getDeltaEInterpretation(match.deltaE, metric.id).rating
+    };
+}
+
+/**
+ * match: nearest Pantones for each color
+ */
+async function runMatch(args, options) {
+    if (args.length === 0) {
+        throw new UsageError('No colors given');
+    }
+
+    const colors = args.map(input => ColorParser.parse(input, options.from));
+    await loadLibraries(options.libraries);
+
+    const metric = ColorAlgorithms.getMetric(options.metric);
+    const results = colors.map(color => ({
+        color,
+        matches: PantoneDatabase.findNearest(color.lab, { k: options.top, metric: metric.id, white: color.white })
+    }));
+
+    if (options.format === 'json') {
+        printJSON(results.map(({ color, matches }) => ({
+            input: color.input,
+            hex: color.hex,
+            lab: { L: round(color.lab.L), a: round(color.lab.a), b: round(color.lab.b) },
+            white: color.white,
+            metric: metric.id,
+            matches: matches.map(match => describeMatch(match, metric))
+        })));
+    } else if (options.format === 'csv') {
+        printCSV(
+            ['input', 'rank', 'pantone_name', 'pantone_code', 'pantone_hex', 'library', 'delta_e', 'metric', 'rating'],
+            [].concat(...results.map(({ color, matches }) => matches.map((match, i) => {
+                const described = describeMatch(match, metric);
+                return [color.input, i + 1, described.name, described.code, described.hex, described.libraryName, match.deltaE.toFixed(2), metric.label, described.rating];
+            })))
+        );
+    } else {
+        results.forEach(({ color, matches }, i) => {
+            if (i > 0) console.log('');
+            console.log(`${color.input}${color.input.toUpperCase() !== color.hex ? ` (${color.hex})` : ''}`);
+            printTable(
+                ['#', 'Pantone', 'Hex', 'Library', metric.symbol, 'Rating'],
+                matches.map((match, rank) => [
+                    rank + 1,
+                    match.name,
+                    match.hex,
+                    match.libraryName,
+                    match.deltaE.toFixed(2),
+                    ColorAlgorithms.getDeltaEInterpretation(match.deltaE, metric.id).rating
+                ]),
+                '  '
+            );
+        });
+    }
+}
+
+/**
+ * Read a palette file
+ * PaletteIO reads hex lists, CSV and JSON; a file with one color per line
+ * in any notation the parser knows (rgb(), lab()...) is read line by line
+ * @returns {object} {format, entries: [{label, input, hex, error}]}
+ */
+function readPalette(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+    if (lines.length > 0 && !/^[[{]/.test(lines[0]) && lines.every(line => ColorParser.isValid(line))) {
+        return {
+            format: 'colors',
+            entries: lines.map((line, index) => ({ index, label: '', input: line, hex: null, error: null }))
+        };
+    }
+
+    return PaletteIO.parse(text);
+}
+
+/**
+ * batch: best match for every color in a palette file
+ */
+async function runBatch(args, options) {
+    if (args.length !== 1) {
+        throw new UsageError('batch takes one file (or - for stdin)');
+    }
+
+    const text = fs.readFileSync(args[0] === '-' ? 0 : args[0], 'utf8');
+    const palette = readPalette(text);
+    if (palette.entries.length === 0) {
+        throw new UsageError(`No colors found in ${args[0]}`);
+    }
+
+    const libraries = await loadLibraries(options.libraries);
+    const metric = ColorAlgorithms.getMetric(options.metric);
+
+    const rows = palette.entries.map(entry => {
+        // Entries the palette reader cannot take as hex may still be rgb(), lab()...
+        let color = null;
+        try {
+            color = entry.hex ? ColorParser.parse(entry.hex) : ColorParser.parse(entry.input);
+        } catch (error) {
+            return { label: entry.label, input: entry.input, hex: '', error: entry.error || error.message };
+        }
+
+        const best = PantoneDatabase.findNearest(color.lab, { k: 1, metric: metric.id, white: color.white })[0];
+        return {
+            label: entry.label,
+            input: entry.input,
+            hex: color.hex,
+            match: best,
+            deltaE: best.deltaE,
+            metric: metric.label,
+            rating: ColorAlgorithms.getDeltaEInterpretation(best.deltaE, metric.id).rating
+        };
+    });
+
+    if (options.format === 'json') {
+        process.stdout.write(PaletteIO.toJSON(rows, { metric: metric.label, libraries: libraries.map(library => library.name) }));
+    } else if (options.format === 'csv') {
+        process.stdout.write(PaletteIO.toCSV(rows));
+    } else {
+        printTable(
+            ['Label', 'Input', 'Hex', 'Pantone', 'Library', metric.symbol, 'Rating'],
+            rows.map(row => row.error
+                ? [row.label, row.input, '', `(${row.error})`, '', '', '']
+                : [row.label, row.input, row.hex, row.match.name, row.match.libraryName, row.deltaE.toFixed(2), row.rating])
+        );
+    }
+
+    const failed = rows.filter(row => row.error).length;
+    if (failed > 0) {
+        console.error(`${failed} of ${rows.length} colors could not be read`);
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * convert: every notation of each color
+ */
+function runConvert(args, options) {
+    if (args.length === 0) {
+        throw new UsageError('No colors given');
+    }
+
+    const converted = args.map(input => convertColor(ColorParser.parse(input, options.from)));
+
+    if (options.to) {
+        converted.forEach(color => console.log(formatNotation(color, options.to)));
+    } else if (options.format === 'json') {
+        printJSON(converted);
+    } else if (options.format === 'csv') {
+        printCSV(['input', ...NOTATIONS, 'in_srgb'], converted.map(color => [
+            color.input,
+            ...NOTATIONS.map(notation => formatNotation(color, notation)),
+            color.gamut.srgb
+        ]));
+    } else {
+        converted.forEach((color, i) => {
+            if (i > 0) console.log('');
+            console.log(color.input + (color.gamut.srgb ? '' : '  (outside sRGB: hex, RGB, HSL and CMYK are clipped)'));
+            printTable(['Notation', 'Value'], NOTATIONS.map(notation => [notation, formatNotation(color, notation)]), '  ');
+        });
+    }
+}
+
+/**
+ * Find Pantones by code or name in the active libraries
+ * "185 C", "185-c", "PANTONE 185 C" and "Reflex Blue C" all work
+ * @returns {Array} One color per library that has it
+ */
+function findPantones(query) {
+    const code = query.trim().toLowerCase().replace(/^pantone\s+/, '').replace(/\s+/g, '-');
+    const names = [query, `PANTONE ${query}`];
+
+    return PantoneDatabase.getActiveLibraries().map(library =>
+        PantoneDatabase.findByCode(code, library.id) ||
+        names.map(name => PantoneDatabase.findByName(name, library.id)).find(Boolean)
+    ).filter(Boolean);
+}
+
+/**
+ * info: show Pantone colors from the libraries
+ */
+async function runInfo(args, options) {
+    if (args.length === 0) {
+        throw new UsageError('No Pantone codes or names given');
+    }
+
+    await loadLibraries(options.libraries);
+
+    const found = args.map(query => ({ query, colors: findPantones(query) }));
+    const colors = [].concat(...found.map(item => item.colors));
+
+    const details = colors.map(color => {
+        const white = PantoneDatabase.getReferenceWhite(color.library);
+        const lch = ColorAlgorithms.labToLch(color.lab);
+        const warning = ColorAlgorithms.getGamutWarning(color.gamut);
+
+        return {
+            name: color.name,
+            code: color.code,
+            library: color.library,
+            libraryName: color.libraryName,
+            hex: color.hex,
+            rgb: color.rgb,
+            lab: color.lab,
+            lch: { L: lch.L, C: Math.round(lch.C * 100) / 100, h: Math.round(lch.h * 10) / 10 },
+            white: `${white.illuminant}/${white.observer}°`,
+            gamut: color.gamut,
+            gamutWarning: warning ? warning.label : null
+        };
+    });
+
+    if (options.format === 'json') {
+        printJSON(details);
+    } else if (options.format === 'csv') {
+        printCSV(
+            ['name', 'code', 'library', 'hex', 'L', 'a', 'b', 'chroma', 'hue', 'white', 'in_srgb'],
+            details.map(item => [item.name, item.code, item.libraryName, item.hex, item.lab.L, item.lab.a, item.lab.b, item.lch.C, item.lch.h, item.white, item.gamut.srgb])
+        );
+    } else {
+        printTable(
+            ['Pantone', 'Library', 'Hex', 'Lab', 'LCh', 'White', 'Gamut'],
+            details.map(item => [
+                item.name,
+                item.libraryName,
+                item.hex,
+                `${item.lab.L} ${item.lab.a} ${item.lab.b}`,
+                `${item.lch.L} ${item.lch.C} ${item.lch.h}`,
+                item.white,
+                item.gamutWarning || 'sRGB'
+            ])
+        );
+    }
+
+    const missing = found.filter(item => item.colors.length === 0).map(item => item.query);
+    if (missing.length > 0) {
+        console.error(`Not found: ${missing.join(', ')}`);
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * libraries: list the manifest libraries
+ */
+async function runLibraries(args, options) {
+    if (options.libraries.length > 0) {
+        await loadLibraries(options.libraries);
+    } else {
+        loadManifest();
+    }
+
+    const entries = PantoneDatabase.getLibraries().map(entry => {
+        const white = PantoneDatabase.getLibraryWhite(entry.id);
+        return {
+            id: entry.id,
+            name: entry.name,
+            shortName: entry.shortName,
+            colors: entry.metadata && entry.metadata.totalColors,
+            white: `${white.illuminant}/${white.observer}°`,
+            file: entry.file,
+            default: loadManifest().defaultLibraries.includes(entry.id)
+        };
+    });
+
+    if (options.format === 'json') {
+        printJSON(entries);
+    } else if (options.format === 'csv') {
+        printCSV(['id', 'name', 'short_name', 'colors', 'white', 'file', 'default'],
+            entries.map(entry => [entry.id, entry.name, entry.shortName, entry.colors, entry.white, entry.file, entry.default]));
+    } else {
+        printTable(['Id', 'Name', 'Short name', 'Colors', 'White', 'Default'],
+            entries.map(entry => [entry.id, entry.name, entry.shortName, entry.colors || '', entry.white, entry.default ? 'yes' : '']));
+    }
+}
+
+/**
+ * Run the command given on the command line
+ */
+async function main() {
+    const { command, args, options } = parseCommandLine(process.argv.slice(2));
+
+    if (options.help) {
+        console.log(usage());
+        return;
+    }
+
+    switch (command) {
+        case 'batch': return runBatch(args, options);
+        case 'convert': return runConvert(args, options);
+        case 'info': return runInfo(args, options);
+        case 'libraries': return runLibraries(args, options);
+        default: return runMatch(args, options);
+    }
+}
+
+main().catch(error => {
+    if (error instanceof UsageError) {
+        console.error(`pantone-match: ${error.message}\nRun pantone-match --help for usage.`);
+        process.exitCode = 2;
+    } else {
+        console.error(`pantone-match: ${error.message}`);
+        process.exitCode = 1;
+    }
+});
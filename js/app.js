@@ -6,10 +6,29 @@
 const App = (function() {
     'use strict';
 
+    const { escapeHtml } = HtmlUtils;
+
     let pantoneColors = [];
     let recentColors = [];
+    let currentMetric = ColorAlgorithms.DEFAULT_METRIC;
+    let lastResult = null;
+    let pendingMatch = null; // MatchService job for the current search
+    let pantoneQuery = null; // {library, code, target} while showing a Pantone's neighbours
     const MAX_RECENT = 10;
-    const MAX_RESULTS = 10;
+    const DEFAULT_RESULTS = 10;
+    const RESULT_COUNTS = [5, 10, 20, 50];
+    let resultCount = DEFAULT_RESULTS;
+
+    // Live matching: the strip refreshes at most every LIVE_THROTTLE_MS while the
+    // input changes, the full results once it has been still for LIVE_SETTLE_MS
+    const LIVE_THROTTLE_MS = 80;
+    const LIVE_SETTLE_MS = 400;
+    const LIVE_STRIP_MATCHES = 3;
+    let liveMatching = false;
+    let liveJob = null;
+    let lastLiveRun = 0;
+    let liveThrottleTimer = null;
+    let liveSettleTimer = null;
 
     /**
      * Initialize the application
@@ -18,25 +37,70 @@ const App = (function() {
         console.log('🎨 Initializing Pantone Color Matcher...');
 
         try {
-            // Load Pantone database
-            const data = await PantoneDatabase.load();
-            pantoneColors = data.colors;
+            // Load library manifest, imported swatch books and the libraries picked last time
+            // (or the ones in a shared link)
+            await PantoneDatabase.loadManifest();
+            loadColorimetry();
+            restoreImportedLibraries();
+            const urlState = Permalink.decode(location.search);
+            pantoneColors = await PantoneDatabase.setActiveLibraries(getUrlLibraries(urlState) || loadActiveLibraryIds());
+
+            // Start the matching worker with the loaded libraries
+            MatchService.init();
+
+            // Cache the app and the active libraries for offline use
+            OfflineSupport.init();
+
+            // Initialize Compare View (before the picker, which links to it)
+            if (window.CompareView) {
+                CompareView.init();
+            }
 
             // Initialize Pantone Picker
             if (window.PantonePicker) {
                 PantonePicker.init(pantoneColors);
             }
 
-            // Load recent colors from localStorage
+            // Initialize Batch Matcher
+            if (window.BatchMatcher) {
+                BatchMatcher.init();
+            }
+
+            // Initialize Image Palette and Eyedropper
+            if (window.ImagePalette) {
+                ImagePalette.init();
+            }
+            if (window.ImageSampler) {
+                ImageSampler.init();
+            }
+
+            // Initialize saved projects
+            if (window.ProjectPanel) {
+                ProjectPanel.init();
+            }
+
+            // Load recent colors and settings from localStorage
             loadRecentColors();
+            loadMetric();
+            loadLiveMatching();
+            applyUrlSettings(urlState);
 
             // Setup event listeners
             setupEventListeners();
 
             // Update UI
+            renderLibraryOptions();
+            renderFormatOptions();
+            renderMetricOptions();
+            renderColorimetryOptions();
             updateStats();
             renderRecentColors();
 
+            // Run the search from a shared link
+            if (urlState.color || urlState.palette || urlState.pantone) {
+                restoreUrlQuery(urlState);
+            }
+
             console.log('✓ Application initialized');
         } catch (error) {
             console.error('Failed to initialize application:', error);
@@ -49,10 +113,13 @@ const App = (function() {
      */
     function setupEventListeners() {
         const hexInput = document.getElementById('hexInput');
+        const inputFormat = document.getElementById('inputFormat');
         const colorPicker = document.getElementById('colorPicker');
         const matchButton = document.getElementById('matchButton');
         const clearButton = document.getElementById('clearButton');
         const openPickerButton = document.getElementById('openPickerButton');
+        const metricSelect = document.getElementById('metricSelect');
+        const libraryList = document.getElementById('libraryList');
 
         // Hex input events
         hexInput.addEventListener('input', handleHexInput);
@@ -62,13 +129,57 @@ const App = (function() {
             }
         });
 
+        // Input format
+        inputFormat.addEventListener('change', handleFormatChange);
+
         // Color picker events
         colorPicker.addEventListener('input', handleColorPickerChange);
+        colorPicker.addEventListener('change', () => {
+            // The native dialog closed: treat the pick as a finished search
+            if (liveMatching) {
+                clearTimeout(liveSettleTimer);
+                findMatches();
+            }
+        });
+
+        // Live matching
+        document.getElementById('liveToggle').addEventListener('change', handleLiveToggle);
+        document.getElementById('liveStrip').addEventListener('click', () => {
+            document.getElementById('resultsContainer').scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
+
+        // Library selection
+        libraryList.addEventListener('change', handleLibraryChange);
+        libraryList.addEventListener('click', handleLibraryRemove);
+
+        // Swatch book import (file dialog and drag & drop)
+        const swatchFileInput = document.getElementById('swatchFileInput');
+        document.getElementById('importSwatchButton').addEventListener('click', () => swatchFileInput.click());
+        swatchFileInput.addEventListener('change', (e) => {
+            handleDroppedFiles(e.target.files);
+            e.target.value = '';
+        });
+        setupDropZone();
+
+        // Delta E formula
+        metricSelect.addEventListener('change', handleMetricChange);
+
+        // Reference white and chromatic adaptation
+        document.getElementById('whiteSelect').addEventListener('change', handleColorimetryChange);
+        document.getElementById('adaptationSelect').addEventListener('change', handleColorimetryChange);
 
         // Button events
         matchButton.addEventListener('click', findMatches);
         clearButton.addEventListener('click', clearInput);
 
+        // Recent colors
+        document.getElementById('recentColorsContainer').addEventListener('click', (e) => {
+            const item = e.target.closest('.recent-color-item');
+            if (item) {
+                loadColor(item.dataset.color);
+            }
+        });
+
         // Open Pantone Picker
         if (openPickerButton && window.PantonePicker) {
             console.log('✓ Attaching Pantone Picker button listener');
@@ -83,6 +194,9 @@ const App = (function() {
             });
         }
 
+        // Back / forward through searches
+        window.addEventListener('popstate', handlePopState);
+
         // Paste detection
         hexInput.addEventListener('paste', () => {
             setTimeout(findMatches, 100);
@@ -90,106 +204,927 @@ const App = (function() {
     }
 
     /**
-     * Handle hex input changes
+     * Handle color input changes
      */
     function handleHexInput(e) {
         let value = e.target.value;
+        const format = document.getElementById('inputFormat').value;
 
-        // Auto-add # if not present
-        if (value && !value.startsWith('#')) {
+        // Auto-add # to bare hex digits
+        if (/^[0-9a-f]{1,6}$/i.test(value) && (format === 'hex' || (format === 'auto' && /[a-f]/i.test(value)))) {
             value = '#' + value;
             e.target.value = value;
         }
 
-        // Validate and update color picker
-        if (ColorAlgorithms.isValidHex(value)) {
-            document.getElementById('colorPicker').value = value;
-            document.getElementById('hexInput').classList.remove('invalid');
-        } else if (value.length > 1) {
-            document.getElementById('hexInput').classList.add('invalid');
+        validateInput();
+        scheduleLiveMatch();
+    }
+
+    /**
+     * Mark the color input invalid and sync the color picker when it parses
+     */
+    function validateInput() {
+        const hexInput = document.getElementById('hexInput');
+        const value = hexInput.value.trim();
+
+        try {
+            const color = ColorParser.parse(value, document.getElementById('inputFormat').value);
+            document.getElementById('colorPicker').value = color.hex.toLowerCase();
+            hexInput.classList.remove('invalid');
+        } catch (error) {
+            hexInput.classList.toggle('invalid', value.length > 1);
         }
     }
 
+    /**
+     * Handle input format changes
+     */
+    function handleFormatChange(e) {
+        const format = ColorParser.getFormats().find(item => item.id === e.target.value);
+        const hexInput = document.getElementById('hexInput');
+
+        hexInput.placeholder = format.placeholder;
+        validateInput();
+        hexInput.focus();
+    }
+
+    /**
+     * Render input format options
+     */
+    function renderFormatOptions() {
+        const select = document.getElementById('inputFormat');
+        select.innerHTML = ColorParser.getFormats()
+            .map(format => `<option value="${format.id}">${format.label}</option>`)
+            .join('');
+        select.value = 'auto';
+    }
+
     /**
      * Handle color picker changes
      */
     function handleColorPickerChange(e) {
         const hex = e.target.value;
+        document.getElementById('inputFormat').value = 'auto';
         document.getElementById('hexInput').value = hex;
         document.getElementById('hexInput').classList.remove('invalid');
+        scheduleLiveMatch();
+    }
+
+    /**
+     * Handle the live matching toggle
+     */
+    function handleLiveToggle(e) {
+        liveMatching = e.target.checked;
+        localStorage.setItem('liveMatching', liveMatching ? '1' : '0');
+
+        if (liveMatching) {
+            scheduleLiveMatch();
+        } else {
+            stopLiveMatching();
+        }
+    }
+
+    /**
+     * Load the live matching preference from localStorage
+     */
+    function loadLiveMatching() {
+        liveMatching = localStorage.getItem('liveMatching') === '1';
+        document.getElementById('liveToggle').checked = liveMatching;
+    }
+
+    /**
+     * Queue a live update after an input change
+     * The strip is refreshed right away unless it was refreshed in the last
+     * LIVE_THROTTLE_MS; the full results wait until the input settles
+     */
+    function scheduleLiveMatch() {
+        if (!liveMatching) return;
+
+        clearTimeout(liveThrottleTimer);
+        const wait = LIVE_THROTTLE_MS - (Date.now() - lastLiveRun);
+        if (wait <= 0) {
+            runLiveMatch();
+        } else {
+            liveThrottleTimer = setTimeout(runLiveMatch, wait);
+        }
+
+        clearTimeout(liveSettleTimer);
+        liveSettleTimer = setTimeout(() => findMatches({ live: true }), LIVE_SETTLE_MS);
+    }
+
+    /**
+     * Match the current input for the live strip
+     */
+    function runLiveMatch() {
+        lastLiveRun = Date.now();
+
+        let color;
+        try {
+            color = ColorParser.parse(document.getElementById('hexInput').value, document.getElementById('inputFormat').value);
+        } catch (error) {
+            return; // Keep showing the last valid match while the user types
+        }
+
+        if (liveJob) {
+            liveJob.cancel();
+        }
+
+        const job = MatchService.match([{ lab: color.lab, white: color.white }], {
+            k: LIVE_STRIP_MATCHES,
+            metric: currentMetric
+        });
+        liveJob = job;
+
+        job.then(results => renderLiveStrip(color, results[0]))
+            .catch(error => {
+                if (!error.cancelled) {
+                    console.error('Live matching failed:', error);
+                }
+            })
+            .finally(() => {
+                if (liveJob === job) {
+                    liveJob = null;
+                }
+            });
+    }
+
+    /**
+     * Stop pending live updates and hide the strip
+     */
+    function stopLiveMatching() {
+        clearTimeout(liveThrottleTimer);
+        clearTimeout(liveSettleTimer);
+        if (liveJob) {
+            liveJob.cancel();
+            liveJob = null;
+        }
+        document.getElementById('liveStrip').hidden = true;
+    }
+
+    /**
+     * Render the compact best-match strip
+     * @param {object} color - Parsed input color
+     * @param {Array} matches - Best matches, closest first
+     */
+    function renderLiveStrip(color, matches) {
+        const strip = document.getElementById('liveStrip');
+        const best = matches[0];
+
+        if (!liveMatching || !best) {
+            strip.hidden = true;
+            return;
+        }
+
+        const metric = ColorAlgorithms.getMetric(currentMetric);
+        const interpretation = ColorAlgorithms.getDeltaEInterpretation(best.deltaE, metric.id);
+
+        strip.innerHTML = `
+            <span class="live-swatch" style="background-color: ${color.hex}" title="Your color"></span>
+            <span class="vs-separator">→</span>
+            <span class="live-swatch" style="background-color: ${best.hex}" title="${escapeHtml(best.name)}"></span>
+            <span class="live-info">
+                <span class="live-name">${escapeHtml(best.name)}</span>
+                <span class="live-detail">${escapeHtml(best.libraryName)} · ${metric.symbol} ${best.deltaE.toFixed(2)}</span>
+            </span>
+            <span class="match-quality ${interpretation.class}"><span class="quality-badge">${interpretation.rating}</span></span>
+            <span class="live-runners-up">
+                ${matches.slice(1).map(match => `
+                    <span class="live-swatch small" style="background-color: ${match.hex}" title="${escapeHtml(match.name)} (${metric.symbol} ${match.deltaE.toFixed(2)})"></span>
+                `).join('')}
+            </span>
+        `;
+        strip.hidden = false;
+    }
+
+    /**
+     * Handle Delta E formula changes
+     */
+    function handleMetricChange(e) {
+        currentMetric = ColorAlgorithms.getMetric(e.target.value).id;
+        localStorage.setItem('deltaEMetric', currentMetric);
+
+        // Re-rank the current results with the new formula
+        refreshResults();
+    }
+
+    /**
+     * Handle library checkbox changes
+     */
+    async function handleLibraryChange() {
+        const ids = Array.from(document.querySelectorAll('#libraryList input:checked'))
+            .map(input => input.value);
+
+        if (ids.length === 0) {
+            showToast('Select at least one library');
+            renderLibraryOptions();
+            return;
+        }
+
+        await activateLibraries(ids);
+    }
+
+    /**
+     * Activate libraries and refresh everything that shows colors
+     * @param {Array} ids - Library ids
+     * @param {boolean} persist - Remember the choice for the next visit (false for links)
+     */
+    async function activateLibraries(ids, persist = true) {
+        try {
+            pantoneColors = await PantoneDatabase.setActiveLibraries(ids);
+        } catch (error) {
+            console.error('Failed to switch libraries:', error);
+            showToast('Failed to load library');
+            renderLibraryOptions();
+            return;
+        }
+
+        if (persist) {
+            const activeIds = PantoneDatabase.getActiveLibraries().map(library => library.id);
+            localStorage.setItem('activeLibraries', JSON.stringify(activeIds));
+        }
+        OfflineSupport.cacheLibraries();
+
+        renderLibraryOptions();
+        renderColorimetryOptions();
+        updateStats();
+
+        if (window.PantonePicker) {
+            PantonePicker.setColors(pantoneColors);
+        }
+
+        refreshResults();
+    }
+
+    /**
+     * Load active library ids from localStorage
+     * @returns {Array} Library ids (empty to use the manifest defaults)
+     */
+    function loadActiveLibraryIds() {
+        try {
+            const stored = localStorage.getItem('activeLibraries');
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('Failed to load active libraries:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Render library checkboxes
+     */
+    function renderLibraryOptions() {
+        const libraryList = document.getElementById('libraryList');
+
+        libraryList.innerHTML = PantoneDatabase.getLibraries().map(library => `
+            <label class="library-option ${library.active ? 'active' : ''}" title="${escapeHtml(library.metadata.description || library.name)}">
+                <input type="checkbox" value="${library.id}" ${library.active ? 'checked' : ''} />
+                <span class="library-name">${escapeHtml(library.name)}</span>
+                <span class="library-count">${(library.metadata.totalColors || 0).toLocaleString()}</span>
+                ${library.imported ? `<button class="library-remove" data-remove="${library.id}" title="Remove imported library">&times;</button>` : ''}
+            </label>
+        `).join('');
+    }
+
+    /**
+     * Handle removal of an imported library
+     */
+    async function handleLibraryRemove(e) {
+        const button = e.target.closest('[data-remove]');
+        if (!button) return;
+
+        e.preventDefault();
+
+        const id = button.dataset.remove;
+        const library = PantoneDatabase.getLibraries().find(entry => entry.id === id);
+        if (!library || !confirm(`Remove imported library "${library.name}"?`)) return;
+
+        PantoneDatabase.unregisterLibrary(id);
+        saveImportedLibraries();
+
+        await activateLibraries(PantoneDatabase.getActiveLibraries().map(entry => entry.id));
+    }
+
+    /**
+     * Setup drag & drop of swatch files onto the page
+     */
+    function setupDropZone() {
+        const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+
+        document.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            document.body.classList.add('drag-active');
+        });
+
+        document.addEventListener('dragleave', (e) => {
+            // relatedTarget is null once the pointer leaves the window
+            if (!e.relatedTarget) {
+                document.body.classList.remove('drag-active');
+            }
+        });
+
+        document.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            document.body.classList.remove('drag-active');
+            handleDroppedFiles(e.dataTransfer.files);
+        });
+    }
+
+    /**
+     * Route dropped or chosen files to the right importer
+     */
+    async function handleDroppedFiles(files) {
+        for (const file of Array.from(files)) {
+            if (/\.(csv|json|txt)$/i.test(file.name) && window.BatchMatcher) {
+                await BatchMatcher.loadFile(file);
+            } else if (file.type.startsWith('image/') && window.ImagePalette) {
+                await ImagePalette.loadFile(file);
+            } else {
+                await importSwatchFile(file);
+            }
+        }
+    }
+
+    /**
+     * Parse a swatch book and register it as a matchable library
+     * @param {File} file - .ase or .acb file
+     */
+    async function importSwatchFile(file) {
+        try {
+            const data = SwatchParsers.parse(await file.arrayBuffer(), file.name);
+            const entry = PantoneDatabase.registerLibrary({
+                id: `import-${SwatchParsers.toCode(data.metadata.title)}-${Date.now().toString(36)}`,
+                name: data.metadata.title,
+                shortName: data.metadata.title,
+                imported: true
+            }, data);
+
+            saveImportedLibraries();
+
+            const ids = PantoneDatabase.getActiveLibraries().map(library => library.id);
+            await activateLibraries(ids.concat(entry.id));
+
+            showToast(`Imported ${data.colors.length} colors from ${file.name}`);
+        } catch (error) {
+            console.error('Failed to import swatch file:', error);
+            showToast(`Could not import ${file.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Persist imported libraries to localStorage
+     */
+    function saveImportedLibraries() {
+        const imported = PantoneDatabase.getLibraries()
+            .filter(library => library.imported)
+            .map(library => {
+                const colors = PantoneDatabase.getAllColors(library.id);
+                return {
+                    entry: { id: library.id, name: library.name, shortName: library.shortName, imported: true },
+                    data: {
+                        metadata: library.metadata,
+                        colors: colors.map(({ name, code, rgb, hex, lab }) => ({ name, code, rgb, hex, lab })),
+                        stats: PantoneDatabase.getStats(library.id)
+                    }
+                };
+            });
+
+        try {
+            localStorage.setItem('importedLibraries', JSON.stringify(imported));
+        } catch (error) {
+            console.error('Failed to save imported libraries:', error);
+            showToast('Storage is full: imported libraries will only last for this session');
+        }
+    }
+
+    /**
+     * Register imported libraries saved in localStorage
+     */
+    function restoreImportedLibraries() {
+        try {
+            const stored = localStorage.getItem('importedLibraries');
+            if (!stored) return;
+
+            JSON.parse(stored).forEach(({ entry, data }) => {
+                PantoneDatabase.registerLibrary(entry, data);
+            });
+        } catch (error) {
+            console.error('Failed to restore imported libraries:', error);
+        }
+    }
+
+    /**
+     * Re-run the current search if results are showing
+     */
+    function refreshResults() {
+        MatchService.sync();
+
+        if (document.querySelector('#resultsContainer .matches-grid')) {
+            if (pantoneQuery) {
+                lookupPantone(pantoneQuery.library, pantoneQuery.code, pantoneQuery.target);
+            } else {
+                findMatches();
+            }
+        }
+
+        if (window.BatchMatcher && BatchMatcher.getRows().length > 0) {
+            BatchMatcher.run({ refresh: true });
+        }
+
+        if (window.ImagePalette) {
+            ImagePalette.refresh();
+        }
+
+        if (window.ImageSampler) {
+            ImageSampler.refresh();
+        }
+
+        if (window.CompareView) {
+            CompareView.refresh();
+        }
+    }
+
+    /**
+     * Load selected Delta E formula from localStorage
+     */
+    function loadMetric() {
+        const stored = localStorage.getItem('deltaEMetric');
+        if (stored) {
+            currentMetric = ColorAlgorithms.getMetric(stored).id;
+        }
+    }
+
+    /**
+     * Handle reference white / adaptation changes
+     */
+    function handleColorimetryChange() {
+        const white = document.getElementById('whiteSelect').value;
+        const adaptation = document.getElementById('adaptationSelect').value;
+
+        const settings = {
+            referenceWhite: white ? parseWhite(white) : null,
+            adaptation
+        };
+
+        PantoneDatabase.setColorimetry(settings);
+        localStorage.setItem('colorimetry', JSON.stringify({ referenceWhite: white, adaptation }));
+
+        refreshResults();
+    }
+
+    /**
+     * Turn "D50/2" into {illuminant, observer}
+     */
+    function parseWhite(value) {
+        const [illuminant, observer] = value.split('/');
+        return { illuminant, observer };
+    }
+
+    /**
+     * Format a white point for display ("D50/2°")
+     */
+    function formatWhite(white) {
+        return `${white.illuminant}/${white.observer}°`;
+    }
+
+    /**
+     * Load reference white and adaptation settings from localStorage
+     */
+    function loadColorimetry() {
+        try {
+            const stored = JSON.parse(localStorage.getItem('colorimetry') || 'null');
+            if (stored) {
+                PantoneDatabase.setColorimetry({
+                    referenceWhite: stored.referenceWhite ? parseWhite(stored.referenceWhite) : null,
+                    adaptation: stored.adaptation || ColorAlgorithms.DEFAULT_ADAPTATION
+                });
+            }
+        } catch (error) {
+            console.error('Failed to load colorimetry settings:', error);
+        }
+    }
+
+    /**
+     * Render reference white and adaptation options
+     */
+    function renderColorimetryOptions() {
+        const whiteSelect = document.getElementById('whiteSelect');
+        const adaptationSelect = document.getElementById('adaptationSelect');
+        const { referenceWhite, adaptation } = PantoneDatabase.getColorimetry();
+
+        const libraryWhites = [...new Set(PantoneDatabase.getActiveLibraries()
+            .map(library => formatWhite(PantoneDatabase.getLibraryWhite(library.id))))];
+        const selected = referenceWhite ? `${referenceWhite.illuminant}/${referenceWhite.observer}` : '';
+
+        let html = `<option value="">From library (${libraryWhites.join(', ')})</option>`;
+        ColorAlgorithms.getIlluminants().forEach(illuminant => {
+            ColorAlgorithms.OBSERVERS.forEach(observer => {
+                const value = `${illuminant.id}/${observer}`;
+                html += `<option value="${value}" ${value === selected ? 'selected' : ''}>${illuminant.label} · ${observer}°</option>`;
+            });
+        });
+        whiteSelect.innerHTML = html;
+
+        adaptationSelect.innerHTML = ColorAlgorithms.getAdaptationMethods().map(method => `
+            <option value="${method.id}" ${method.id === adaptation ? 'selected' : ''}>${method.label}</option>
+        `).join('');
+    }
+
+    /**
+     * Render Delta E formula options
+     */
+    function renderMetricOptions() {
+        const metricSelect = document.getElementById('metricSelect');
+
+        metricSelect.innerHTML = ColorAlgorithms.getMetrics().map(metric => `
+            <option value="${metric.id}" ${metric.id === currentMetric ? 'selected' : ''}>${metric.label}</option>
+        `).join('');
     }
 
     /**
      * Clear input fields
      */
     function clearInput() {
+        resetInput();
+        updatePermalink({});
+        document.getElementById('hexInput').focus();
+    }
+
+    /**
+     * Empty the color input and the results
+     */
+    function resetInput() {
         document.getElementById('hexInput').value = '';
         document.getElementById('colorPicker').value = '#000000';
         document.getElementById('resultsContainer').innerHTML = '';
         document.getElementById('hexInput').classList.remove('invalid');
-        document.getElementById('hexInput').focus();
+        stopLiveMatching();
+    }
+
+    /**
+     * Library ids from a link that exist here
+     * @param {object} state - Decoded permalink state
+     * @returns {Array} Library ids, or null to keep the saved choice
+     */
+    function getUrlLibraries(state) {
+        if (!state.libraries) return null;
+
+        const known = PantoneDatabase.getLibraries().map(library => library.id);
+        const ids = state.libraries.filter(id => known.includes(id));
+        return ids.length > 0 ? ids : null;
+    }
+
+    /**
+     * Apply the metric and result count from a link (without saving them)
+     * @param {object} state - Decoded permalink state
+     */
+    function applyUrlSettings(state) {
+        currentMetric = ColorAlgorithms.getMetric(state.metric || localStorage.getItem('deltaEMetric')).id;
+        resultCount = state.count ? Math.min(Math.max(state.count, 1), RESULT_COUNTS[RESULT_COUNTS.length - 1]) : DEFAULT_RESULTS;
+    }
+
+    /**
+     * Run the color or palette search from a link
+     * @param {object} state - Decoded permalink state
+     */
+    function restoreUrlQuery(state) {
+        if (state.pantone) {
+            const separator = state.pantone.indexOf(':');
+            if (separator < 1) {
+                showError('The link\'s Pantone must be written library:code, e.g. solid-coated-2024:185-c.');
+                return;
+            }
+            lookupPantone(state.pantone.slice(0, separator), state.pantone.slice(separator + 1), state.target || null);
+        } else if (state.palette && window.BatchMatcher) {
+            BatchMatcher.loadPalette(state.palette);
+        } else if (state.color) {
+            const format = ColorParser.getFormats().some(item => item.id === state.format) ? state.format : 'auto';
+            document.getElementById('inputFormat').value = format;
+            document.getElementById('hexInput').value = state.color;
+            validateInput();
+            findMatches();
+        } else {
+            resetInput();
+        }
+    }
+
+    /**
+     * Restore the search and settings of a history entry
+     */
+    async function handlePopState() {
+        const state = Permalink.decode(location.search);
+        const ids = getUrlLibraries(state) || loadActiveLibraryIds();
+        const activeIds = PantoneDatabase.getActiveLibraries().map(library => library.id);
+
+        applyUrlSettings(state);
+        renderMetricOptions();
+
+        if (ids.length > 0 && ids.join(',') !== activeIds.join(',')) {
+            await activateLibraries(ids, false);
+        }
+
+        restoreUrlQuery(state);
+    }
+
+    /**
+     * Current permalink state: the given query plus the match settings
+     * @param {object} query - {color, format} or {palette}
+     * @returns {object} Permalink state
+     */
+    function getPermalinkState(query) {
+        return {
+            ...query,
+            libraries: PantoneDatabase.getActiveLibraries().map(library => library.id),
+            metric: currentMetric,
+            count: resultCount !== DEFAULT_RESULTS ? resultCount : null
+        };
+    }
+
+    /**
+     * Record a search in the URL
+     * A new history entry is added when the URL changes, so back/forward
+     * walks through searches
+     * @param {object} query - {color, format} or {palette}
+     * @param {boolean} replace - Update the current entry instead (live updates)
+     */
+    function updatePermalink(query, replace = false) {
+        const search = Permalink.encode(getPermalinkState(query));
+        if (search === location.search) return;
+
+        const url = location.pathname + search;
+        if (replace) {
+            history.replaceState(null, '', url);
+        } else {
+            history.pushState(null, '', url);
+        }
+    }
+
+    /**
+     * Copy a link to the current results
+     */
+    async function copyLink() {
+        try {
+            await navigator.clipboard.writeText(location.href);
+            showToast('Link copied');
+        } catch (error) {
+            console.error('Failed to copy link:', error);
+        }
+    }
+
+    /**
+     * Change how many matches are shown
+     * @param {number|string} count - Number of matches
+     */
+    function setResultCount(count) {
+        resultCount = parseInt(count, 10) || DEFAULT_RESULTS;
+        refreshResults();
     }
 
     /**
      * Find closest Pantone matches
+     * @param {object} options - {live: true} for the settled live update, which
+     *                           skips recent colors, error messages and scrolling
      */
-    function findMatches() {
-        const hexValue = document.getElementById('hexInput').value;
+    function findMatches(options = {}) {
+        const value = document.getElementById('hexInput').value;
+        const live = options.live === true;
 
-        // Validate hex
-        if (!ColorAlgorithms.isValidHex(hexValue)) {
-            showError('Please enter a valid hex color code (e.g., #FF0000)');
+        // Parse the input (hex, rgb(), hsl(), cmyk(), lab(), lch(), oklch(), color()...)
+        let color;
+        try {
+            color = ColorParser.parse(value, document.getElementById('inputFormat').value);
+        } catch (error) {
+            if (!live) {
+                showError(`${error.message}. Try a hex code (#FF0000), rgb(255 0 0) or lab(54 81 70).`);
+            }
             return;
         }
 
-        // Convert to LAB
-        const inputLab = ColorAlgorithms.hexToLab(hexValue);
-        if (!inputLab) {
-            showError('Invalid color format');
+        pantoneQuery = null;
+
+        // Save to recent colors and the URL
+        if (!live) {
+            addToRecent(color.format === 'hex' ? color.hex : color.input);
+        }
+        const format = document.getElementById('inputFormat').value;
+        updatePermalink({ color: color.input, format: format !== 'auto' ? format : null }, live);
+
+        // A newer search replaces one still running
+        if (pendingMatch) {
+            pendingMatch.cancel();
+        }
+
+        // Lab/LCh input is matched as entered; everything else goes through sRGB → LAB.
+        // Matches stream in library by library
+        const job = MatchService.match([{ lab: color.lab, white: color.white }], {
+            k: resultCount,
+            metric: currentMetric,
+            onProgress: (results, done, total) => {
+                if (done < total) {
+                    displayResults(color, results[0], { done, total });
+                }
+            }
+        });
+        pendingMatch = job;
+
+        job.then(results => {
+            lastResult = { inputHex: color.hex, input: color, matches: results[0] };
+            displayResults(color, results[0]);
+
+            if (liveMatching) {
+                renderLiveStrip(color, results[0]);
+            }
+            if (!live) {
+                document.getElementById('resultsContainer').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            }
+        }).catch(error => {
+            if (error.cancelled) return;
+            console.error('Matching failed:', error);
+            showError(`Matching failed: ${error.message}`);
+        }).finally(() => {
+            if (pendingMatch === job) {
+                pendingMatch = null;
+            }
+        });
+    }
+
+    /**
+     * Show the Pantones nearest to a Pantone
+     * Matches on the stored LAB value (no sRGB round trip) and leaves the color
+     * itself out, so the results are its neighbours, or its equivalents when
+     * a different library is searched
+     * @param {string} libraryId - Library of the source Pantone
+     * @param {string} code - Pantone code
+     * @param {string} target - Library to search (null for the active libraries)
+     */
+    async function lookupPantone(libraryId, code, target = null) {
+        let source;
+        try {
+            await PantoneDatabase.load(libraryId);
+            if (target) {
+                await PantoneDatabase.load(target);
+                MatchService.sync();
+            }
+            source = PantoneDatabase.findByCode(code, libraryId);
+        } catch (error) {
+            console.error('Failed to load library for Pantone lookup:', error);
+            showError(`Could not load the library: ${error.message}`);
+            return;
+        }
+
+        if (!source || !source.lab) {
+            // showError sets text, so the link's values cannot add markup
+            const library = PantoneDatabase.getLibraries().find(entry => entry.id === libraryId);
+            showError(`Pantone "${code}" was not found in ${library ? library.name : libraryId}.`);
             return;
         }
 
-        // Calculate distances and sort (using CIE76 for compatibility with Adobe)
-        const matches = pantoneColors.map(pantone => {
-            const distance = ColorAlgorithms.deltaE76(inputLab, pantone.lab);
-            return {
-                ...pantone,
-                deltaE: distance,
-                match: ((100 - Math.min(distance, 100)) / 100) * 100
-            };
-        }).sort((a, b) => a.deltaE - b.deltaE).slice(0, MAX_RESULTS);
+        if (pendingMatch) {
+            pendingMatch.cancel();
+            pendingMatch = null;
+        }
+        stopLiveMatching();
+
+        const white = PantoneDatabase.getReferenceWhite(libraryId);
+        const matches = PantoneDatabase.findNearest(source.lab, {
+            k: resultCount,
+            metric: currentMetric,
+            white,
+            libraries: target ? [target] : undefined,
+            exclude: color => color.library === libraryId && color.code === source.code
+        }).map(match => ({
+            ...match,
+            match: ((100 - Math.min(match.deltaE, 100)) / 100) * 100
+        }));
+
+        const color = {
+            format: 'pantone',
+            input: source.name,
+            hex: source.hex,
+            rgb: source.rgb,
+            lab: source.lab,
+            white,
+            direct: true,
+            pantone: source
+        };
+
+        pantoneQuery = { library: libraryId, code: source.code, target };
+        lastResult = { inputHex: source.hex, input: color, matches };
+        updatePermalink({ pantone: `${libraryId}:${source.code}`, target });
+
+        displayResults(color, matches);
+        document.getElementById('resultsContainer').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    /**
+     * Show the neighbours of one of the displayed matches
+     * @param {number} index - Index into the displayed matches
+     */
+    function lookupMatch(index) {
+        if (!lastResult || !lastResult.matches[index]) return;
+
+        const match = lastResult.matches[index];
+        lookupPantone(match.library, match.code, pantoneQuery ? pantoneQuery.target : null);
+    }
+
+    /**
+     * Change the library searched for the current Pantone's neighbours
+     * @param {string} target - Library id, or '' for the active libraries
+     */
+    function setPantoneTarget(target) {
+        if (!pantoneQuery) return;
+
+        lookupPantone(pantoneQuery.library, pantoneQuery.code, target || null);
+    }
 
-        // Save to recent colors
-        addToRecent(hexValue);
+    /**
+     * Rank the active Pantone colors by distance to a LAB color
+     * Uses the database's spatial index; the input is adapted to each library's reference white
+     * @param {object} lab - LAB color {L, a, b}
+     * @param {number} limit - Number of matches to return
+     * @param {string|object} white - Reference white of lab (defaults to D65, as from rgbToLab)
+     * @returns {Array} Matches sorted by deltaE (selected formula)
+     */
+    function matchLab(lab, limit = resultCount, white = 'D65') {
+        return PantoneDatabase.findNearest(lab, { k: limit, metric: currentMetric, white }).map(match => ({
+            ...match,
+            match: ((100 - Math.min(match.deltaE, 100)) / 100) * 100
+        }));
+    }
 
-        // Display results
-        displayResults(hexValue, matches);
+    /**
+     * Get the selected Delta E formula id
+     * @returns {string} Metric id
+     */
+    function getMetric() {
+        return currentMetric;
     }
 
     /**
      * Display matching results
+     * @param {object} color - Parsed input color (see ColorParser.parse)
+     * @param {Array} matches - Ranked matches
+     * @param {object} progress - {done, total} while matches are still arriving
      */
-    function displayResults(inputHex, matches) {
+    function displayResults(color, matches, progress) {
         const resultsContainer = document.getElementById('resultsContainer');
-        const inputRgb = ColorAlgorithms.hexToRgb(inputHex);
+        const inputHex = color.hex;
+        const inputRgb = color.rgb;
+        const metric = ColorAlgorithms.getMetric(currentMetric);
+        const lab = color.lab;
+        const inputGamut = color.direct ? ColorAlgorithms.checkGamut(lab, color.white) : null;
+        const inputWhite = typeof color.white === 'string' ? color.white : formatWhite(color.white);
+        const source = color.pantone || null;
+        const colorimetry = PantoneDatabase.getColorimetry();
+        const adaptation = ColorAlgorithms.getAdaptationMethods().find(method => method.id === colorimetry.adaptation);
 
         let html = `
             <div class="input-color-display">
                 <div class="color-swatch" style="background-color: ${inputHex}"></div>
                 <div class="color-info">
-                    <h3>Your Color</h3>
+                    <h3>${source ? 'Source Pantone' : 'Your Color'}</h3>
+                    ${source ? `<p class="color-source">${escapeHtml(source.name)} · ${escapeHtml(source.libraryName)}</p>` : ''}
+                    ${!source && color.format !== 'hex' ? `<p class="color-source">${escapeHtml(color.input)}</p>` : ''}
                     <p class="color-hex">${inputHex.toUpperCase()}</p>
                     <p class="color-rgb">RGB(${inputRgb.r}, ${inputRgb.g}, ${inputRgb.b})</p>
+                    <p class="color-rgb">LAB(${lab.L.toFixed(1)}, ${lab.a.toFixed(1)}, ${lab.b.toFixed(1)}) · ${inputWhite}</p>
+                    ${color.direct ? `<p class="color-note">Matched on Lab (no sRGB round trip)${source ? ', excluding the Pantone itself' : ''}; the swatch is an sRGB preview.</p>` : ''}
+                    ${renderGamutWarning(lab, inputGamut, color.white)}
                 </div>
             </div>
 
-            <h2 class="results-title">Top ${matches.length} Closest Matches</h2>
+            <div class="results-toolbar">
+                <h2 class="results-title">${progress ? 'Searching…' : `Top ${matches.length} ${source ? 'Nearest Pantones' : 'Closest Matches'}`} <span class="results-metric">${metric.label}</span>
+                    <span class="results-metric" title="Chromatic adaptation from your color's white to the library white">${adaptation.label}${colorimetry.referenceWhite ? ' → ' + formatWhite(colorimetry.referenceWhite) : ''}</span>
+                    ${progress ? `<span class="results-progress">${progress.done} of ${progress.total} libraries</span>` : ''}</h2>
+                <div class="results-actions">
+                    ${source ? `
+                        <select class="export-select" onchange="App.setPantoneTarget(this.value)" title="Library to search for neighbours or equivalents">
+                            <option value="">In active libraries</option>
+                            ${PantoneDatabase.getLibraries().map(library => `
+                                <option value="${library.id}" ${pantoneQuery && library.id === pantoneQuery.target ? 'selected' : ''}>In ${escapeHtml(library.name)}</option>
+                            `).join('')}
+                        </select>
+                    ` : ''}
+                    <select class="export-select" onchange="App.setResultCount(this.value)" title="Number of matches">
+                        ${RESULT_COUNTS.map(count => `<option value="${count}" ${count === resultCount ? 'selected' : ''}>${count} matches</option>`).join('')}
+                    </select>
+                    ${window.CompareView && !progress ? `
+                        <button class="btn btn-secondary btn-small" onclick="App.compareMatches()" title="${source ? 'The source Pantone' : 'Your color'} and the top matches side by side">⚖️ Compare</button>
+                    ` : ''}
+                    <button class="btn btn-secondary btn-small" onclick="App.copyLink()" title="Copy a link to these results">🔗 Copy link</button>
+                    <select class="export-select" ${progress ? 'disabled' : ''} onchange="App.exportMatches(this.value); this.value = '';" title="Download these matches as a swatch file">
+                        ${renderExportOptions('⬇ Export matches…')}
+                    </select>
+                </div>
+            </div>
 
             <div class="matches-grid">
         `;
 
         matches.forEach((match, index) => {
-            const interpretation = ColorAlgorithms.getDeltaEInterpretation(match.deltaE);
+            const interpretation = ColorAlgorithms.getDeltaEInterpretation(match.deltaE, metric.id);
 
             html += `
                 <div class="match-card">
@@ -197,17 +1132,29 @@ const App = (function() {
                     <div class="match-colors">
                         <div class="color-swatch" style="background-color: ${inputHex}" title="Your color"></div>
                         <div class="vs-separator">→</div>
-                        <div class="color-swatch large" style="background-color: ${match.hex}" title="${match.name}"></div>
+                        <div class="color-swatch large" style="background-color: ${match.hex}" title="${escapeHtml(match.name)}"></div>
                     </div>
                     <div class="match-info">
-                        <h3 class="match-name">${match.name}</h3>
-                        <p class="match-code">${match.code}</p>
+                        <h3 class="match-name">${escapeHtml(match.name)}</h3>
+                        <p class="match-code">${escapeHtml(match.code)}</p>
+                        <p class="match-library">${escapeHtml(match.libraryName)}</p>
 
                         <div class="match-quality ${interpretation.class}">
                             <span class="quality-badge">${interpretation.rating}</span>
-                            <span class="delta-e">ΔE = ${match.deltaE.toFixed(2)}</span>
+                            <span class="delta-e">${metric.symbol} = ${match.deltaE.toFixed(2)}</span>
                         </div>
 
+                        ${renderGamutWarning(match.lab, match.gamut, PantoneDatabase.getReferenceWhite(match.library))}
+
+                        ${!progress ? `
+                            <div class="match-actions">
+                                <button class="btn btn-secondary btn-small" onclick="App.lookupMatch(${index})" title="Pantones nearest to this one">⇄ Similar</button>
+                                ${window.ProjectPanel ? `
+                                    <button class="btn btn-secondary btn-small" onclick="App.assignToProject(${index})" title="Use this Pantone for your color in the active project">＋ Project</button>
+                                ` : ''}
+                            </div>
+                        ` : ''}
+
                         <div class="color-values">
                             <div class="value-row">
                                 <span class="label">HEX:</span>
@@ -232,7 +1179,92 @@ const App = (function() {
         html += '</div>';
 
         resultsContainer.innerHTML = html;
-        resultsContainer.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    /**
+     * Assign one of the current matches to the input color in the active project
+     * @param {number} index - Index into the displayed matches
+     */
+    function assignToProject(index) {
+        if (!lastResult || !lastResult.matches[index]) return;
+
+        ProjectPanel.assign(lastResult.input, lastResult.matches[index], currentMetric);
+    }
+
+    /**
+     * Compare the input color with the top matches
+     */
+    function compareMatches() {
+        if (!lastResult) return;
+
+        const color = lastResult.input;
+        const input = {
+            name: color.pantone ? color.pantone.name : 'Your color',
+            libraryName: color.pantone ? color.pantone.libraryName : null,
+            hex: color.hex,
+            lab: color.lab,
+            white: color.white
+        };
+
+        CompareView.open([input, ...lastResult.matches.slice(0, CompareView.MAX_COLORS - 1)]);
+    }
+
+    /**
+     * Render the out-of-gamut badge with clipped and gamut-mapped previews
+     * @param {object} lab - LAB color {L, a, b}
+     * @param {object} gamut - Gamut flags {srgb, p3}
+     * @param {string|object} white - Reference white of lab
+     * @returns {string} HTML, empty when the color is inside sRGB
+     */
+    function renderGamutWarning(lab, gamut, white) {
+        const warning = ColorAlgorithms.getGamutWarning(gamut);
+        if (!warning) return '';
+
+        const clipped = ColorAlgorithms.labToRgb(lab.L, lab.a, lab.b, white);
+        const mapped = ColorAlgorithms.gamutMapToRgb(lab, white);
+
+        return `
+            <div class="gamut-warning">
+                <span class="gamut-badge ${warning.class}" title="${warning.description}">⚠ ${warning.label}</span>
+                <div class="gamut-previews">
+                    <span class="gamut-preview" title="Each channel clipped to sRGB">
+                        <span class="gamut-swatch" style="background-color: rgb(${clipped.r}, ${clipped.g}, ${clipped.b})"></span>Clipped
+                    </span>
+                    <span class="gamut-preview" title="Chroma reduced at constant lightness and hue">
+                        <span class="gamut-swatch" style="background-color: rgb(${mapped.r}, ${mapped.g}, ${mapped.b})"></span>Mapped
+                    </span>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render export format options for a select
+     * @param {string} placeholder - Label of the empty first option
+     * @returns {string} Option HTML
+     */
+    function renderExportOptions(placeholder) {
+        return `<option value="">${placeholder}</option>` + SwatchExporters.getFormats()
+            .map(format => `<option value="${format.id}">${format.label}</option>`)
+            .join('');
+    }
+
+    /**
+     * Download the current matches in the given format
+     * @param {string} formatId - Export format id (ase, aco, gpl, css, scss, json)
+     */
+    function exportMatches(formatId) {
+        if (!formatId || !lastResult) return;
+
+        try {
+            const fileName = SwatchExporters.download(lastResult.matches, formatId, {
+                title: `Pantone matches ${lastResult.inputHex.replace('#', '')}`
+            });
+            showToast(`Downloaded ${fileName}`);
+        } catch (error) {
+            console.error('Failed to export matches:', error);
+            showToast(`Export failed: ${error.message}`);
+        }
     }
 
     /**
@@ -243,20 +1275,24 @@ const App = (function() {
         resultsContainer.innerHTML = `
             <div class="error-message">
                 <span class="error-icon">⚠️</span>
-                <p>${message}</p>
+                <p></p>
             </div>
         `;
+
+        // Messages can repeat user input (including links), so never parse them as HTML
+        resultsContainer.querySelector('.error-message p').textContent = message;
     }
 
     /**
      * Add color to recent history
+     * @param {string} value - Hex code, or the original text for other formats
      */
-    function addToRecent(hex) {
+    function addToRecent(value) {
         // Remove if already exists
-        recentColors = recentColors.filter(c => c.toLowerCase() !== hex.toLowerCase());
+        recentColors = recentColors.filter(c => c.toLowerCase() !== value.toLowerCase());
 
         // Add to beginning
-        recentColors.unshift(hex);
+        recentColors.unshift(value);
 
         // Limit to MAX_RECENT
         if (recentColors.length > MAX_RECENT) {
@@ -300,12 +1336,20 @@ const App = (function() {
 
         let html = '<h3>Recent Colors</h3><div class="recent-colors-list">';
 
-        recentColors.forEach(hex => {
+        recentColors.forEach(value => {
+            let hex;
+            try {
+                hex = ColorParser.parse(value).hex;
+            } catch (error) {
+                return;
+            }
+
+            // Values are the raw text typed or linked, so they only go into escaped attributes
             html += `
                 <div class="recent-color-item"
                      style="background-color: ${hex}"
-                     onclick="App.loadColor('${hex}')"
-                     title="${hex}">
+                     data-color="${escapeHtml(value)}"
+                     title="${escapeHtml(value)}">
                 </div>
             `;
         });
@@ -316,10 +1360,17 @@ const App = (function() {
 
     /**
      * Load a color into the input
+     * @param {string} value - Color in any format ColorParser reads
      */
-    function loadColor(hex) {
-        document.getElementById('hexInput').value = hex;
-        document.getElementById('colorPicker').value = hex;
+    function loadColor(value) {
+        document.getElementById('inputFormat').value = 'auto';
+        document.getElementById('hexInput').value = value;
+        document.getElementById('hexInput').classList.remove('invalid');
+        try {
+            document.getElementById('colorPicker').value = ColorParser.parse(value).hex.toLowerCase();
+        } catch (error) {
+            // findMatches reports the error
+        }
         findMatches();
     }
 
@@ -361,7 +1412,8 @@ const App = (function() {
     function updateStats() {
         const statsEl = document.getElementById('stats');
         if (statsEl) {
-            statsEl.textContent = `${pantoneColors.length} Pantone colors loaded`;
+            const names = PantoneDatabase.getActiveLibraries().map(library => library.name);
+            statsEl.textContent = `${pantoneColors.length.toLocaleString()} Pantone colors loaded from ${names.join(' + ')}`;
         }
     }
 
@@ -369,8 +1421,21 @@ const App = (function() {
     return {
         init,
         findMatches,
+        matchLab,
+        getMetric,
         loadColor,
-        copyToClipboard
+        showToast,
+        copyToClipboard,
+        exportMatches,
+        renderGamutWarning,
+        assignToProject,
+        compareMatches,
+        updatePermalink,
+        copyLink,
+        setResultCount,
+        lookupPantone,
+        lookupMatch,
+        setPantoneTarget
     };
 })();
 
@@ -0,0 +1,315 @@
+/**
+ * Batch Matcher Component
+ * Matches a whole palette (pasted list, CSV or JSON) to the nearest Pantones
+ */
+
+window.BatchMatcher = (function() {
+    'use strict';
+
+    const { escapeHtml } = HtmlUtils;
+
+    let rows = [];
+    let pendingMatch = null; // MatchService job for the current run
+
+    // DOM elements
+    let section, paletteInput, resultsTable, summary, exportButtons;
+
+    /**
+     * Initialize the batch matcher
+     */
+    function init() {
+        section = document.getElementById('batchSection');
+        paletteInput = document.getElementById('batchInput');
+        resultsTable = document.getElementById('batchResults');
+        summary = document.getElementById('batchSummary');
+        exportButtons = section.querySelectorAll('[data-batch-export]');
+
+        setupEventListeners();
+        updateExportButtons();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    function setupEventListeners() {
+        document.getElementById('batchToggleButton').addEventListener('click', toggle);
+        document.getElementById('batchMatchButton').addEventListener('click', run);
+        document.getElementById('batchClearButton').addEventListener('click', clear);
+
+        const fileInput = document.getElementById('batchFileInput');
+        document.getElementById('batchFileButton').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                await loadFile(file);
+            }
+        });
+
+        exportButtons.forEach(button => {
+            button.addEventListener('click', () => exportReport(button.dataset.batchExport));
+        });
+
+        // Jump to the full match list for a row
+        resultsTable.addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-hex]');
+            if (row) {
+                App.loadColor(row.dataset.hex);
+            }
+        });
+    }
+
+    /**
+     * Show or hide the batch section
+     */
+    function toggle() {
+        const isHidden = section.style.display === 'none';
+        section.style.display = isHidden ? 'block' : 'none';
+
+        if (isHidden) {
+            section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            paletteInput.focus();
+        }
+    }
+
+    /**
+     * Load a palette file into the text area and run the match
+     * @param {File} file - .csv, .json or .txt file
+     */
+    async function loadFile(file) {
+        section.style.display = 'block';
+        paletteInput.value = await file.text();
+        run();
+    }
+
+    /**
+     * Load palette text and run the match
+     * @param {string} text - List, CSV or JSON palette
+     */
+    function loadPalette(text) {
+        section.style.display = 'block';
+        paletteInput.value = text;
+        run();
+    }
+
+    /**
+     * Match every palette entry against the active libraries
+     * @param {object} options - {refresh: true} when re-running after a settings
+     *                           change, which leaves the URL alone
+     */
+    function run(options = {}) {
+        let parsed;
+        try {
+            parsed = PaletteIO.parse(paletteInput.value);
+        } catch (error) {
+            showSummary(`Could not read palette: ${error.message}`, true);
+            return;
+        }
+
+        if (parsed.entries.length === 0) {
+            showSummary('Paste hex colors, a CSV or a JSON palette first.', true);
+            return;
+        }
+
+        if (!options.refresh) {
+            App.updatePermalink({ palette: paletteInput.value.trim() });
+        }
+
+        if (pendingMatch) {
+            pendingMatch.cancel();
+        }
+
+        const metric = ColorAlgorithms.getMetric(App.getMetric());
+
+        // Rows start out pending and fill in as the matcher reports back
+        rows = parsed.entries.map(entry => ({ ...entry, match: null }));
+        const matchable = rows.filter(row => !row.error);
+        const failed = rows.length - matchable.length;
+        const failedNote = failed ? ` · ${failed} could not be read` : '';
+
+        renderTable(metric);
+        showSummary(`Matching ${matchable.length} colors…`, false);
+        updateExportButtons();
+
+        const fillRows = (results) => {
+            results.forEach((matches, i) => {
+                const best = matches[0];
+                if (!best) return;
+
+                const interpretation = ColorAlgorithms.getDeltaEInterpretation(best.deltaE, metric.id);
+                Object.assign(matchable[i], {
+                    match: best,
+                    deltaE: best.deltaE,
+                    metric: metric.label,
+                    rating: interpretation.rating,
+                    ratingClass: interpretation.class
+                });
+            });
+        };
+
+        const job = MatchService.match(matchable.map(row => ({ lab: ColorAlgorithms.hexToLab(row.hex) })), {
+            k: 1,
+            metric: metric.id,
+            onProgress: (results, done, total) => {
+                fillRows(results);
+                renderTable(metric);
+                showSummary(`Matching… ${Math.round((done / total) * 100)}%${failedNote}`, false);
+            }
+        });
+        pendingMatch = job;
+
+        job.then(results => {
+            pendingMatch = null;
+            fillRows(results);
+            renderTable(metric);
+            showSummary(
+                `Matched ${matchable.length} of ${rows.length} colors (${parsed.format.toUpperCase()}, ${metric.label})` + failedNote,
+                false
+            );
+        }).catch(error => {
+            if (error.cancelled) return;
+            console.error('Batch matching failed:', error);
+            showSummary(`Matching failed: ${error.message}`, true);
+        }).finally(() => {
+            if (pendingMatch === job) {
+                pendingMatch = null;
+            }
+            // Also after a failure, so the buttons leave their running state
+            updateExportButtons();
+        });
+    }
+
+    /**
+     * Render the results table
+     */
+    function renderTable(metric) {
+        let html = `
+            <table class="batch-table">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Label</th>
+                        <th>Input</th>
+                        <th>Best Pantone Match</th>
+                        <th>${metric.symbol}</th>
+                        <th>Rating</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+
+        rows.forEach((row, i) => {
+            if (row.error) {
+                html += `
+                    <tr class="batch-row-error">
+                        <td>${i + 1}</td>
+                        <td>${escapeHtml(row.label)}</td>
+                        <td colspan="4">${escapeHtml(row.error)}</td>
+                    </tr>
+                `;
+                return;
+            }
+
+            if (!row.match) {
+                html += `
+                    <tr class="batch-row-pending">
+                        <td>${i + 1}</td>
+                        <td>${escapeHtml(row.label)}</td>
+                        <td>
+                            <span class="batch-swatch" style="background-color: ${row.hex}"></span>
+                            <span class="batch-hex">${row.hex}</span>
+                        </td>
+                        <td colspan="3">Matching…</td>
+                    </tr>
+                `;
+                return;
+            }
+
+            html += `
+                <tr data-hex="${row.hex}" title="Show all matches for ${row.hex}">
+                    <td>${i + 1}</td>
+                    <td>${escapeHtml(row.label)}</td>
+                    <td>
+                        <span class="batch-swatch" style="background-color: ${row.hex}"></span>
+                        <span class="batch-hex">${row.hex}</span>
+                    </td>
+                    <td>
+                        <span class="batch-swatch" style="background-color: ${row.match.hex}"></span>
+                        <span class="batch-match-name">${escapeHtml(row.match.name)}</span>
+                        <span class="batch-match-library">${escapeHtml(row.match.libraryName)}</span>
+                    </td>
+                    <td class="batch-delta">${row.deltaE.toFixed(2)}</td>
+                    <td><span class="match-quality ${row.ratingClass}"><span class="quality-badge">${row.rating}</span></span></td>
+                </tr>
+            `;
+        });
+
+        html += '</tbody></table>';
+        resultsTable.innerHTML = html;
+    }
+
+    /**
+     * Show a status line above the table
+     */
+    function showSummary(message, isError) {
+        summary.textContent = message;
+        summary.classList.toggle('error', isError);
+    }
+
+    /**
+     * Enable export buttons only when there is a report
+     */
+    function updateExportButtons() {
+        exportButtons.forEach(button => {
+            button.disabled = rows.length === 0 || pendingMatch !== null;
+        });
+    }
+
+    /**
+     * Download the report
+     * @param {string} format - 'csv' or 'json'
+     */
+    function exportReport(format) {
+        if (rows.length === 0) return;
+
+        const stamp = new Date().toISOString().slice(0, 10);
+        const libraries = PantoneDatabase.getActiveLibraries().map(library => library.name);
+
+        const fileName = format === 'json'
+            ? SwatchExporters.downloadFile(
+                PaletteIO.toJSON(rows, { metric: ColorAlgorithms.getMetric(App.getMetric()).label, libraries }),
+                `pantone-batch-${stamp}.json`,
+                'application/json'
+            )
+            : SwatchExporters.downloadFile(PaletteIO.toCSV(rows), `pantone-batch-${stamp}.csv`, 'text/csv');
+
+        App.showToast(`Downloaded ${fileName}`);
+    }
+
+    /**
+     * Clear the palette and results
+     */
+    function clear() {
+        if (pendingMatch) {
+            pendingMatch.cancel();
+            pendingMatch = null;
+        }
+
+        rows = [];
+        paletteInput.value = '';
+        App.updatePermalink({});
+        resultsTable.innerHTML = '';
+        showSummary('', false);
+        updateExportButtons();
+        paletteInput.focus();
+    }
+
+    // Public API
+    return {
+        init,
+        run,
+        loadFile,
+        loadPalette,
+        getRows: () => rows
+    };
+})();
@@ -49,40 +49,279 @@ const ColorAlgorithms = (function() {
     }
 
     /**
-     * Convert RGB to LAB (D65 illuminant)
+     * sRGB transfer function: gamma-encoded [0, 1] to linear light
+     * @param {number} value - Gamma-encoded channel (0-1)
+     * @returns {number} Linear channel
+     */
+    function srgbToLinear(value) {
+        return value > 0.04045
+            ? Math.pow((value + 0.055) / 1.055, 2.4)
+            : value / 12.92;
+    }
+
+    /**
+     * Inverse sRGB transfer function: linear light to gamma-encoded [0, 1]
+     * @param {number} value - Linear channel
+     * @returns {number} Gamma-encoded channel (not clipped)
+     */
+    function linearToSrgb(value) {
+        return value > 0.0031308
+            ? 1.055 * Math.pow(value, 1 / 2.4) - 0.055
+            : 12.92 * value;
+    }
+
+    /**
+     * Convert linear sRGB to XYZ (D65 illuminant)
+     * @param {number} r - Linear red (0-1, may exceed for wide-gamut sources)
+     * @param {number} g - Linear green
+     * @param {number} b - Linear blue
+     * @returns {object} XYZ object {x, y, z} scaled so white Y = 100
+     */
+    function linearRgbToXyz(r, g, b) {
+        return {
+            x: (r * 0.4124564 + g * 0.3575761 + b * 0.1804375) * 100,
+            y: (r * 0.2126729 + g * 0.7151522 + b * 0.0721750) * 100,
+            z: (r * 0.0193339 + g * 0.1191920 + b * 0.9503041) * 100
+        };
+    }
+
+    /**
+     * Convert RGB to XYZ (D65 illuminant)
      * @param {number} r - Red (0-255)
      * @param {number} g - Green (0-255)
      * @param {number} b - Blue (0-255)
-     * @returns {object} LAB object {L, a, b}
+     * @returns {object} XYZ object {x, y, z} scaled so white Y = 100
      */
-    function rgbToLab(r, g, b) {
-        // Step 1: Normalize RGB to [0, 1]
-        r = r / 255;
-        g = g / 255;
-        b = b / 255;
-
-        // Step 2: Apply gamma correction (sRGB to linear RGB)
-        const toLinear = (value) => {
-            return value > 0.04045
-                ? Math.pow((value + 0.055) / 1.055, 2.4)
-                : value / 12.92;
-        };
+    function rgbToXyz(r, g, b) {
+        // Normalize to [0, 1] and apply gamma correction (sRGB to linear RGB)
+        return linearRgbToXyz(
+            srgbToLinear(r / 255),
+            srgbToLinear(g / 255),
+            srgbToLinear(b / 255)
+        );
+    }
+
+    /**
+     * Standard illuminants: XYZ white points (Y = 100) for the CIE 1931 2° and
+     * CIE 1964 10° standard observers
+     */
+    const ILLUMINANTS = {
+        A: { label: 'A (incandescent)', white: { 2: [109.850, 100, 35.585], 10: [111.144, 100, 35.200] } },
+        C: { label: 'C (average daylight)', white: { 2: [98.074, 100, 118.232], 10: [97.285, 100, 116.145] } },
+        D50: { label: 'D50 (print, Pantone)', white: { 2: [96.422, 100, 82.521], 10: [96.720, 100, 81.427] } },
+        D55: { label: 'D55 (mid-morning daylight)', white: { 2: [95.682, 100, 92.149], 10: [95.799, 100, 90.926] } },
+        D65: { label: 'D65 (daylight, sRGB)', white: { 2: [95.047, 100, 108.883], 10: [94.811, 100, 107.304] } },
+        D75: { label: 'D75 (north sky daylight)', white: { 2: [94.972, 100, 122.638], 10: [94.416, 100, 120.641] } },
+        F2: { label: 'F2 (cool white fluorescent)', white: { 2: [99.187, 100, 67.395], 10: [103.280, 100, 69.026] } },
+        F7: { label: 'F7 (daylight fluorescent)', white: { 2: [95.044, 100, 108.755], 10: [95.792, 100, 107.687] } },
+        F11: { label: 'F11 (TL84 store lighting)', white: { 2: [100.966, 100, 64.370], 10: [103.866, 100, 65.627] } }
+    };
+
+    const OBSERVERS = ['2', '10'];
+
+    // sRGB, Display P3 and OKLab are defined relative to D65 (2° observer)
+    const D65_WHITE = { x: 95.047, y: 100, z: 108.883 };
+
+    /**
+     * Chromatic adaptation transforms (cone response matrices)
+     */
+    const ADAPTATION_METHODS = {
+        bradford: {
+            id: 'bradford',
+            label: 'Bradford',
+            matrix: [[0.8951, 0.2664, -0.1614], [-0.7502, 1.7135, 0.0367], [0.0389, -0.0685, 1.0296]]
+        },
+        cat02: {
+            id: 'cat02',
+            label: 'CAT02',
+            matrix: [[0.7328, 0.4296, -0.1624], [-0.7036, 1.6975, 0.0061], [0.0030, 0.0136, 0.9834]]
+        },
+        'von-kries': {
+            id: 'von-kries',
+            label: 'Von Kries',
+            matrix: [[0.40024, 0.70760, -0.08081], [-0.22630, 1.16532, 0.04570], [0, 0, 0.91822]]
+        },
+        xyz: {
+            id: 'xyz',
+            label: 'XYZ scaling',
+            matrix: [[1, 0, 0], [0, 1, 0], [0, 0, 1]]
+        },
+        none: {
+            id: 'none',
+            label: 'None (compare LAB as-is)',
+            matrix: null
+        }
+    };
+
+    const DEFAULT_ADAPTATION = 'bradford';
+
+    /**
+     * Resolve a white point
+     * @param {string|object} white - 'D50', 'D50/10', {illuminant, observer} or {x, y, z}
+     *                                (defaults to D65, 2° observer)
+     * @returns {object} XYZ white {x, y, z} with Y = 100
+     */
+    function getWhitePoint(white) {
+        if (white && typeof white.x === 'number') {
+            return white;
+        }
+
+        let illuminant = 'D65';
+        let observer = '2';
+        if (typeof white === 'string') {
+            [illuminant, observer = '2'] = white.split('/');
+        } else if (white) {
+            illuminant = white.illuminant || illuminant;
+            observer = String(white.observer || observer);
+        }
+
+        const definition = ILLUMINANTS[illuminant.toUpperCase()];
+        if (!definition || !definition.white[observer]) {
+            throw new Error(`Unknown illuminant: ${illuminant}/${observer}°`);
+        }
+
+        const [x, y, z] = definition.white[observer];
+        return { x, y, z };
+    }
+
+    /**
+     * List standard illuminants
+     * @returns {Array} [{id, label}]
+     */
+    function getIlluminants() {
+        return Object.keys(ILLUMINANTS).map(id => ({ id, label: ILLUMINANTS[id].label }));
+    }
 
-        r = toLinear(r);
-        g = toLinear(g);
-        b = toLinear(b);
+    /**
+     * List chromatic adaptation methods
+     * @returns {Array} [{id, label}]
+     */
+    function getAdaptationMethods() {
+        return Object.values(ADAPTATION_METHODS).map(({ id, label }) => ({ id, label }));
+    }
+
+    /**
+     * Multiply a 3×3 matrix by a vector
+     */
+    function multiplyMatrix(m, v) {
+        return [
+            m[0][0] * v[0] + m[0][1] * v[1] + m[0][2] * v[2],
+            m[1][0] * v[0] + m[1][1] * v[1] + m[1][2] * v[2],
+            m[2][0] * v[0] + m[2][1] * v[1] + m[2][2] * v[2]
+        ];
+    }
+
+    /**
+     * Invert a 3×3 matrix
+     */
+    function invertMatrix(m) {
+        const [[a, b, c], [d, e, f], [g, h, i]] = m;
+        const A = e * i - f * h;
+        const B = -(d * i - f * g);
+        const C = d * h - e * g;
+        const det = a * A + b * B + c * C;
+
+        return [
+            [A / det, -(b * i - c * h) / det, (b * f - c * e) / det],
+            [B / det, (a * i - c * g) / det, -(a * f - c * d) / det],
+            [C / det, -(a * h - b * g) / det, (a * e - b * d) / det]
+        ];
+    }
+
+    // Adaptation matrices are reused for every color of a library
+    const adaptationCache = new Map();
+
+    /**
+     * Build the XYZ → XYZ adaptation matrix between two white points
+     */
+    function getAdaptationMatrix(source, target, method) {
+        const key = `${method}|${source.x},${source.y},${source.z}|${target.x},${target.y},${target.z}`;
+        if (adaptationCache.has(key)) {
+            return adaptationCache.get(key);
+        }
+
+        const cone = ADAPTATION_METHODS[method].matrix;
+        const sourceCone = multiplyMatrix(cone, [source.x, source.y, source.z]);
+        const targetCone = multiplyMatrix(cone, [target.x, target.y, target.z]);
+
+        // M⁻¹ · diag(target / source) · M
+        const scaled = cone.map((row, i) => row.map(value => value * targetCone[i] / sourceCone[i]));
+        const inverse = invertMatrix(cone);
+        const matrix = inverse.map(row => [0, 1, 2].map(col =>
+            row[0] * scaled[0][col] + row[1] * scaled[1][col] + row[2] * scaled[2][col]
+        ));
+
+        adaptationCache.set(key, matrix);
+        return matrix;
+    }
+
+    /**
+     * Check whether two white points are the same
+     */
+    function sameWhite(white1, white2) {
+        return Math.abs(white1.x - white2.x) < 1e-6 &&
+               Math.abs(white1.y - white2.y) < 1e-6 &&
+               Math.abs(white1.z - white2.z) < 1e-6;
+    }
+
+    /**
+     * Chromatically adapt an XYZ color from one white point to another
+     * @param {object} xyz - XYZ color {x, y, z}
+     * @param {string|object} from - Source white (see getWhitePoint)
+     * @param {string|object} to - Target white
+     * @param {string} method - 'bradford' (default), 'cat02', 'von-kries', 'xyz' or 'none'
+     * @returns {object} Adapted XYZ {x, y, z}
+     */
+    function adaptXyz(xyz, from, to, method = DEFAULT_ADAPTATION) {
+        const source = getWhitePoint(from);
+        const target = getWhitePoint(to);
+        const adaptation = ADAPTATION_METHODS[method] || ADAPTATION_METHODS[DEFAULT_ADAPTATION];
+
+        if (!adaptation.matrix || sameWhite(source, target)) {
+            return { x: xyz.x, y: xyz.y, z: xyz.z };
+        }
+
+        const [x, y, z] = multiplyMatrix(getAdaptationMatrix(source, target, adaptation.id), [xyz.x, xyz.y, xyz.z]);
+        return { x, y, z };
+    }
+
+    /**
+     * Re-express a LAB color under another reference white
+     * With method 'none' the LAB values are returned unchanged (no adaptation)
+     * @param {object} lab - LAB color {L, a, b}
+     * @param {string|object} from - White the LAB value is relative to
+     * @param {string|object} to - Target white
+     * @param {string} method - Adaptation method id
+     * @returns {object} LAB color {L, a, b} relative to the target white
+     */
+    function adaptLab(lab, from, to, method = DEFAULT_ADAPTATION) {
+        const source = getWhitePoint(from);
+        const target = getWhitePoint(to);
 
-        // Step 3: Convert to XYZ (D65 illuminant)
-        let x = r * 0.4124564 + g * 0.3575761 + b * 0.1804375;
-        let y = r * 0.2126729 + g * 0.7151522 + b * 0.0721750;
-        let z = r * 0.0193339 + g * 0.1191920 + b * 0.9503041;
+        if (method === 'none' || sameWhite(source, target)) {
+            return { L: lab.L, a: lab.a, b: lab.b };
+        }
 
-        // Step 4: Normalize by D65 white point
-        x = (x * 100) / 95.047;
-        y = (y * 100) / 100.000;
-        z = (z * 100) / 108.883;
+        const xyz = adaptXyz(labToXyz(lab.L, lab.a, lab.b, source), source, target, method);
+        return xyzToLab(xyz.x, xyz.y, xyz.z, target);
+    }
 
-        // Step 5: Apply Lab transformation
+    /**
+     * Convert XYZ to LAB
+     * @param {number} x - X (D65 white = 95.047)
+     * @param {number} y - Y (white = 100)
+     * @param {number} z - Z (D65 white = 108.883)
+     * @param {string|object} white - Reference white (defaults to D65, 2° observer)
+     * @returns {object} LAB object {L, a, b}
+     */
+    function xyzToLab(x, y, z, white) {
+        // Step 1: Normalize by the reference white point
+        const reference = white ? getWhitePoint(white) : D65_WHITE;
+        x = x / reference.x;
+        y = y / reference.y;
+        z = z / reference.z;
+
+        // Step 2: Apply Lab transformation
         const transform = (value) => {
             return value > 0.008856
                 ? Math.pow(value, 1/3)
@@ -93,15 +332,427 @@ const ColorAlgorithms = (function() {
         y = transform(y);
         z = transform(z);
 
-        // Step 6: Calculate Lab values
-        const L = (116 * y) - 16;
-        const a = 500 * (x - y);
-        const bValue = 200 * (y - z);
+        // Step 3: Calculate Lab values
+        return {
+            L: (116 * y) - 16,
+            a: 500 * (x - y),
+            b: 200 * (y - z)
+        };
+    }
+
+    /**
+     * Convert LAB to XYZ
+     * @param {number} L - Lightness (0-100)
+     * @param {number} a - Green-red axis
+     * @param {number} b - Blue-yellow axis
+     * @param {string|object} white - Reference white (defaults to D65, 2° observer)
+     * @returns {object} XYZ object {x, y, z} scaled so white Y = 100
+     */
+    function labToXyz(L, a, b, white) {
+        const reference = white ? getWhitePoint(white) : D65_WHITE;
+        const fy = (L + 16) / 116;
+        const fx = a / 500 + fy;
+        const fz = fy - b / 200;
+
+        const inverse = (value) => {
+            const cube = value * value * value;
+            return cube > 0.008856 ? cube : (value - 16 / 116) / 7.787;
+        };
+
+        return {
+            x: inverse(fx) * reference.x,
+            y: inverse(fy) * reference.y,
+            z: inverse(fz) * reference.z
+        };
+    }
+
+    /**
+     * Convert XYZ (D65 illuminant) to linear sRGB
+     * @param {number} x - X (white = 95.047)
+     * @param {number} y - Y (white = 100)
+     * @param {number} z - Z (white = 108.883)
+     * @returns {object} Linear RGB {r, g, b}, outside [0, 1] when out of gamut
+     */
+    function xyzToLinearRgb(x, y, z) {
+        x /= 100;
+        y /= 100;
+        z /= 100;
+
+        return {
+            r: x * 3.2404542 + y * -1.5371385 + z * -0.4985314,
+            g: x * -0.9692660 + y * 1.8760108 + z * 0.0415560,
+            b: x * 0.0556434 + y * -0.2040259 + z * 1.0572252
+        };
+    }
+
+    /**
+     * Convert XYZ (D65 illuminant) to RGB
+     * Colors outside the sRGB gamut are clipped
+     * @returns {object} RGB object {r, g, b} (0-255)
+     */
+    function xyzToRgb(x, y, z) {
+        const linear = xyzToLinearRgb(x, y, z);
+        const toByte = (value) => Math.round(Math.max(0, Math.min(1, linearToSrgb(value))) * 255);
+
+        return {
+            r: toByte(linear.r),
+            g: toByte(linear.g),
+            b: toByte(linear.b)
+        };
+    }
+
+    /**
+     * Convert RGB to LAB
+     * @param {number} r - Red (0-255)
+     * @param {number} g - Green (0-255)
+     * @param {number} b - Blue (0-255)
+     * @param {string|object} white - Reference white (defaults to D65; others are Bradford-adapted)
+     * @returns {object} LAB object {L, a, b}
+     */
+    function rgbToLab(r, g, b, white) {
+        let xyz = rgbToXyz(r, g, b);
+        if (white) {
+            xyz = adaptXyz(xyz, D65_WHITE, white);
+        }
+        return xyzToLab(xyz.x, xyz.y, xyz.z, white);
+    }
+
+    /**
+     * Convert LAB to RGB
+     * Colors outside the sRGB gamut are clipped
+     * @param {number} L - Lightness (0-100)
+     * @param {number} a - Green-red axis
+     * @param {number} b - Blue-yellow axis
+     * @param {string|object} white - Reference white of the LAB value (defaults to D65)
+     * @returns {object} RGB object {r, g, b}
+     */
+    function labToRgb(L, a, b, white) {
+        const xyz = labToD65Xyz({ L, a, b }, white);
+        return xyzToRgb(xyz.x, xyz.y, xyz.z);
+    }
+
+    /**
+     * Convert LAB under any reference white to D65 XYZ (Bradford-adapted)
+     */
+    function labToD65Xyz(lab, white) {
+        const xyz = labToXyz(lab.L, lab.a, lab.b, white);
+        return white ? adaptXyz(xyz, white, D65_WHITE) : xyz;
+    }
+
+    /**
+     * Convert LAB to LCh (cylindrical LAB)
+     * @param {object} lab - LAB color {L, a, b}
+     * @returns {object} LCh object {L, C, h} with h in degrees [0, 360)
+     */
+    function labToLch(lab) {
+        const C = Math.sqrt(lab.a * lab.a + lab.b * lab.b);
+        const h = (Math.atan2(lab.b, lab.a) * 180 / Math.PI + 360) % 360;
+
+        return { L: lab.L, C, h };
+    }
+
+    /**
+     * Convert LCh to LAB (also used for OKLCh to OKLab)
+     * @param {number} L - Lightness
+     * @param {number} C - Chroma
+     * @param {number} h - Hue angle in degrees
+     * @returns {object} LAB object {L, a, b}
+     */
+    function lchToLab(L, C, h) {
+        const radians = h * Math.PI / 180;
+
+        return {
+            L,
+            a: C * Math.cos(radians),
+            b: C * Math.sin(radians)
+        };
+    }
+
+    /**
+     * Convert OKLab to XYZ (D65 illuminant)
+     * @param {number} L - OKLab lightness (0-1)
+     * @param {number} a - OKLab a
+     * @param {number} b - OKLab b
+     * @returns {object} XYZ object {x, y, z} scaled so white Y = 100
+     */
+    function oklabToXyz(L, a, b) {
+        const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+        const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+        const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+        return linearRgbToXyz(
+            4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+            -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+            -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+        );
+    }
+
+    /**
+     * Convert Display P3 to XYZ (D65 illuminant)
+     * @param {number} r - Gamma-encoded red (0-1)
+     * @param {number} g - Gamma-encoded green (0-1)
+     * @param {number} b - Gamma-encoded blue (0-1)
+     * @returns {object} XYZ object {x, y, z} scaled so white Y = 100
+     */
+    function displayP3ToXyz(r, g, b) {
+        // Display P3 shares the sRGB transfer function
+        r = srgbToLinear(r);
+        g = srgbToLinear(g);
+        b = srgbToLinear(b);
+
+        return {
+            x: (r * 0.4865709486 + g * 0.2656676932 + b * 0.1982172852) * 100,
+            y: (r * 0.2289745641 + g * 0.6917385218 + b * 0.0792869141) * 100,
+            z: (r * 0.0000000000 + g * 0.0451133819 + b * 1.0439443689) * 100
+        };
+    }
+
+    /**
+     * Convert XYZ (D65 illuminant) to Display P3
+     * @param {number} x - X (white = 95.047)
+     * @param {number} y - Y (white = 100)
+     * @param {number} z - Z (white = 108.883)
+     * @returns {object} Gamma-encoded {r, g, b}, outside [0, 1] when out of gamut
+     */
+    function xyzToDisplayP3(x, y, z) {
+        x /= 100;
+        y /= 100;
+        z /= 100;
+
+        return {
+            r: linearToSrgb(x * 2.4934969119 + y * -0.9313836179 + z * -0.4027107845),
+            g: linearToSrgb(x * -0.8294889696 + y * 1.7626640603 + z * 0.0236246858),
+            b: linearToSrgb(x * 0.0358458302 + y * -0.0761723893 + z * 0.9568845240)
+        };
+    }
+
+    /**
+     * Convert XYZ (D65 illuminant) to OKLab
+     * @param {number} x - X (white = 95.047)
+     * @param {number} y - Y (white = 100)
+     * @param {number} z - Z (white = 108.883)
+     * @returns {object} OKLab object {L, a, b} with L in [0, 1]
+     */
+    function xyzToOklab(x, y, z) {
+        const rgb = xyzToLinearRgb(x, y, z);
+
+        const l = Math.cbrt(0.4122214708 * rgb.r + 0.5363325363 * rgb.g + 0.0514459929 * rgb.b);
+        const m = Math.cbrt(0.2119034982 * rgb.r + 0.6806995451 * rgb.g + 0.1073969566 * rgb.b);
+        const s = Math.cbrt(0.0883024619 * rgb.r + 0.2817188376 * rgb.g + 0.6299787005 * rgb.b);
+
+        return {
+            L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+            a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+            b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+        };
+    }
+
+    // RGB gamuts that LAB colors can be checked against and mapped into
+    const GAMUTS = {
+        srgb: {
+            label: 'sRGB',
+            fromXyz: (xyz) => {
+                const linear = xyzToLinearRgb(xyz.x, xyz.y, xyz.z);
+                return { r: linearToSrgb(linear.r), g: linearToSrgb(linear.g), b: linearToSrgb(linear.b) };
+            }
+        },
+        p3: {
+            label: 'Display P3',
+            fromXyz: (xyz) => xyzToDisplayP3(xyz.x, xyz.y, xyz.z)
+        }
+    };
+
+    // Half an 8-bit step, so rounded library values on the gamut edge count as inside
+    const GAMUT_EPSILON = 0.5 / 255;
+
+    // Just-noticeable difference in OKLab used by the CSS Color 4 gamut mapping algorithm
+    const GAMUT_MAP_JND = 0.02;
+
+    /**
+     * Check whether gamma-encoded channels are inside [0, 1]
+     */
+    function channelsInGamut(rgb) {
+        return [rgb.r, rgb.g, rgb.b].every(value => value >= -GAMUT_EPSILON && value <= 1 + GAMUT_EPSILON);
+    }
+
+    /**
+     * Clip gamma-encoded channels to [0, 1]
+     */
+    function clipChannels(rgb) {
+        const clip = (value) => Math.max(0, Math.min(1, value));
+        return { r: clip(rgb.r), g: clip(rgb.g), b: clip(rgb.b) };
+    }
+
+    /**
+     * Check whether a LAB color can be displayed in an RGB gamut
+     * @param {object} lab - LAB color {L, a, b}
+     * @param {string} space - 'srgb' or 'p3'
+     * @param {string|object} white - Reference white of the LAB value (defaults to D65)
+     * @returns {boolean} True if the color is inside the gamut
+     */
+    function isInGamut(lab, space = 'srgb', white) {
+        const xyz = labToD65Xyz(lab, white);
+        return channelsInGamut(GAMUTS[space].fromXyz(xyz));
+    }
+
+    /**
+     * Check a LAB color against the sRGB and Display P3 gamuts
+     * @param {object} lab - LAB color {L, a, b}
+     * @param {string|object} white - Reference white of the LAB value (defaults to D65)
+     * @returns {object} {srgb, p3} booleans, true when inside that gamut
+     */
+    function checkGamut(lab, white) {
+        return {
+            srgb: isInGamut(lab, 'srgb', white),
+            p3: isInGamut(lab, 'p3', white)
+        };
+    }
+
+    /**
+     * Map a LAB color into an RGB gamut perceptually (CSS Color 4 algorithm)
+     * Reduces OKLCh chroma at constant lightness and hue until clipping the
+     * result is no longer noticeable, instead of clipping each channel
+     * @param {object} lab - LAB color {L, a, b}
+     * @param {string} space - 'srgb' or 'p3'
+     * @param {string|object} white - Reference white of the LAB value (defaults to D65)
+     * @returns {object} Gamma-encoded {r, g, b} in [0, 1]
+     */
+    function gamutMap(lab, space = 'srgb', white) {
+        const toSpace = GAMUTS[space].fromXyz;
+        const xyz = labToD65Xyz(lab, white);
+        const origin = toSpace(xyz);
+
+        if (channelsInGamut(origin)) {
+            return clipChannels(origin);
+        }
+
+        const oklab = xyzToOklab(xyz.x, xyz.y, xyz.z);
+        if (oklab.L >= 1) return { r: 1, g: 1, b: 1 };
+        if (oklab.L <= 0) return { r: 0, g: 0, b: 0 };
+
+        const hue = Math.atan2(oklab.b, oklab.a) * 180 / Math.PI;
+        const toRgb = (chroma) => {
+            const candidate = lchToLab(oklab.L, chroma, hue);
+            return { candidate, rgb: toSpace(oklabToXyz(candidate.L, candidate.a, candidate.b)) };
+        };
+        const distance = (ok1, rgb) => {
+            // Clipped channels back to OKLab through XYZ of the target space
+            const clipped = fromSpaceToOklab(rgb, space);
+            return Math.sqrt(
+                Math.pow(ok1.L - clipped.L, 2) + Math.pow(ok1.a - clipped.a, 2) + Math.pow(ok1.b - clipped.b, 2)
+            );
+        };
+
+        let low = 0;
+        let high = Math.sqrt(oklab.a * oklab.a + oklab.b * oklab.b);
+        let clipped = clipChannels(origin);
+
+        while (high - low > 0.0001) {
+            const chroma = (low + high) / 2;
+            const { candidate, rgb } = toRgb(chroma);
+
+            if (channelsInGamut(rgb)) {
+                low = chroma;
+                continue;
+            }
+
+            clipped = clipChannels(rgb);
+            if (distance(candidate, clipped) < GAMUT_MAP_JND) {
+                return clipped;
+            }
+            high = chroma;
+        }
+
+        return clipChannels(toRgb(low).rgb);
+    }
+
+    /**
+     * Convert gamma-encoded sRGB or Display P3 channels to OKLab
+     */
+    function fromSpaceToOklab(rgb, space) {
+        const xyz = space === 'p3'
+            ? displayP3ToXyz(rgb.r, rgb.g, rgb.b)
+            : linearRgbToXyz(srgbToLinear(rgb.r), srgbToLinear(rgb.g), srgbToLinear(rgb.b));
+        return xyzToOklab(xyz.x, xyz.y, xyz.z);
+    }
+
+    /**
+     * Convert LAB to a displayable sRGB color by perceptual gamut mapping
+     * (labToRgb clips each channel instead)
+     * @param {object} lab - LAB color {L, a, b}
+     * @param {string|object} white - Reference white of the LAB value (defaults to D65)
+     * @returns {object} RGB object {r, g, b} (0-255)
+     */
+    function gamutMapToRgb(lab, white) {
+        const rgb = gamutMap(lab, 'srgb', white);
+        return {
+            r: Math.round(rgb.r * 255),
+            g: Math.round(rgb.g * 255),
+            b: Math.round(rgb.b * 255)
+        };
+    }
+
+    /**
+     * Convert HSL to RGB
+     * @param {number} h - Hue in degrees
+     * @param {number} s - Saturation (0-100)
+     * @param {number} l - Lightness (0-100)
+     * @returns {object} RGB object {r, g, b}
+     */
+    function hslToRgb(h, s, l) {
+        h = ((h % 360) + 360) % 360;
+        s /= 100;
+        l /= 100;
+
+        const k = (n) => (n + h / 30) % 12;
+        const a = s * Math.min(l, 1 - l);
+        const f = (n) => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+
+        return {
+            r: Math.round(f(0) * 255),
+            g: Math.round(f(8) * 255),
+            b: Math.round(f(4) * 255)
+        };
+    }
+
+    /**
+     * Convert CMYK to RGB (device-independent approximation, no ICC profile)
+     * @param {number} c - Cyan (0-100)
+     * @param {number} m - Magenta (0-100)
+     * @param {number} y - Yellow (0-100)
+     * @param {number} k - Black (0-100)
+     * @returns {object} RGB object {r, g, b}
+     */
+    function cmykToRgb(c, m, y, k) {
+        const black = 1 - k / 100;
+
+        return {
+            r: Math.round(255 * (1 - c / 100) * black),
+            g: Math.round(255 * (1 - m / 100) * black),
+            b: Math.round(255 * (1 - y / 100) * black)
+        };
+    }
+
+    /**
+     * Convert RGB to CMYK (inverse of cmykToRgb, no ICC profile)
+     * @param {number} r - Red (0-255)
+     * @param {number} g - Green (0-255)
+     * @param {number} b - Blue (0-255)
+     * @returns {object} CMYK object {c, m, y, k} (0-100)
+     */
+    function rgbToCmyk(r, g, b) {
+        const black = 1 - Math.max(r, g, b) / 255;
+        if (black === 1) {
+            return { c: 0, m: 0, y: 0, k: 100 };
+        }
+
+        const ink = (value) => Math.round((1 - value / 255 - black) / (1 - black) * 100);
 
         return {
-            L: L,
-            a: a,
-            b: bValue
+            c: ink(r),
+            m: ink(g),
+            y: ink(b),
+            k: Math.round(black * 100)
         };
     }
 
@@ -215,25 +866,350 @@ const ColorAlgorithms = (function() {
         return deltaE;
     }
 
+    /**
+     * Calculate Delta E (CIE94)
+     * Asymmetric: lab1 is the reference, lab2 the sample
+     * @param {object} lab1 - Reference LAB color {L, a, b}
+     * @param {object} lab2 - Sample LAB color {L, a, b}
+     * @param {string} application - 'graphic-arts' (default) or 'textiles'
+     * @returns {number} Delta E 94 value
+     */
+    function deltaE94(lab1, lab2, application = 'graphic-arts') {
+        const weights = application === 'textiles'
+            ? { kL: 2, K1: 0.048, K2: 0.014 }
+            : { kL: 1, K1: 0.045, K2: 0.015 };
+
+        const C1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+        const C2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
+
+        const deltaL = lab1.L - lab2.L;
+        const deltaC = C1 - C2;
+        const da = lab1.a - lab2.a;
+        const db = lab1.b - lab2.b;
+
+        // ΔH² can dip slightly below zero through rounding
+        const deltaH2 = Math.max(0, da * da + db * db - deltaC * deltaC);
+
+        const SL = 1;
+        const SC = 1 + weights.K1 * C1;
+        const SH = 1 + weights.K2 * C1;
+
+        return Math.sqrt(
+            Math.pow(deltaL / (weights.kL * SL), 2) +
+            Math.pow(deltaC / SC, 2) +
+            deltaH2 / (SH * SH)
+        );
+    }
+
+    /**
+     * Calculate Delta E (CMC l:c)
+     * Asymmetric: lab1 is the reference, lab2 the sample
+     * @param {object} lab1 - Reference LAB color {L, a, b}
+     * @param {object} lab2 - Sample LAB color {L, a, b}
+     * @param {number} l - Lightness weight (2 for acceptability, 1 for perceptibility)
+     * @param {number} c - Chroma weight (usually 1)
+     * @returns {number} Delta E CMC value
+     */
+    function deltaECMC(lab1, lab2, l = 2, c = 1) {
+        const C1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+        const C2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
+
+        const deltaL = lab1.L - lab2.L;
+        const deltaC = C1 - C2;
+        const da = lab1.a - lab2.a;
+        const db = lab1.b - lab2.b;
+        const deltaH2 = Math.max(0, da * da + db * db - deltaC * deltaC);
+
+        const H1 = (Math.atan2(lab1.b, lab1.a) * 180 / Math.PI + 360) % 360;
+
+        const T = (H1 >= 164 && H1 <= 345)
+            ? 0.56 + Math.abs(0.2 * Math.cos((H1 + 168) * Math.PI / 180))
+            : 0.36 + Math.abs(0.4 * Math.cos((H1 + 35) * Math.PI / 180));
+
+        const C1pow4 = Math.pow(C1, 4);
+        const F = Math.sqrt(C1pow4 / (C1pow4 + 1900));
+
+        const SL = lab1.L < 16 ? 0.511 : (0.040975 * lab1.L) / (1 + 0.01765 * lab1.L);
+        const SC = (0.0638 * C1) / (1 + 0.0131 * C1) + 0.638;
+        const SH = SC * (F * T + 1 - F);
+
+        return Math.sqrt(
+            Math.pow(deltaL / (l * SL), 2) +
+            Math.pow(deltaC / (c * SC), 2) +
+            deltaH2 / (SH * SH)
+        );
+    }
+
+    /**
+     * ΔE76 radius around lab1 that holds every color within a CIE94 distance
+     * ΔC² + ΔH² is the a*b* distance², so no term is scaled down by more than max(kL, SC)
+     * @param {object} lab1 - Reference LAB color {L, a, b}
+     * @param {number} deltaE - Delta E 94 distance
+     * @param {string} application - 'graphic-arts' (default) or 'textiles'
+     * @returns {number} ΔE76 radius
+     */
+    function radius94(lab1, deltaE, application = 'graphic-arts') {
+        const weights = application === 'textiles'
+            ? { kL: 2, K1: 0.048 }
+            : { kL: 1, K1: 0.045 };
+
+        const C1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+
+        // SH = 1 + K2·C1 never exceeds SC, as K2 < K1
+        return deltaE * Math.max(weights.kL, 1 + weights.K1 * C1);
+    }
+
+    /**
+     * ΔE76 radius around lab1 that holds every color within a CMC l:c distance
+     * @param {object} lab1 - Reference LAB color {L, a, b}
+     * @param {number} deltaE - Delta E CMC distance
+     * @param {number} l - Lightness weight
+     * @param {number} c - Chroma weight
+     * @returns {number} ΔE76 radius
+     */
+    function radiusCMC(lab1, deltaE, l = 2, c = 1) {
+        const C1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+
+        const SL = lab1.L < 16 ? 0.511 : (0.040975 * lab1.L) / (1 + 0.01765 * lab1.L);
+        const SC = (0.0638 * C1) / (1 + 0.0131 * C1) + 0.638;
+
+        // SH = SC·(FT + 1 − F) never exceeds SC, as T < 1
+        return deltaE * Math.max(l * SL, c * SC, SC);
+    }
+
+    /**
+     * ΔE76 radius around lab1 that holds every color within a CIEDE2000 distance
+     * For a color d away in ΔE76, ΔE00 ≥ d / max(SL, SC / √κ): the primed a*b* distance
+     * is at least the plain one, SH ≤ SC and |RT| ≤ √3 keeps at least κ = 1 − √3/2 of the
+     * chroma and hue terms. SL and SC only grow with d (L̄' is within d/2 of L1, and
+     * C̄' ≤ 1.5·(C1 + d/2)), so the bound is solved for d; past the point where it stops
+     * growing there is no radius and every color has to be checked
+     * @param {object} lab1 - LAB color {L, a, b}
+     * @param {number} deltaE - Delta E 2000 distance
+     * @returns {number} ΔE76 radius (Infinity when unbounded)
+     */
+    function radius2000(lab1, deltaE) {
+        const C1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+        const sqrtKappa = Math.sqrt(1 - Math.sqrt(3) / 2);
+
+        // SL ≤ 1 + 0.015·|L̄' − 50| ≤ 1 + 0.015·|L1 − 50| + 0.0075·d
+        const lightness = 1 - 0.0075 * deltaE;
+        // SC / √κ ≤ (1 + 0.0675·C1 + 0.03375·d) / √κ
+        const chroma = sqrtKappa - 0.03375 * deltaE;
+
+        if (lightness <= 0 || chroma <= 0) {
+            return Infinity;
+        }
+
+        return Math.max(
+            deltaE * (1 + 0.015 * Math.abs(lab1.L - 50)) / lightness,
+            deltaE * (1 + 0.0675 * C1) / chroma
+        );
+    }
+
+    /**
+     * Delta E formulas available for ranking matches
+     * thresholds are the upper bounds for Perfect, Excellent, Good and Fair
+     * radius(lab1, deltaE) is the ΔE76 distance around lab1 that holds every color
+     * within deltaE of it, so Euclidean searches can be widened to an exact result
+     */
+    const DELTA_E_METRICS = {
+        '76': {
+            id: '76',
+            label: 'CIE76',
+            symbol: 'ΔE76',
+            compute: deltaE76,
+            radius: (lab1, deltaE) => deltaE,
+            thresholds: [1.0, 2.0, 10.0, 50.0]
+        },
+        '94': {
+            id: '94',
+            label: 'CIE94 (graphic arts)',
+            symbol: 'ΔE94',
+            compute: (lab1, lab2) => deltaE94(lab1, lab2, 'graphic-arts'),
+            radius: (lab1, deltaE) => radius94(lab1, deltaE, 'graphic-arts'),
+            thresholds: [1.0, 2.0, 6.0, 30.0]
+        },
+        '94t': {
+            id: '94t',
+            label: 'CIE94 (textiles)',
+            symbol: 'ΔE94t',
+            compute: (lab1, lab2) => deltaE94(lab1, lab2, 'textiles'),
+            radius: (lab1, deltaE) => radius94(lab1, deltaE, 'textiles'),
+            thresholds: [1.0, 2.0, 6.0, 30.0]
+        },
+        '2000': {
+            id: '2000',
+            label: 'CIEDE2000',
+            symbol: 'ΔE00',
+            compute: deltaE2000,
+            radius: radius2000,
+            thresholds: [1.0, 2.0, 6.0, 30.0]
+        },
+        'cmc21': {
+            id: 'cmc21',
+            label: 'CMC 2:1 (acceptability)',
+            symbol: 'ΔE CMC 2:1',
+            compute: (lab1, lab2) => deltaECMC(lab1, lab2, 2, 1),
+            radius: (lab1, deltaE) => radiusCMC(lab1, deltaE, 2, 1),
+            thresholds: [1.0, 2.0, 5.0, 25.0]
+        },
+        'cmc11': {
+            id: 'cmc11',
+            label: 'CMC 1:1 (perceptibility)',
+            symbol: 'ΔE CMC 1:1',
+            compute: (lab1, lab2) => deltaECMC(lab1, lab2, 1, 1),
+            radius: (lab1, deltaE) => radiusCMC(lab1, deltaE, 1, 1),
+            thresholds: [1.0, 2.0, 5.0, 25.0]
+        }
+    };
+
+    // Display order (numeric-looking keys would otherwise be enumerated first)
+    const METRIC_ORDER = ['76', '94', '94t', '2000', 'cmc21', 'cmc11'];
+
+    const DEFAULT_METRIC = '76';
+
+    /**
+     * Get a Delta E metric definition
+     * @param {string} id - Metric id (e.g., '76', '2000', 'cmc21')
+     * @returns {object} Metric definition (falls back to CIE76)
+     */
+    function getMetric(id) {
+        return DELTA_E_METRICS[id] || DELTA_E_METRICS[DEFAULT_METRIC];
+    }
+
+    /**
+     * List all Delta E metric definitions
+     * @returns {Array} Metric definitions
+     */
+    function getMetrics() {
+        return METRIC_ORDER.map(id => DELTA_E_METRICS[id]);
+    }
+
+    /**
+     * Calculate Delta E using the given formula
+     * @param {object} lab1 - Reference LAB color {L, a, b}
+     * @param {object} lab2 - Sample LAB color {L, a, b}
+     * @param {string} metric - Metric id (defaults to CIE76)
+     * @returns {number} Delta E value
+     */
+    function deltaE(lab1, lab2, metric = DEFAULT_METRIC) {
+        return getMetric(metric).compute(lab1, lab2);
+    }
+
     /**
      * Get interpretation of Delta E value
      * @param {number} deltaE - Delta E value
+     * @param {string} metric - Metric id the value was computed with (defaults to CIE76)
      * @returns {object} {rating, description}
      */
-    function getDeltaEInterpretation(deltaE) {
-        if (deltaE < 1.0) {
+    function getDeltaEInterpretation(deltaE, metric = DEFAULT_METRIC) {
+        const [perfect, excellent, good, fair] = getMetric(metric).thresholds;
+
+        if (deltaE < perfect) {
             return { rating: 'Perfect', description: 'Not perceptible by human eyes', class: 'perfect' };
-        } else if (deltaE < 2.0) {
+        } else if (deltaE < excellent) {
             return { rating: 'Excellent', description: 'Perceptible through close observation', class: 'excellent' };
-        } else if (deltaE < 10.0) {
+        } else if (deltaE < good) {
             return { rating: 'Good', description: 'Perceptible at a glance', class: 'good' };
-        } else if (deltaE < 50.0) {
+        } else if (deltaE < fair) {
             return { rating: 'Fair', description: 'Colors are more similar than opposite', class: 'fair' };
         } else {
             return { rating: 'Poor', description: 'Colors are significantly different', class: 'poor' };
         }
     }
 
+    /**
+     * Split the difference between two LAB colors into lightness, chroma and hue
+     * ΔL² + ΔC² + ΔH² = ΔE76²; ΔH has the sign of the hue angle difference
+     * @param {object} reference - LAB color {L, a, b} compared against
+     * @param {object} sample - LAB color {L, a, b}
+     * @returns {object} {dL, dC, dH, dh} of sample minus reference, with dh the
+     *                   hue angle difference in degrees (-180 to 180)
+     */
+    function deltaComponents(reference, sample) {
+        const lch1 = labToLch(reference);
+        const lch2 = labToLch(sample);
+        const dh = ((lch2.h - lch1.h + 540) % 360) - 180;
+
+        return {
+            dL: lch2.L - lch1.L,
+            dC: lch2.C - lch1.C,
+            dH: 2 * Math.sqrt(lch1.C * lch2.C) * Math.sin(dh * Math.PI / 360),
+            dh
+        };
+    }
+
+    // Differences below this (in CIELAB units) are not mentioned by describeDifference
+    const DIFFERENCE_HINT_MIN = 1;
+
+    // Hue turning towards increasing angles from each quadrant, and towards decreasing ones
+    const HUE_SHIFTS = [
+        { from: 0, increasing: 'yellower', decreasing: 'redder' },
+        { from: 90, increasing: 'greener', decreasing: 'yellower' },
+        { from: 180, increasing: 'bluer', decreasing: 'greener' },
+        { from: 270, increasing: 'redder', decreasing: 'bluer' }
+    ];
+
+    /**
+     * Describe how a sample differs from a reference in plain words
+     * e.g. "lighter and less saturated" or "slightly darker and much bluer"
+     * @param {object} reference - LAB color {L, a, b} compared against
+     * @param {object} sample - LAB color {L, a, b}
+     * @returns {string} Phrase completing "the sample is …"
+     */
+    function describeDifference(reference, sample) {
+        const { dL, dC, dH, dh } = deltaComponents(reference, sample);
+        const amount = value => Math.abs(value) < 2 ? 'slightly ' : Math.abs(value) >= 10 ? 'much ' : '';
+        const phrases = [];
+
+        if (Math.abs(dL) >= DIFFERENCE_HINT_MIN) {
+            phrases.push(amount(dL) + (dL > 0 ? 'lighter' : 'darker'));
+        }
+        if (Math.abs(dC) >= DIFFERENCE_HINT_MIN) {
+            phrases.push(amount(dC) + (dC > 0 ? 'more saturated' : 'less saturated'));
+        }
+        if (Math.abs(dH) >= DIFFERENCE_HINT_MIN) {
+            // Quadrant of the mean hue, so the words do not flip at an axis
+            const mean = (labToLch(reference).h + dh / 2 + 360) % 360;
+            const quadrant = HUE_SHIFTS[Math.floor(mean / 90) % 4];
+            phrases.push(amount(dH) + (dh > 0 ? quadrant.increasing : quadrant.decreasing));
+        }
+
+        if (phrases.length === 0) {
+            return 'practically the same';
+        }
+        if (phrases.length === 1) {
+            return phrases[0];
+        }
+        return `${phrases.slice(0, -1).join(', ')} and ${phrases[phrases.length - 1]}`;
+    }
+
+    /**
+     * Get a warning for colors that screens cannot show accurately
+     * @param {object} gamut - Gamut flags {srgb, p3} (see checkGamut)
+     * @returns {object} {label, description, class}, or null when the color is inside sRGB
+     */
+    function getGamutWarning(gamut) {
+        if (!gamut || gamut.srgb) {
+            return null;
+        }
+
+        if (gamut.p3) {
+            return {
+                label: 'Out of sRGB',
+                description: 'Outside sRGB: most screens show a duller color. Wide-gamut (Display P3) screens can show it.',
+                class: 'gamut-srgb'
+            };
+        }
+
+        return {
+            label: 'Out of P3',
+            description: 'Outside sRGB and Display P3: no common screen can show this color accurately.',
+            class: 'gamut-p3'
+        };
+    }
+
     /**
      * Convert RGB to HSL
      * @param {number} r - Red (0-255)
@@ -286,11 +1262,49 @@ const ColorAlgorithms = (function() {
     return {
         hexToRgb,
         rgbToHex,
+        getWhitePoint,
+        getIlluminants,
+        getAdaptationMethods,
+        OBSERVERS,
+        DEFAULT_ADAPTATION,
+        adaptXyz,
+        adaptLab,
+        srgbToLinear,
+        linearToSrgb,
+        linearRgbToXyz,
+        rgbToXyz,
+        xyzToLab,
+        labToXyz,
+        xyzToLinearRgb,
+        xyzToRgb,
         rgbToLab,
+        labToRgb,
+        labToLch,
+        lchToLab,
+        oklabToXyz,
+        displayP3ToXyz,
+        xyzToDisplayP3,
+        xyzToOklab,
+        isInGamut,
+        checkGamut,
+        gamutMap,
+        gamutMapToRgb,
+        hslToRgb,
+        cmykToRgb,
+        rgbToCmyk,
         hexToLab,
         deltaE76,
+        deltaE94,
         deltaE2000,
+        deltaECMC,
+        deltaE,
+        deltaComponents,
+        describeDifference,
+        getMetric,
+        getMetrics,
+        DEFAULT_METRIC,
         getDeltaEInterpretation,
+        getGamutWarning,
         rgbToHsl,
         isValidHex
     };
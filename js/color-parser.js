@@ -0,0 +1,321 @@
+/**
+ * Color Parser Module
+ * Reads color input in hex, RGB, HSL, CMYK, Lab, LCh and CSS Color 4 syntax
+ * (lab(), lch(), oklab(), oklch(), color(display-p3 ...)) and returns
+ * the LAB value used for matching
+ */
+
+const ColorParser = (function(ColorAlgorithms) {
+    'use strict';
+
+    const NUMBER = '[+-]?(?:\\d+\\.?\\d*|\\.\\d+)(?:e[+-]?\\d+)?';
+    const FUNCTION_PATTERN = /^([a-z-]+)\(\s*([^)]*)\)$/i;
+
+    /**
+     * Input formats offered in the format dropdown
+     * wrap: function used when the user types bare numbers for this format
+     */
+    const FORMATS = [
+        { id: 'auto', label: 'Auto-detect', placeholder: '#FF5733, rgb(255 87 51), lab(54 81 70)…' },
+        { id: 'hex', label: 'HEX', placeholder: '#FF5733' },
+        { id: 'rgb', label: 'RGB', placeholder: '255, 87, 51', wrap: 'rgb' },
+        { id: 'hsl', label: 'HSL', placeholder: '11, 100%, 60%', wrap: 'hsl' },
+        { id: 'cmyk', label: 'CMYK', placeholder: '0, 66, 80, 0', wrap: 'cmyk' },
+        { id: 'lab', label: 'Lab (D50)', placeholder: '54.3, 75.8, 61.2', wrap: 'lab' },
+        { id: 'lch', label: 'LCh (D50)', placeholder: '54.3, 97.4, 38.9', wrap: 'lch' },
+        { id: 'oklch', label: 'OKLCh', placeholder: '0.68, 0.21, 33.7', wrap: 'oklch' },
+        { id: 'p3', label: 'Display P3', placeholder: '0.93, 0.4, 0.27', wrap: 'color', space: 'display-p3' }
+    ];
+
+    /**
+     * List input formats
+     * @returns {Array} Format definitions {id, label, placeholder}
+     */
+    function getFormats() {
+        return FORMATS;
+    }
+
+    /**
+     * Check an alpha component (a number, a percentage or "none")
+     * Alpha is not used for matching, but anything else is rejected
+     */
+    function checkAlpha(token) {
+        if (!new RegExp(`^(?:${NUMBER}%?|none)$`, 'i').test(token)) {
+            throw new Error(`Not an alpha value: "${token}"`);
+        }
+    }
+
+    /**
+     * Split function arguments on commas, spaces and the alpha slash
+     * The alpha component (after "/" or a 4th comma value where alpha applies) is
+     * checked, then dropped
+     */
+    function splitArguments(text) {
+        const [channels, alpha, ...rest] = text.split('/');
+        if (rest.length > 0) {
+            throw new Error('Expected one "/" before the alpha value');
+        }
+        if (alpha !== undefined) {
+            checkAlpha(alpha.trim());
+        }
+        return channels.trim().split(/[\s,]+/).filter(Boolean);
+    }
+
+    /**
+     * Read one numeric component
+     * @param {string} token - Number with optional %, deg, rad, grad or turn unit, or "none"
+     * @param {number} percentScale - Value that 100% maps to
+     * @returns {number} Parsed value (angles in degrees)
+     */
+    function readNumber(token, percentScale = 1) {
+        if (token === undefined) {
+            throw new Error('Missing color component');
+        }
+        if (token.toLowerCase() === 'none') {
+            return 0;
+        }
+
+        const match = token.match(new RegExp(`^(${NUMBER})(%|deg|rad|grad|turn)?$`, 'i'));
+        if (!match) {
+            throw new Error(`Not a number: "${token}"`);
+        }
+
+        const value = parseFloat(match[1]);
+        switch ((match[2] || '').toLowerCase()) {
+            case '%': return (value / 100) * percentScale;
+            case 'rad': return value * 180 / Math.PI;
+            case 'grad': return value * 0.9;
+            case 'turn': return value * 360;
+            default: return value;
+        }
+    }
+
+    /**
+     * Read an exact number of components
+     */
+    function readComponents(args, count, scales) {
+        if (args.length < count || args.length > count + 1) {
+            throw new Error(`Expected ${count} values, got ${args.length}`);
+        }
+        if (args.length > count) {
+            checkAlpha(args[count]);
+        }
+        return scales.map((scale, i) => readNumber(args[i], scale));
+    }
+
+    /**
+     * Build a parse result from an RGB color
+     */
+    function fromRgb(rgb, format) {
+        const clamp = (value) => Math.round(Math.max(0, Math.min(255, value)));
+        const safe = { r: clamp(rgb.r), g: clamp(rgb.g), b: clamp(rgb.b) };
+
+        return {
+            format,
+            rgb: safe,
+            hex: ColorAlgorithms.rgbToHex(safe.r, safe.g, safe.b).toUpperCase(),
+            lab: ColorAlgorithms.rgbToLab(safe.r, safe.g, safe.b),
+            white: 'D65',
+            direct: false
+        };
+    }
+
+    /**
+     * Build a parse result from an XYZ (D65) color
+     * LAB is computed from XYZ so wide-gamut colors are not clipped before matching
+     */
+    function fromXyz(xyz, format) {
+        const rgb = ColorAlgorithms.xyzToRgb(xyz.x, xyz.y, xyz.z);
+
+        return {
+            format,
+            rgb,
+            hex: ColorAlgorithms.rgbToHex(rgb.r, rgb.g, rgb.b).toUpperCase(),
+            lab: ColorAlgorithms.xyzToLab(xyz.x, xyz.y, xyz.z),
+            white: 'D65',
+            direct: false
+        };
+    }
+
+    /**
+     * Build a parse result from a LAB color (D50, like CSS lab() and Pantone's measurements)
+     * Matching uses this LAB as-is: no sRGB round trip
+     */
+    function fromLab(lab, format) {
+        const rgb = ColorAlgorithms.labToRgb(lab.L, lab.a, lab.b, 'D50');
+
+        return {
+            format,
+            rgb,
+            hex: ColorAlgorithms.rgbToHex(rgb.r, rgb.g, rgb.b).toUpperCase(),
+            lab: { L: lab.L, a: lab.a, b: lab.b },
+            white: 'D50',
+            direct: true
+        };
+    }
+
+    /**
+     * Parse a hex color
+     */
+    function parseHex(text) {
+        const hex = text.startsWith('#') ? text : '#' + text;
+        if (!ColorAlgorithms.isValidHex(hex)) {
+            throw new Error(`Not a hex color: "${text}"`);
+        }
+
+        return fromRgb(ColorAlgorithms.hexToRgb(hex), 'hex');
+    }
+
+    /**
+     * Parse a CSS-style function: rgb(), hsl(), cmyk(), lab(), lch(), oklab(), oklch(), color()
+     */
+    function parseFunction(name, args) {
+        switch (name) {
+            case 'rgb':
+            case 'rgba': {
+                const [r, g, b] = readComponents(args, 3, [255, 255, 255]);
+                return fromRgb({ r, g, b }, 'rgb');
+            }
+            case 'hsl':
+            case 'hsla': {
+                const [h, s, l] = readComponents(args, 3, [360, 100, 100]);
+                return fromRgb(ColorAlgorithms.hslToRgb(h, s, l), 'hsl');
+            }
+            case 'device-cmyk':
+            case 'cmyk': {
+                // Plain numbers are percentages (0-100); fractions (all ≤ 1) are accepted too
+                let values = readComponents(args, 4, [100, 100, 100, 100]);
+                if (values.every(value => value <= 1) && !args.slice(0, 4).some(arg => arg.endsWith('%'))) {
+                    values = values.map(value => value * 100);
+                }
+                return fromRgb(ColorAlgorithms.cmykToRgb(...values), 'cmyk');
+            }
+            case 'lab': {
+                const [L, a, b] = readComponents(args, 3, [100, 125, 125]);
+                return fromLab({ L, a, b }, 'lab');
+            }
+            case 'lch': {
+                const [L, C, h] = readComponents(args, 3, [100, 150, 360]);
+                return fromLab(ColorAlgorithms.lchToLab(L, C, h), 'lch');
+            }
+            case 'oklab': {
+                const [L, a, b] = readComponents(args, 3, [1, 0.4, 0.4]);
+                return fromXyz(ColorAlgorithms.oklabToXyz(L, a, b), 'oklab');
+            }
+            case 'oklch': {
+                const [L, C, h] = readComponents(args, 3, [1, 0.4, 360]);
+                const oklab = ColorAlgorithms.lchToLab(L, C, h);
+                return fromXyz(ColorAlgorithms.oklabToXyz(oklab.L, oklab.a, oklab.b), 'oklch');
+            }
+            case 'color':
+                return parseColorFunction(args);
+            default:
+                throw new Error(`Unknown color function: ${name}()`);
+        }
+    }
+
+    /**
+     * Parse color(<space> c1 c2 c3)
+     */
+    function parseColorFunction(args) {
+        const space = (args[0] || '').toLowerCase();
+        const [c1, c2, c3] = readComponents(args.slice(1), 3, [1, 1, 1]);
+
+        switch (space) {
+            case 'srgb':
+                return fromRgb({ r: c1 * 255, g: c2 * 255, b: c3 * 255 }, 'srgb');
+            case 'srgb-linear':
+                return fromXyz(ColorAlgorithms.linearRgbToXyz(c1, c2, c3), 'srgb-linear');
+            case 'display-p3':
+                return fromXyz(ColorAlgorithms.displayP3ToXyz(c1, c2, c3), 'p3');
+            case 'xyz':
+            case 'xyz-d65':
+                return fromXyz({ x: c1 * 100, y: c2 * 100, z: c3 * 100 }, 'xyz');
+            default:
+                throw new Error(`Unsupported color space: ${space || '(none)'}`);
+        }
+    }
+
+    /**
+     * Parse print-style notations: "C0 M66 Y80 K0" and "L*54 a*81 b*70"
+     * @returns {object|null} Parse result, or null if the text is not in either notation
+     */
+    function parseLabelled(text) {
+        const cmyk = text.match(new RegExp(
+            `^c\\s*[:=]?\\s*(${NUMBER})%?[\\s,]+m\\s*[:=]?\\s*(${NUMBER})%?[\\s,]+y\\s*[:=]?\\s*(${NUMBER})%?[\\s,]+k\\s*[:=]?\\s*(${NUMBER})%?$`, 'i'
+        ));
+        if (cmyk) {
+            return fromRgb(ColorAlgorithms.cmykToRgb(...cmyk.slice(1, 5).map(parseFloat)), 'cmyk');
+        }
+
+        const lab = text.match(new RegExp(
+            `^l\\*?\\s*[:=]?\\s*(${NUMBER})[\\s,]+a\\*?\\s*[:=]?\\s*(${NUMBER})[\\s,]+b\\*?\\s*[:=]?\\s*(${NUMBER})$`, 'i'
+        ));
+        if (lab) {
+            return fromLab({ L: parseFloat(lab[1]), a: parseFloat(lab[2]), b: parseFloat(lab[3]) }, 'lab');
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse a color in any supported notation
+     * @param {string} input - Color text
+     * @param {string} format - Format id from getFormats() ('auto' detects the notation)
+     * @returns {object} {format, input, hex, rgb, lab, white, direct} where white is the
+     *                   reference white of lab ('D65', or 'D50' for Lab/LCh) and direct
+     *                   is true when LAB came straight from the input
+     * @throws {Error} If the input cannot be read
+     */
+    function parse(input, format = 'auto') {
+        const text = String(input || '').trim();
+        if (!text) {
+            throw new Error('Please enter a color');
+        }
+
+        const definition = FORMATS.find(item => item.id === format) || FORMATS[0];
+        let result;
+
+        const fn = text.match(FUNCTION_PATTERN);
+        if (fn) {
+            result = parseFunction(fn[1].toLowerCase(), splitArguments(fn[2]));
+        } else if (definition.wrap) {
+            // Bare numbers in the format picked in the dropdown
+            const args = splitArguments(text);
+            result = definition.space
+                ? parseColorFunction([definition.space, ...args])
+                : parseFunction(definition.wrap, args);
+        } else {
+            result = parseLabelled(text) || parseHex(text);
+        }
+
+        return { ...result, input: text };
+    }
+
+    /**
+     * Check whether text can be parsed
+     * @param {string} input - Color text
+     * @param {string} format - Format id
+     * @returns {boolean} True if parse() would succeed
+     */
+    function isValid(input, format = 'auto') {
+        try {
+            parse(input, format);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Public API
+    return {
+        parse,
+        isValid,
+        getFormats
+    };
+})(typeof ColorAlgorithms !== 'undefined' ? ColorAlgorithms : require('./color-algorithms.js'));
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ColorParser;
+}
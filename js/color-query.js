@@ -0,0 +1,386 @@
+/**
+ * Color Query Module
+ * Parses picker search text into filters and compiles them into a predicate:
+ *   L>70  a<0  b:10-40  chroma<20  hue:200-240  family:blue  series:7xxx
+ *   neutral  near:#1a2b3c within ΔE 5  "cool gray"  -family:green
+ * Words without a filter match the name, code or hex as before
+ */
+
+const ColorQuery = (function(ColorAlgorithms, ColorParser) {
+    'use strict';
+
+    // Colors below this CIELCh chroma count as neutral and belong to no hue family
+    const NEUTRAL_CHROMA = 8;
+    const DEFAULT_NEAR_DELTA = 5;
+
+    const NUMBER = '-?(?:\\d+\\.?\\d*|\\.\\d+)';
+    const COMPARISON_PATTERN = new RegExp(`^([a-z]+)(>=|<=|>|<|=|:)(${NUMBER})(?:(?:-|\\.\\.)(${NUMBER}))?$`, 'i');
+    const TOKEN_PATTERN = /-?"[^"]*"?|\S+/g;
+    const DELTA_WORDS = ['δe', 'de', 'deltae', 'delta-e'];
+
+    // Filter name -> LCh channel
+    const CHANNELS = {
+        l: 'L',
+        lightness: 'L',
+        a: 'a',
+        b: 'b',
+        c: 'chroma',
+        chroma: 'chroma',
+        h: 'hue',
+        hue: 'hue'
+    };
+
+    const CHANNEL_LABELS = { L: 'L*', a: 'a*', b: 'b*', chroma: 'Chroma', hue: 'Hue' };
+
+    const channelCache = new WeakMap(); // color -> {L, a, b, chroma, hue}
+
+    /**
+     * Hue families as CIELCh hue ranges (degrees, D50 Lab of the library data)
+     * Ranges wrap when from > to. Extra limits narrow families such as brown.
+     */
+    const FAMILIES = {
+        red: { hue: [15, 50] },
+        orange: { hue: [50, 75] },
+        yellow: { hue: [75, 110] },
+        green: { hue: [110, 170] },
+        teal: { hue: [170, 230] },
+        blue: { hue: [230, 305] },
+        purple: { hue: [305, 335] },
+        pink: { hue: [335, 15] },
+        brown: { hue: [35, 85], maxL: 55, maxChroma: 60 },
+        neutral: { neutral: true }
+    };
+
+    const FAMILY_ALIASES = {
+        cyan: 'teal',
+        violet: 'purple',
+        magenta: 'pink',
+        gray: 'neutral',
+        grey: 'neutral'
+    };
+
+    /**
+     * List hue family names
+     * @returns {Array} Family names accepted by family:
+     */
+    function getFamilies() {
+        return Object.keys(FAMILIES);
+    }
+
+    /**
+     * LAB and LCh values of a color, cached on first use
+     * @param {object} color - Color with lab
+     * @returns {object} {L, a, b, chroma, hue}
+     */
+    function channelsOf(color) {
+        let channels = channelCache.get(color);
+        if (!channels) {
+            const lch = ColorAlgorithms.labToLch(color.lab);
+            channels = { L: color.lab.L, a: color.lab.a, b: color.lab.b, chroma: lch.C, hue: lch.h };
+            channelCache.set(color, channels);
+        }
+        return channels;
+    }
+
+    /**
+     * Check whether a color belongs to a hue family
+     */
+    function inFamily(color, family) {
+        const { L, chroma, hue } = channelsOf(color);
+        if (family.neutral) return chroma < NEUTRAL_CHROMA;
+
+        return chroma >= NEUTRAL_CHROMA &&
+            hueInRange(hue, family.hue[0], family.hue[1]) &&
+            (family.maxL === undefined || L <= family.maxL) &&
+            (family.maxChroma === undefined || chroma <= family.maxChroma);
+    }
+
+    /**
+     * Name the one family a color is grouped under
+     * Families overlap (brown shares hues with red, orange and yellow), so
+     * neutral and brown are checked first
+     * @param {object} color - Color with lab
+     * @returns {string} Family name
+     */
+    function getFamily(color) {
+        const names = ['neutral', 'brown', ...getFamilies().filter(name => name !== 'neutral' && name !== 'brown')];
+        return names.find(name => inFamily(color, FAMILIES[name])) || 'neutral';
+    }
+
+    /**
+     * Check a hue angle against a range that may wrap past 360°
+     */
+    function hueInRange(hue, from, to) {
+        const start = ((from % 360) + 360) % 360;
+        const end = ((to % 360) + 360) % 360;
+        return start <= end ? hue >= start && hue <= end : hue >= start || hue <= end;
+    }
+
+    /**
+     * Split text into tokens with their positions
+     */
+    function tokenize(text) {
+        const tokens = [];
+        let match;
+
+        TOKEN_PATTERN.lastIndex = 0;
+        while ((match = TOKEN_PATTERN.exec(text)) !== null) {
+            tokens.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Build a channel comparison filter (L>70, hue:200-240, chroma<20...)
+     */
+    function parseComparison(channel, operator, value, upper) {
+        const label = CHANNEL_LABELS[channel];
+
+        if (upper !== undefined) {
+            const from = parseFloat(value);
+            const to = parseFloat(upper);
+
+            if (channel === 'hue') {
+                return { label: `${label} ${from}–${to}°`, test: color => hueInRange(channelsOf(color).hue, from, to) };
+            }
+
+            const min = Math.min(from, to);
+            const max = Math.max(from, to);
+            return { label: `${label} ${min}–${max}`, test: color => channelsOf(color)[channel] >= min && channelsOf(color)[channel] <= max };
+        }
+
+        const number = parseFloat(value);
+        const compare = {
+            '>': (x) => x > number,
+            '>=': (x) => x >= number,
+            '<': (x) => x < number,
+            '<=': (x) => x <= number,
+            '=': (x) => Math.round(x) === Math.round(number),
+            ':': (x) => Math.round(x) === Math.round(number)
+        }[operator];
+
+        const shown = operator === ':' ? '=' : operator;
+        return { label: `${label} ${shown} ${number}`, test: color => compare(channelsOf(color)[channel]) };
+    }
+
+    /**
+     * Build a hue family filter
+     */
+    function parseFamily(value) {
+        const name = FAMILY_ALIASES[value] || value;
+        const family = FAMILIES[name];
+        if (!family) {
+            throw new Error(`Unknown family "${value}" (try ${getFamilies().join(', ')})`);
+        }
+
+        return {
+            label: `Family: ${name}`,
+            test: color => inFamily(color, family)
+        };
+    }
+
+    /**
+     * Build a code series filter: x is any digit (7xxx = 7000–7999)
+     */
+    function parseSeries(value) {
+        if (!/^[0-9x*]+$/i.test(value)) {
+            throw new Error(`Series must be digits and x, e.g. 7xxx (got "${value}")`);
+        }
+
+        const pattern = new RegExp('^' + value.toLowerCase().replace(/x/g, '\\d').replace(/\*/g, '\\d*') + '$');
+
+        return {
+            label: `Series ${value.toLowerCase()}`,
+            test: color => {
+                const number = String(color.code || '').match(/^\d+/);
+                return number !== null && pattern.test(number[0]);
+            }
+        };
+    }
+
+    /**
+     * Read a color for near:
+     */
+    function parseNearColor(value) {
+        if (ColorParser) {
+            return ColorParser.parse(value);
+        }
+
+        const hex = value.startsWith('#') ? value : '#' + value;
+        if (!ColorAlgorithms.isValidHex(hex)) {
+            throw new Error(`Not a color: "${value}"`);
+        }
+        return { hex: hex.toUpperCase(), lab: ColorAlgorithms.hexToLab(hex), white: 'D65' };
+    }
+
+    /**
+     * Build a near:<color> filter
+     * @param {string} value - Color text
+     * @param {number} delta - Maximum Delta E
+     * @param {object} options - {metric, referenceWhite(libraryId), adaptation}
+     */
+    function parseNear(value, delta, options) {
+        const color = parseNearColor(value);
+        const metric = ColorAlgorithms.getMetric(options.metric);
+        const adapted = new Map(); // library -> color adapted to its reference white
+
+        const labFor = (library) => {
+            if (!adapted.has(library)) {
+                const white = options.referenceWhite ? options.referenceWhite(library) : 'D50';
+                adapted.set(library, ColorAlgorithms.adaptLab(color.lab, color.white, white, options.adaptation));
+            }
+            return adapted.get(library);
+        };
+
+        return {
+            label: `Near ${color.hex} ${metric.symbol} ≤ ${delta}`,
+            swatch: color.hex,
+            test: target => metric.compute(labFor(target.library), target.lab) <= delta
+        };
+    }
+
+    /**
+     * Read the "within ΔE 5" / "within:5" tail of a near: filter
+     * @returns {object} {delta, used: number of tokens consumed}
+     */
+    function readWithin(tokens, index) {
+        const first = tokens[index];
+        if (!first) return { delta: DEFAULT_NEAR_DELTA, used: 0 };
+
+        const inline = first.text.match(new RegExp(`^within:(${NUMBER})$`, 'i'));
+        if (inline) return { delta: parseFloat(inline[1]), used: 1 };
+        if (first.text.toLowerCase() !== 'within') return { delta: DEFAULT_NEAR_DELTA, used: 0 };
+
+        let used = 1;
+        const next = tokens[index + used];
+        if (next && DELTA_WORDS.includes(next.text.toLowerCase())) {
+            used++;
+        }
+
+        const number = tokens[index + used];
+        if (number && new RegExp(`^${NUMBER}$`).test(number.text)) {
+            return { delta: parseFloat(number.text), used: used + 1 };
+        }
+
+        throw new Error('Expected a number after "within"');
+    }
+
+    /**
+     * Parse search text into filters
+     * @param {string} text - Search text
+     * @param {object} options - {metric: Delta E formula id for near:,
+     *                           referenceWhite(libraryId): white of library LAB values,
+     *                           adaptation: chromatic adaptation method}
+     * @returns {object} {filters: [{label, negated, error, start, end, test}], words: [{text, negated}]}
+     *                   where start/end locate the filter in text
+     */
+    function parse(text, options = {}) {
+        const tokens = tokenize(text);
+        const filters = [];
+        const words = [];
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            let raw = token.text;
+            let end = token.end;
+
+            const negated = raw.length > 1 && raw.startsWith('-') && !new RegExp(`^${NUMBER}$`).test(raw);
+            if (negated) raw = raw.slice(1);
+
+            const lower = raw.toLowerCase();
+            let filter = null;
+
+            try {
+                const comparison = raw.match(COMPARISON_PATTERN);
+                const [key, ...rest] = lower.split(':');
+                const value = rest.join(':');
+
+                if (comparison && CHANNELS[comparison[1].toLowerCase()]) {
+                    filter = parseComparison(CHANNELS[comparison[1].toLowerCase()], comparison[2], comparison[3], comparison[4]);
+                } else if (key === 'family' && value) {
+                    filter = parseFamily(value);
+                } else if (key === 'series' && value) {
+                    filter = parseSeries(value);
+                } else if (key === 'near' && value) {
+                    const within = readWithin(tokens, i + 1);
+                    filter = parseNear(raw.slice(raw.indexOf(':') + 1), within.delta, options);
+                    if (within.used > 0) {
+                        end = tokens[i + within.used].end;
+                        i += within.used;
+                    }
+                } else if (lower === 'neutral') {
+                    filter = parseFamily(lower);
+                } else if (/^[a-z]+(>=|<=|>|<|=|:)/.test(lower) && CHANNELS[lower.match(/^[a-z]+/)[0]]) {
+                    throw new Error(`Expected a number or range, e.g. L>70 or hue:200-240`);
+                }
+            } catch (error) {
+                filter = { label: raw, error: error.message, test: () => true };
+            }
+
+            if (filter) {
+                filters.push({ ...filter, negated, start: token.start, end });
+            } else {
+                const word = raw.replace(/^"|"$/g, '').toLowerCase();
+                if (word) {
+                    words.push({ text: word, negated });
+                }
+            }
+        }
+
+        return { filters, words };
+    }
+
+    /**
+     * Compile parsed filters into one predicate
+     * Filters that failed to parse are ignored (the picker shows them as errors)
+     * @param {object} query - Result of parse()
+     * @returns {Function} color => boolean
+     */
+    function compile(query) {
+        const filters = query.filters.filter(filter => !filter.error);
+
+        return (color) => {
+            const matchesWords = query.words.every(word => {
+                const found = color.name.toLowerCase().includes(word.text) ||
+                    color.code.toLowerCase().includes(word.text) ||
+                    color.hex.toLowerCase().includes(word.text);
+                return word.negated ? !found : found;
+            });
+            if (!matchesWords) return false;
+
+            return filters.every(filter => {
+                if (!color.lab) return false;
+                return filter.negated ? !filter.test(color) : filter.test(color);
+            });
+        };
+    }
+
+    /**
+     * Remove one filter from the search text (for chip close buttons)
+     * @param {string} text - Search text
+     * @param {object} filter - Filter from parse(text)
+     * @returns {string} Text without the filter
+     */
+    function removeFilter(text, filter) {
+        return (text.slice(0, filter.start) + text.slice(filter.end)).replace(/\s{2,}/g, ' ').trim();
+    }
+
+    // Public API
+    return {
+        parse,
+        compile,
+        removeFilter,
+        getFamilies,
+        getFamily,
+        getChannels: channelsOf
+    };
+})(
+    typeof ColorAlgorithms !== 'undefined' ? ColorAlgorithms : require('./color-algorithms.js'),
+    typeof ColorParser !== 'undefined' ? ColorParser : require('./color-parser.js')
+);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ColorQuery;
+}
@@ -0,0 +1,263 @@
+/**
+ * Compare View Component
+ * Shows up to six colors side by side with the Delta E between each pair,
+ * under the Delta E formula selected in the app, and how each color differs
+ * from a reference color in lightness, chroma and hue
+ */
+
+window.CompareView = (function() {
+    'use strict';
+
+    const { escapeHtml } = HtmlUtils;
+
+    const MAX_COLORS = 6;
+
+    // LAB values are compared relative to one white, as Pantone's are measured
+    const COMPARE_WHITE = 'D50';
+
+    let colors = [];
+    let referenceIndex = 0;
+    let returnFocus = null;
+
+    // DOM elements
+    let modal, body, metricLabel;
+
+    /**
+     * Initialize the view
+     */
+    function init() {
+        modal = document.getElementById('compareModal');
+        body = document.getElementById('compareBody');
+        metricLabel = document.getElementById('compareMetric');
+
+        modal.querySelector('.picker-overlay').addEventListener('click', close);
+        document.getElementById('compareCloseButton').addEventListener('click', close);
+        body.addEventListener('click', handleClick);
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && isOpen()) {
+                close();
+            }
+        });
+    }
+
+    /**
+     * Show colors side by side
+     * @param {Array} list - Color objects {name, hex, lab, library?, libraryName?, white?};
+     *                      the first is the reference the others are described against
+     */
+    function open(list) {
+        colors = list.slice();
+        referenceIndex = 0;
+        render();
+
+        returnFocus = document.activeElement;
+        modal.style.display = 'flex';
+        document.body.style.overflow = 'hidden';
+        document.getElementById('compareCloseButton').focus();
+    }
+
+    /**
+     * Hide the view
+     */
+    function close() {
+        if (!isOpen()) return;
+
+        modal.style.display = 'none';
+        document.body.style.overflow = '';
+
+        if (returnFocus && document.contains(returnFocus)) {
+            returnFocus.focus();
+        }
+        returnFocus = null;
+    }
+
+    /**
+     * Check if the view is showing
+     */
+    function isOpen() {
+        return Boolean(modal) && modal.style.display !== 'none';
+    }
+
+    /**
+     * Redraw with the current settings (Delta E formula, reference white)
+     */
+    function refresh() {
+        if (isOpen()) {
+            render();
+        }
+    }
+
+    /**
+     * Make a color the reference, or take it out of the comparison
+     */
+    function handleClick(e) {
+        const button = e.target.closest('[data-compare-action]');
+        if (!button) return;
+
+        const index = Number(button.dataset.compareIndex);
+        const action = button.dataset.compareAction;
+
+        if (action === 'reference') {
+            referenceIndex = index;
+        } else {
+            colors.splice(index, 1);
+            if (index < referenceIndex || referenceIndex >= Math.min(colors.length, MAX_COLORS)) {
+                referenceIndex = Math.max(0, referenceIndex - 1);
+            }
+        }
+
+        render();
+
+        // Keep focus on the same button, or on the one that took the removed color's place
+        const last = Math.min(colors.length, MAX_COLORS) - 1;
+        const next = body.querySelector(`[data-compare-action="${action}"][data-compare-index="${Math.min(index, last)}"]`);
+        (next || document.getElementById('compareCloseButton')).focus();
+    }
+
+    /**
+     * Get a color's LAB relative to COMPARE_WHITE
+     */
+    function getCompareLab(color) {
+        const white = color.white || (color.library ? PantoneDatabase.getReferenceWhite(color.library) : COMPARE_WHITE);
+        return ColorAlgorithms.adaptLab(color.lab, white, COMPARE_WHITE, PantoneDatabase.getColorimetry().adaptation);
+    }
+
+    /**
+     * Render swatches, the Delta E matrix and the differences from the reference
+     */
+    function render() {
+        const metric = ColorAlgorithms.getMetric(App.getMetric());
+        const shown = colors.slice(0, MAX_COLORS);
+        const labs = shown.map(getCompareLab);
+
+        metricLabel.textContent = metric.label;
+
+        if (shown.length < 2) {
+            body.innerHTML = '<p class="compare-note">Pick at least two colors to compare.</p>';
+            return;
+        }
+
+        const swatches = shown.map((color, i) => `
+            <div class="compare-color ${i === referenceIndex ? 'reference' : ''}">
+                <div class="compare-swatch" style="background-color: ${color.hex}"></div>
+                <div class="compare-name">${escapeHtml(color.name)}</div>
+                <div class="compare-values">${color.hex}${color.libraryName ? ` · ${escapeHtml(color.libraryName)}` : ''}</div>
+                <div class="compare-color-actions">
+                    <button type="button" class="btn btn-secondary btn-small" data-compare-action="reference" data-compare-index="${i}"
+                            aria-pressed="${i === referenceIndex}" title="Describe the other colors against this one">${i === referenceIndex ? 'Reference' : 'Set as reference'}</button>
+                    ${shown.length > 2 ? `
+                        <button type="button" class="btn btn-secondary btn-small" data-compare-action="remove" data-compare-index="${i}"
+                                aria-label="Remove ${escapeHtml(color.name)} from the comparison" title="Remove">×</button>
+                    ` : ''}
+                </div>
+            </div>
+        `).join('');
+
+        const header = shown.map(color => `
+            <th scope="col"><span class="compare-chip" style="background-color: ${color.hex}"></span>${escapeHtml(shortName(color))}</th>
+        `).join('');
+
+        const rows = shown.map((color, i) => `
+            <tr>
+                <th scope="row"><span class="compare-chip" style="background-color: ${color.hex}"></span>${escapeHtml(shortName(color))}</th>
+                ${shown.map((other, j) => i === j ? '<td class="compare-self">—</td>' : renderCell(labs[i], labs[j], metric)).join('')}
+            </tr>
+        `).join('');
+
+        body.innerHTML = `
+            ${colors.length > MAX_COLORS ? `<p class="compare-note">Showing the first ${MAX_COLORS} of ${colors.length} colors.</p>` : ''}
+            <div class="compare-swatches">${swatches}</div>
+            <div class="compare-matrix-wrapper">
+                <table class="compare-matrix">
+                    <caption>Delta E between each pair (${escapeHtml(metric.label)})</caption>
+                    <thead><tr><td></td>${header}</tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            ${renderDifferences(shown, labs, metric)}
+        `;
+    }
+
+    /**
+     * Render how each color differs from the reference
+     * ΔL, ΔC and ΔH are CIELAB differences, whatever the Delta E formula
+     */
+    function renderDifferences(shown, labs, metric) {
+        const reference = shown[referenceIndex];
+        const rows = shown.map((color, i) => {
+            if (i === referenceIndex) return '';
+
+            const components = ColorAlgorithms.deltaComponents(labs[referenceIndex], labs[i]);
+            const hint = ColorAlgorithms.describeDifference(labs[referenceIndex], labs[i]);
+
+            return `
+                <tr>
+                    <th scope="row"><span class="compare-chip" style="background-color: ${color.hex}"></span>${escapeHtml(shortName(color))}</th>
+                    ${renderCell(labs[referenceIndex], labs[i], metric)}
+                    <td>${formatDelta(components.dL)}</td>
+                    <td>${formatDelta(components.dC)}</td>
+                    <td>${formatDelta(components.dH)}</td>
+                    <td class="compare-hint">${hint.charAt(0).toUpperCase() + hint.slice(1)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <div class="compare-matrix-wrapper">
+                <table class="compare-matrix compare-differences">
+                    <caption>Compared with ${escapeHtml(reference.name)}</caption>
+                    <thead>
+                        <tr>
+                            <td></td>
+                            <th scope="col">${escapeHtml(metric.symbol)}</th>
+                            <th scope="col" title="Lightness: positive is lighter">ΔL*</th>
+                            <th scope="col" title="Chroma: positive is more saturated">ΔC*</th>
+                            <th scope="col" title="Hue: positive is a counterclockwise turn (red → yellow → green → blue)">ΔH*</th>
+                            <th scope="col">Difference</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Format a signed difference
+     */
+    function formatDelta(value) {
+        const rounded = value.toFixed(2);
+        return Number(rounded) > 0 ? `+${rounded}` : Number(rounded) < 0 ? `−${rounded.slice(1)}` : '0.00';
+    }
+
+    /**
+     * Render one pair's Delta E
+     */
+    function renderCell(lab1, lab2, metric) {
+        const deltaE = metric.compute(lab1, lab2);
+        const interpretation = ColorAlgorithms.getDeltaEInterpretation(deltaE, metric.id);
+
+        return `
+            <td class="match-quality ${interpretation.class}" title="${interpretation.rating}: ${interpretation.description}">
+                <span class="quality-badge">${deltaE.toFixed(2)}</span>
+            </td>
+        `;
+    }
+
+    /**
+     * Name without the PANTONE prefix, for table headings
+     */
+    function shortName(color) {
+        return color.name.replace(/^PANTONE /, '');
+    }
+
+    // Public API
+    return {
+        MAX_COLORS,
+        init,
+        open,
+        close,
+        refresh
+    };
+})();
@@ -0,0 +1,33 @@
+/**
+ * HTML Utilities
+ * Escaping for text placed in HTML templates; names, titles and notes can
+ * come from imported swatch books, project files and links
+ */
+
+const HtmlUtils = (function() {
+    'use strict';
+
+    /**
+     * Escape text for HTML content and double-quoted attribute values
+     * @param {*} text - Text (null and undefined become '')
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Public API
+    return {
+        escapeHtml
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HtmlUtils;
+}
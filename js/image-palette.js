@@ -0,0 +1,296 @@
+/**
+ * Image Palette Component
+ * Extracts dominant colors from an uploaded image and matches each to Pantone
+ * Also owns the image canvases used by ImageSampler
+ */
+
+window.ImagePalette = (function() {
+    'use strict';
+
+    const { escapeHtml } = HtmlUtils;
+
+    const PREVIEW_MAX_WIDTH = 800;
+    const SOURCE_MAX_SIZE = 4096; // px, longest side kept for sampling
+    const ANALYSIS_MAX_SIZE = 200; // px, longest side used for clustering
+
+    let sourceCanvas = null;
+    let imageName = '';
+    let palette = [];
+    let pendingExtract = null; // MatchService jobs for the current image
+    let pendingMatch = null;
+
+    // DOM elements
+    let section, previewCanvas, paletteContainer, countInput, countValue, batchButton;
+
+    /**
+     * Initialize the image palette
+     */
+    function init() {
+        section = document.getElementById('imageSection');
+        previewCanvas = document.getElementById('imageCanvas');
+        paletteContainer = document.getElementById('imagePalette');
+        countInput = document.getElementById('paletteCount');
+        countValue = document.getElementById('paletteCountValue');
+        batchButton = document.getElementById('paletteBatchButton');
+
+        countInput.value = PaletteExtractor.DEFAULT_COUNT;
+        countValue.textContent = countInput.value;
+
+        setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    function setupEventListeners() {
+        document.getElementById('imageToggleButton').addEventListener('click', toggle);
+
+        const fileInput = document.getElementById('imageFileInput');
+        document.getElementById('imageFileButton').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                loadFile(file);
+            }
+        });
+
+        countInput.addEventListener('input', () => {
+            countValue.textContent = countInput.value;
+        });
+        countInput.addEventListener('change', analyze);
+
+        batchButton.addEventListener('click', openInBatch);
+
+        paletteContainer.addEventListener('click', (e) => {
+            const chip = e.target.closest('.palette-chip');
+            if (chip) {
+                App.loadColor(chip.dataset.hex);
+            }
+        });
+    }
+
+    /**
+     * Show or hide the image section
+     */
+    function toggle() {
+        const isHidden = section.style.display === 'none';
+        section.style.display = isHidden ? 'block' : 'none';
+
+        if (isHidden) {
+            section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+
+    /**
+     * Load an image file and extract its palette
+     * @param {File} file - PNG, JPG, GIF, WebP...
+     */
+    async function loadFile(file) {
+        section.style.display = 'block';
+
+        try {
+            const image = await readImage(file);
+            imageName = file.name;
+
+            // Keep a (bounded) full-resolution copy for precise sampling
+            const sourceScale = Math.min(1, SOURCE_MAX_SIZE / Math.max(image.width, image.height));
+            sourceCanvas = drawScaled(image, sourceScale);
+
+            // Preview
+            const previewScale = Math.min(1, PREVIEW_MAX_WIDTH / sourceCanvas.width);
+            previewCanvas.width = Math.round(sourceCanvas.width * previewScale);
+            previewCanvas.height = Math.round(sourceCanvas.height * previewScale);
+            previewCanvas.getContext('2d').drawImage(sourceCanvas, 0, 0, previewCanvas.width, previewCanvas.height);
+            previewCanvas.style.display = 'block';
+
+            // Samples belong to the previous image
+            if (window.ImageSampler) {
+                ImageSampler.reset();
+            }
+
+            analyze();
+            section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        } catch (error) {
+            console.error('Failed to load image:', error);
+            App.showToast(`Could not read ${file.name}`);
+        }
+    }
+
+    /**
+     * Decode an image file
+     */
+    function readImage(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Unsupported image'));
+            };
+            image.src = url;
+        });
+    }
+
+    /**
+     * Draw an image or canvas onto a new canvas at the given scale
+     * Its pixels are read back (clustering, eyedropper), so the context is created
+     * with willReadFrequently; the first getContext call fixes that setting
+     */
+    function drawScaled(source, scale) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(source.width * scale));
+        canvas.height = Math.max(1, Math.round(source.height * scale));
+        canvas.getContext('2d', { willReadFrequently: true }).drawImage(source, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+
+    /**
+     * Cluster the image in the match worker, then match and render the palette
+     */
+    function analyze() {
+        if (!sourceCanvas) return;
+
+        const scale = Math.min(1, ANALYSIS_MAX_SIZE / Math.max(sourceCanvas.width, sourceCanvas.height));
+        const analysisCanvas = drawScaled(sourceCanvas, scale);
+        const pixels = analysisCanvas.getContext('2d', { willReadFrequently: true })
+            .getImageData(0, 0, analysisCanvas.width, analysisCanvas.height).data;
+
+        if (pendingExtract) {
+            pendingExtract.cancel();
+        }
+        if (pendingMatch) {
+            pendingMatch.cancel();
+        }
+
+        batchButton.disabled = true;
+        paletteContainer.innerHTML = '<p class="input-hint">Finding the dominant colors…</p>';
+
+        const job = MatchService.extractPalette(pixels, { count: parseInt(countInput.value, 10) });
+        pendingExtract = job;
+
+        job.then(colors => {
+            palette = colors;
+            matchPalette();
+        }).catch(handleJobError).finally(() => {
+            if (pendingExtract === job) {
+                pendingExtract = null;
+            }
+        });
+    }
+
+    /**
+     * Find the nearest Pantone for every extracted color
+     */
+    function matchPalette() {
+        if (pendingMatch) {
+            pendingMatch.cancel();
+        }
+
+        const job = MatchService.match(palette.map(color => ({ lab: color.lab })), { k: 1, metric: App.getMetric() });
+        pendingMatch = job;
+
+        job.then(results => {
+            palette.forEach((color, i) => {
+                color.match = results[i][0];
+            });
+            renderPalette();
+        }).catch(handleJobError).finally(() => {
+            if (pendingMatch === job) {
+                pendingMatch = null;
+            }
+        });
+    }
+
+    /**
+     * Report a failed palette job (cancelled ones were replaced by a newer job)
+     */
+    function handleJobError(error) {
+        if (error.cancelled) return;
+
+        console.error('Image palette failed:', error);
+        paletteContainer.innerHTML = '<p class="input-hint">Could not analyze this image.</p>';
+    }
+
+    /**
+     * Render the extracted palette
+     */
+    function renderPalette() {
+        const metric = ColorAlgorithms.getMetric(App.getMetric());
+
+        batchButton.disabled = palette.length === 0;
+
+        if (palette.length === 0) {
+            paletteContainer.innerHTML = '<p class="input-hint">No opaque pixels found in this image.</p>';
+            return;
+        }
+
+        paletteContainer.innerHTML = palette.map(color => {
+            const coverage = (color.coverage * 100).toFixed(1);
+            const interpretation = ColorAlgorithms.getDeltaEInterpretation(color.match.deltaE, metric.id);
+
+            return `
+                <div class="palette-chip" data-hex="${color.hex}" title="Show all matches for ${color.hex}">
+                    <div class="palette-swatches">
+                        <span class="palette-swatch" style="background-color: ${color.hex}"></span>
+                        <span class="palette-swatch" style="background-color: ${color.match.hex}"></span>
+                    </div>
+                    <div class="palette-info">
+                        <div class="palette-line">
+                            <strong class="palette-hex">${color.hex}</strong>
+                            <span class="palette-coverage">${coverage}%</span>
+                        </div>
+                        <div class="palette-match">${escapeHtml(color.match.name)}</div>
+                        <div class="palette-delta match-quality ${interpretation.class}">
+                            <span class="quality-badge">${interpretation.rating}</span>
+                            <span class="delta-e">${metric.symbol} = ${color.match.deltaE.toFixed(2)}</span>
+                        </div>
+                        <div class="palette-bar"><span style="width: ${coverage}%"></span></div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Send the extracted palette to the batch matcher
+     */
+    function openInBatch() {
+        if (palette.length === 0 || !window.BatchMatcher) return;
+
+        // File names can hold commas, so labels go through the CSV writer
+        const base = imageName.replace(/\.[^.]+$/, '') || 'Image';
+        const entries = palette.map((color, i) => ({
+            label: `${base} ${i + 1} (${(color.coverage * 100).toFixed(1)}%)`,
+            hex: color.hex
+        }));
+
+        BatchMatcher.loadPalette(PaletteIO.toPaletteText(entries));
+        document.getElementById('batchSection').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Re-match the palette (after a library or formula change)
+     */
+    function refresh() {
+        // A palette still being extracted is matched with the new settings once it arrives
+        if (palette.length > 0 && !pendingExtract) {
+            matchPalette();
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        loadFile,
+        refresh,
+        getPalette: () => palette,
+        getSourceCanvas: () => sourceCanvas,
+        getPreviewCanvas: () => previewCanvas
+    };
+})();
@@ -0,0 +1,239 @@
+/**
+ * Image Sampler Component
+ * Eyedropper for the uploaded image: samples a pixel or an averaged N×N area
+ * and keeps a list of sampled points with their Pantone matches
+ */
+
+window.ImageSampler = (function() {
+    'use strict';
+
+    const { escapeHtml } = HtmlUtils;
+
+    const MAX_SAMPLES = 50;
+
+    let samples = [];
+    let nextId = 1;
+
+    // DOM elements
+    let canvas, markers, sampleList, sizeSelect, readout;
+
+    /**
+     * Initialize the sampler
+     */
+    function init() {
+        canvas = document.getElementById('imageCanvas');
+        markers = document.getElementById('sampleMarkers');
+        sampleList = document.getElementById('sampleList');
+        sizeSelect = document.getElementById('sampleSize');
+        readout = document.getElementById('sampleReadout');
+
+        setupEventListeners();
+        renderSamples();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    function setupEventListeners() {
+        canvas.addEventListener('click', handleCanvasClick);
+        canvas.addEventListener('mousemove', handleCanvasHover);
+        canvas.addEventListener('mouseleave', () => {
+            readout.textContent = '';
+        });
+
+        document.getElementById('clearSamplesButton').addEventListener('click', reset);
+
+        sampleList.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('[data-remove-sample]');
+            if (removeButton) {
+                removeSample(parseInt(removeButton.dataset.removeSample, 10));
+                return;
+            }
+
+            const item = e.target.closest('.sample-item');
+            if (item) {
+                App.loadColor(item.dataset.hex);
+            }
+        });
+    }
+
+    /**
+     * Map a mouse event to source image coordinates
+     */
+    function toSourcePoint(e) {
+        const source = ImagePalette.getSourceCanvas();
+        const rect = canvas.getBoundingClientRect();
+
+        const x = Math.floor(((e.clientX - rect.left) / rect.width) * source.width);
+        const y = Math.floor(((e.clientY - rect.top) / rect.height) * source.height);
+
+        // A click on the right or bottom edge maps to width/height, one past the last pixel
+        return {
+            x: Math.min(Math.max(x, 0), source.width - 1),
+            y: Math.min(Math.max(y, 0), source.height - 1)
+        };
+    }
+
+    /**
+     * Average the pixels of a size×size area centred on a point
+     * @param {number} x - Source x
+     * @param {number} y - Source y
+     * @param {number} size - Area width in source pixels (1 = single pixel)
+     * @returns {object} {rgb, hex, lab} or null over fully transparent areas
+     */
+    function sampleAt(x, y, size) {
+        const source = ImagePalette.getSourceCanvas();
+        const half = Math.floor(size / 2);
+
+        const left = Math.max(0, x - half);
+        const top = Math.max(0, y - half);
+        const right = Math.min(source.width, x + half + 1);
+        const bottom = Math.min(source.height, y + half + 1);
+
+        const pixels = source.getContext('2d', { willReadFrequently: true })
+            .getImageData(left, top, right - left, bottom - top).data;
+
+        let r = 0, g = 0, b = 0, count = 0;
+        for (let i = 0; i < pixels.length; i += 4) {
+            if (pixels[i + 3] === 0) continue;
+            r += pixels[i];
+            g += pixels[i + 1];
+            b += pixels[i + 2];
+            count++;
+        }
+
+        if (count === 0) return null;
+
+        const rgb = { r: Math.round(r / count), g: Math.round(g / count), b: Math.round(b / count) };
+
+        return {
+            rgb,
+            hex: ColorAlgorithms.rgbToHex(rgb.r, rgb.g, rgb.b).toUpperCase(),
+            lab: ColorAlgorithms.rgbToLab(rgb.r, rgb.g, rgb.b)
+        };
+    }
+
+    /**
+     * Sample on click, load the color and remember the point
+     */
+    function handleCanvasClick(e) {
+        if (!ImagePalette.getSourceCanvas()) return;
+
+        const point = toSourcePoint(e);
+        const size = parseInt(sizeSelect.value, 10);
+        const color = sampleAt(point.x, point.y, size);
+
+        if (!color) {
+            App.showToast('Transparent area: nothing to sample');
+            return;
+        }
+
+        samples.unshift({
+            id: nextId++,
+            x: point.x,
+            y: point.y,
+            size,
+            ...color,
+            match: App.matchLab(color.lab, 1)[0]
+        });
+        samples = samples.slice(0, MAX_SAMPLES);
+
+        renderSamples();
+        App.loadColor(color.hex);
+    }
+
+    /**
+     * Show the color under the pointer
+     */
+    function handleCanvasHover(e) {
+        if (!ImagePalette.getSourceCanvas()) return;
+
+        const point = toSourcePoint(e);
+        const color = sampleAt(point.x, point.y, parseInt(sizeSelect.value, 10));
+
+        readout.innerHTML = color
+            ? `<span class="batch-swatch" style="background-color: ${color.hex}"></span>${color.hex} · ${point.x}, ${point.y}`
+            : `${point.x}, ${point.y}`;
+    }
+
+    /**
+     * Remove one sampled point
+     */
+    function removeSample(id) {
+        samples = samples.filter(sample => sample.id !== id);
+        renderSamples();
+    }
+
+    /**
+     * Render sample markers and the sample list
+     */
+    function renderSamples() {
+        const source = ImagePalette.getSourceCanvas();
+        const metric = ColorAlgorithms.getMetric(App.getMetric());
+
+        document.getElementById('clearSamplesButton').disabled = samples.length === 0;
+
+        markers.innerHTML = source ? samples.map((sample, i) => `
+            <span class="sample-marker"
+                  style="left: ${((sample.x + 0.5) / source.width) * 100}%; top: ${((sample.y + 0.5) / source.height) * 100}%; background-color: ${sample.hex};"
+                  title="${sample.hex}">${samples.length - i}</span>
+        `).join('') : '';
+
+        if (samples.length === 0) {
+            sampleList.innerHTML = '<p class="input-hint">Click the image to sample a point. Samples are listed here for comparison.</p>';
+            return;
+        }
+
+        sampleList.innerHTML = samples.map((sample, i) => {
+            const interpretation = ColorAlgorithms.getDeltaEInterpretation(sample.match.deltaE, metric.id);
+            const area = sample.size === 1 ? '1 px' : `${sample.size}×${sample.size}`;
+
+            return `
+                <div class="sample-item" data-hex="${sample.hex}" title="Show all matches for ${sample.hex}">
+                    <span class="sample-number">${samples.length - i}</span>
+                    <span class="batch-swatch" style="background-color: ${sample.hex}"></span>
+                    <span class="sample-hex">${sample.hex}</span>
+                    <span class="sample-meta">${sample.x}, ${sample.y} · ${area}</span>
+                    <span class="vs-separator">→</span>
+                    <span class="batch-swatch" style="background-color: ${sample.match.hex}"></span>
+                    <span class="sample-match">${escapeHtml(sample.match.name)}</span>
+                    <span class="match-quality ${interpretation.class}">
+                        <span class="quality-badge">${metric.symbol} ${sample.match.deltaE.toFixed(2)}</span>
+                    </span>
+                    <button class="library-remove" data-remove-sample="${sample.id}" title="Remove sample">&times;</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Clear all samples (e.g., when a new image is loaded)
+     */
+    function reset() {
+        samples = [];
+        if (sampleList) {
+            renderSamples();
+        }
+    }
+
+    /**
+     * Re-match samples (after a library or formula change)
+     */
+    function refresh() {
+        if (samples.length === 0) return;
+
+        samples.forEach(sample => {
+            sample.match = App.matchLab(sample.lab, 1)[0];
+        });
+        renderSamples();
+    }
+
+    // Public API
+    return {
+        init,
+        sampleAt,
+        reset,
+        refresh,
+        getSamples: () => samples
+    };
+})();
@@ -0,0 +1,183 @@
+/**
+ * Lab Index Module
+ * k-d tree over LAB values for fast nearest-color queries
+ */
+
+const LabIndex = (function() {
+    'use strict';
+
+    const AXES = ['L', 'a', 'b'];
+
+    /**
+     * Build a balanced k-d tree node for points[start, end)
+     * Splits on the axis with the largest spread, at the median
+     */
+    function buildNode(points, start, end) {
+        if (start >= end) return null;
+
+        // Pick the widest axis for this subset
+        let axis = 'L';
+        let widest = -1;
+        AXES.forEach(name => {
+            let min = Infinity;
+            let max = -Infinity;
+            for (let i = start; i < end; i++) {
+                const value = points[i].lab[name];
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+            if (max - min > widest) {
+                widest = max - min;
+                axis = name;
+            }
+        });
+
+        const subset = points.slice(start, end).sort((p, q) => p.lab[axis] - q.lab[axis]);
+        for (let i = 0; i < subset.length; i++) {
+            points[start + i] = subset[i];
+        }
+
+        const middle = start + Math.floor((end - start) / 2);
+
+        return {
+            point: points[middle],
+            axis,
+            left: buildNode(points, start, middle),
+            right: buildNode(points, middle + 1, end)
+        };
+    }
+
+    /**
+     * Squared Euclidean distance (ΔE76²)
+     */
+    function distance2(lab1, lab2) {
+        const dL = lab1.L - lab2.L;
+        const da = lab1.a - lab2.a;
+        const db = lab1.b - lab2.b;
+        return dL * dL + da * da + db * db;
+    }
+
+    /**
+     * Insert a candidate into the ascending result list, keeping at most k entries
+     */
+    function insert(results, k, candidate) {
+        if (results.length === k && candidate.distance2 >= results[k - 1].distance2) {
+            return;
+        }
+
+        let i = results.length;
+        while (i > 0 && results[i - 1].distance2 > candidate.distance2) {
+            i--;
+        }
+        results.splice(i, 0, candidate);
+
+        if (results.length > k) {
+            results.pop();
+        }
+    }
+
+    /**
+     * Depth-first k-nearest search with branch pruning
+     */
+    function search(node, target, k, exclude, results) {
+        if (!node) return;
+
+        const { point, axis } = node;
+        if (!exclude || !exclude(point.color)) {
+            insert(results, k, { color: point.color, distance2: distance2(target, point.lab) });
+        }
+
+        const diff = target[axis] - point.lab[axis];
+        const near = diff < 0 ? node.left : node.right;
+        const far = diff < 0 ? node.right : node.left;
+
+        search(near, target, k, exclude, results);
+
+        // Only cross the split plane if it is closer than the current k-th result
+        if (results.length < k || diff * diff < results[results.length - 1].distance2) {
+            search(far, target, k, exclude, results);
+        }
+    }
+
+    /**
+     * Depth-first range search: collect every point within radius² of the target
+     */
+    function collect(node, target, radius2, exclude, results) {
+        if (!node) return;
+
+        const { point, axis } = node;
+        const d2 = distance2(target, point.lab);
+        if (d2 <= radius2 && (!exclude || !exclude(point.color))) {
+            results.push({ color: point.color, distance2: d2 });
+        }
+
+        const diff = target[axis] - point.lab[axis];
+        const near = diff < 0 ? node.left : node.right;
+        const far = diff < 0 ? node.right : node.left;
+
+        collect(near, target, radius2, exclude, results);
+
+        if (diff * diff <= radius2) {
+            collect(far, target, radius2, exclude, results);
+        }
+    }
+
+    /**
+     * Build an index over colors with a LAB value
+     * @param {Array} colors - Color objects {lab, ...}
+     * @returns {object} Index {size, nearest(lab, k, exclude), within(lab, radius, exclude)}
+     */
+    function create(colors) {
+        const points = colors
+            .filter(color => color.lab)
+            .map(color => ({ color, lab: color.lab }));
+
+        const root = buildNode(points, 0, points.length);
+
+        return {
+            size: points.length,
+
+            /**
+             * Find the k nearest colors by Euclidean LAB distance (ΔE76)
+             * @param {object} lab - LAB color {L, a, b}
+             * @param {number} k - Number of colors to return
+             * @param {Function} exclude - Optional predicate; colors it returns true for are skipped
+             * @returns {Array} [{color, distance}] sorted by distance
+             */
+            nearest(lab, k, exclude) {
+                const results = [];
+                if (k > 0) {
+                    search(root, lab, k, exclude, results);
+                }
+
+                return results.map(result => ({ color: result.color, distance: Math.sqrt(result.distance2) }));
+            },
+
+            /**
+             * Find every color within a Euclidean LAB distance (ΔE76)
+             * @param {object} lab - LAB color {L, a, b}
+             * @param {number} radius - Largest distance to include (Infinity for all colors)
+             * @param {Function} exclude - Optional predicate; colors it returns true for are skipped
+             * @returns {Array} [{color, distance}] sorted by distance
+             */
+            within(lab, radius, exclude) {
+                const results = [];
+                collect(root, lab, radius * radius, exclude, results);
+
+                return results
+                    .sort((p, q) => p.distance2 - q.distance2)
+                    .map(result => ({ color: result.color, distance: Math.sqrt(result.distance2) }));
+            }
+        };
+    }
+
+    // Public API
+    return {
+        create
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LabIndex;
+}
@@ -0,0 +1,273 @@
+/**
+ * Match Service Module
+ * Promise-based nearest-Pantone matching and image palette extraction in a
+ * Web Worker, with progress events and cancellation. Falls back to the main
+ * thread (same job code, run in slices) when workers are unavailable, e.g. on
+ * file://
+ */
+
+const MatchService = (function() {
+    'use strict';
+
+    const WORKER_URL = 'js/match-worker.js';
+
+    let worker = null;
+    let nextId = 1;
+    const jobs = new Map(); // id -> pending job
+    const sentLibraries = new Set(); // library ids the worker already has
+
+    /**
+     * Start the worker (or stay on the main thread)
+     */
+    function init() {
+        if (typeof Worker === 'undefined' || location.protocol === 'file:') {
+            console.log('ℹ️ Matching on the main thread (workers unavailable)');
+            return;
+        }
+
+        try {
+            worker = new Worker(WORKER_URL);
+            worker.onmessage = handleMessage;
+            worker.onerror = (event) => {
+                event.preventDefault();
+                fallBackToMainThread(event.message || 'Worker failed to start');
+            };
+            sync();
+            console.log('✓ Match worker started');
+        } catch (error) {
+            fallBackToMainThread(error.message);
+        }
+    }
+
+    /**
+     * Stop using the worker and re-run its pending jobs on the main thread
+     */
+    function fallBackToMainThread(reason) {
+        console.warn('Match worker unavailable, matching on the main thread:', reason);
+
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+        sentLibraries.clear();
+
+        jobs.forEach(job => {
+            job.results = initialResults(job.request);
+            runLocal(job);
+        });
+    }
+
+    /**
+     * Send library, active set and colorimetry changes to the worker
+     * Call after anything that changes PantoneDatabase state
+     */
+    function sync() {
+        if (!worker) return;
+
+        const loaded = PantoneDatabase.getLibraries().filter(library => library.loaded);
+        const loadedIds = new Set(loaded.map(library => library.id));
+        const added = loaded.filter(library => !sentLibraries.has(library.id));
+        const removed = Array.from(sentLibraries).filter(id => !loadedIds.has(id));
+
+        // Manifest entry without the loaded/active flags added by getLibraries()
+        const entryOf = (library) => {
+            const entry = { ...library };
+            delete entry.loaded;
+            delete entry.active;
+            return entry;
+        };
+
+        worker.postMessage({
+            type: 'sync',
+            manifest: { version: 1, defaultLibraries: [], libraries: [] },
+            libraries: added.map(library => ({
+                entry: entryOf(library),
+                data: {
+                    metadata: PantoneDatabase.getMetadata(library.id),
+                    colors: PantoneDatabase.getAllColors(library.id)
+                }
+            })),
+            removed,
+            activeIds: PantoneDatabase.getActiveLibraries().map(library => library.id),
+            colorimetry: PantoneDatabase.getColorimetry()
+        });
+
+        added.forEach(library => sentLibraries.add(library.id));
+        removed.forEach(id => sentLibraries.delete(id));
+    }
+
+    /**
+     * Match LAB colors against the active libraries
+     * @param {Array} items - [{lab, white}] (white defaults to D65)
+     * @param {object} options - {k: matches per color, metric: Delta E formula id,
+     *                           onProgress(results, done, total): called as matches arrive,
+     *                           results holding the matches found so far per item}
+     * @returns {Promise} Resolves with the matches per item; has a cancel() method that
+     *                    rejects it with an error whose `cancelled` property is true
+     */
+    function match(items, options = {}) {
+        return start({ type: 'match', items, k: options.k || 10, metric: options.metric }, options.onProgress);
+    }
+
+    /**
+     * Find the dominant colors of an image (see PaletteExtractor.extract)
+     * @param {Uint8ClampedArray|Array} pixels - RGBA bytes (e.g., ImageData.data); copied to the worker
+     * @param {object} options - {count: number of colors}
+     * @returns {Promise} Resolves with the palette; has a cancel() method like match()
+     */
+    function extractPalette(pixels, options = {}) {
+        return start({ type: 'palette', pixels, count: options.count });
+    }
+
+    /**
+     * Results a job starts out with: no matches yet per item, or no palette
+     */
+    function initialResults(request) {
+        return request.type === 'match' ? request.items.map(() => []) : null;
+    }
+
+    /**
+     * Queue a job on the worker or the main thread
+     * @returns {Promise} Resolves with the job's results, with a cancel() method
+     */
+    function start(request, onProgress) {
+        const job = {
+            id: nextId++,
+            request,
+            onProgress,
+            results: initialResults(request),
+            cancelled: false
+        };
+
+        const promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+        promise.cancel = () => cancel(job.id);
+
+        jobs.set(job.id, job);
+
+        if (worker) {
+            worker.postMessage({ id: job.id, ...job.request });
+        } else {
+            runLocal(job);
+        }
+
+        return promise;
+    }
+
+    /**
+     * Cancel a pending job
+     */
+    function cancel(id) {
+        const job = jobs.get(id);
+        if (!job) return;
+
+        job.cancelled = true;
+        jobs.delete(id);
+
+        if (worker) {
+            worker.postMessage({ type: 'cancel', id });
+        }
+
+        const error = new Error('Matching cancelled');
+        error.cancelled = true;
+        job.reject(error);
+    }
+
+    /**
+     * Run a job on the main thread
+     */
+    function runLocal(job) {
+        if (job.request.type === 'palette') {
+            MatchJobs.extractPalette(job.request).then(palette => {
+                if (job.cancelled) return;
+                job.results = palette;
+                finish(job);
+            }).catch(error => fail(job, error.message));
+            return;
+        }
+
+        MatchJobs.run(job.request, {
+            isCancelled: () => job.cancelled,
+            onProgress: (updates, done, total) => applyProgress(job, updates, done, total)
+        }).then(results => {
+            if (results) finish(job);
+        }).catch(error => fail(job, error.message));
+    }
+
+    /**
+     * Store streamed matches and notify the caller
+     */
+    function applyProgress(job, updates, done, total) {
+        updates.forEach(({ index, matches }) => {
+            job.results[index] = matches;
+        });
+
+        if (job.onProgress) {
+            job.onProgress(job.results, done, total);
+        }
+    }
+
+    /**
+     * Resolve a finished job
+     */
+    function finish(job) {
+        jobs.delete(job.id);
+        job.resolve(job.results);
+    }
+
+    /**
+     * Reject a failed job
+     */
+    function fail(job, message) {
+        jobs.delete(job.id);
+        job.reject(new Error(message));
+    }
+
+    /**
+     * Handle worker messages
+     */
+    function handleMessage(event) {
+        const message = event.data;
+
+        // Errors outside a job mean the worker could not mirror the libraries
+        if (message.type === 'error' && message.id === null) {
+            fallBackToMainThread(message.message);
+            return;
+        }
+
+        const job = jobs.get(message.id);
+        if (!job) return; // Cancelled on this side already
+
+        switch (message.type) {
+            case 'progress':
+                applyProgress(job, message.updates, message.done, message.total);
+                break;
+            case 'done':
+                // Palette jobs send their colors with completion instead of as progress
+                if (message.results) {
+                    job.results = message.results;
+                }
+                finish(job);
+                break;
+            case 'error':
+                fail(job, message.message);
+                break;
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        sync,
+        match,
+        extractPalette,
+        isUsingWorker: () => worker !== null
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MatchService;
+}
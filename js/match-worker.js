@@ -0,0 +1,214 @@
+/**
+ * Match Worker
+ * Runs nearest-Pantone and image palette jobs off the main thread. The same
+ * file is loaded as a regular script so MatchService can run identical jobs on
+ * the main thread when workers are unavailable (e.g., when the app is opened
+ * from file://)
+ */
+
+if (typeof window === 'undefined' && typeof importScripts === 'function') {
+    importScripts('color-algorithms.js', 'lab-index.js', 'pantone-database.js', 'palette-extractor.js');
+}
+
+const MatchJobs = (function(PantoneDatabase, PaletteExtractor) {
+    'use strict';
+
+    const SLICE_MS = 16; // Work per slice before yielding and reporting progress
+
+    /**
+     * Let queued messages (e.g., cancellation) run before continuing
+     */
+    function yieldToMessages() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    /**
+     * Merge per-library matches into the running top k
+     */
+    function merge(current, found, k) {
+        return current.concat(found).sort((a, b) => a.deltaE - b.deltaE).slice(0, k);
+    }
+
+    /**
+     * Match a list of LAB colors against every active library
+     * Each (color, library) pair is one unit of work; progress is reported in slices,
+     * and after every library for single-color jobs so results can stream in
+     * @param {object} request - {items: [{lab, white}], k, metric}
+     * @param {object} callbacks - {onProgress(updates, done, total), isCancelled()}
+     *                             where updates is [{index, matches}]
+     * @returns {Promise} Resolves with the matches per item, or null if cancelled
+     */
+    async function run(request, callbacks = {}) {
+        const { items, k = 10, metric } = request;
+        const libraryIds = PantoneDatabase.getActiveLibraries().map(library => library.id);
+        const total = items.length * libraryIds.length;
+        const results = items.map(() => []);
+        const changed = new Set();
+        const streamEachLibrary = items.length === 1;
+
+        let done = 0;
+        let sliceStart = Date.now();
+
+        const flush = () => {
+            if (changed.size === 0) return;
+
+            const updates = Array.from(changed, index => ({ index, matches: results[index] }));
+            changed.clear();
+            if (callbacks.onProgress) {
+                callbacks.onProgress(updates, done, total);
+            }
+        };
+
+        for (let i = 0; i < items.length; i++) {
+            for (const libraryId of libraryIds) {
+                if (callbacks.isCancelled && callbacks.isCancelled()) {
+                    return null;
+                }
+
+                const found = PantoneDatabase.findNearest(items[i].lab, {
+                    k,
+                    metric,
+                    white: items[i].white,
+                    libraries: [libraryId]
+                });
+
+                results[i] = merge(results[i], found, k);
+                changed.add(i);
+                done++;
+
+                if (streamEachLibrary || Date.now() - sliceStart > SLICE_MS) {
+                    flush();
+                    await yieldToMessages();
+                    sliceStart = Date.now();
+                }
+            }
+        }
+
+        flush();
+        return results;
+    }
+
+    /**
+     * Find the dominant colors of an image (k-means has no slices to report)
+     * @param {object} request - {pixels: RGBA bytes, count: number of colors}
+     * @returns {Promise} Resolves with the palette (see PaletteExtractor.extract)
+     */
+    async function extractPalette(request) {
+        return PaletteExtractor.extract(request.pixels, { count: request.count });
+    }
+
+    // Public API
+    return {
+        run,
+        extractPalette
+    };
+})(
+    typeof PantoneDatabase !== 'undefined' ? PantoneDatabase : require('./pantone-database.js'),
+    typeof PaletteExtractor !== 'undefined' ? PaletteExtractor : require('./palette-extractor.js')
+);
+
+// Worker message handling
+if (typeof window === 'undefined' && typeof importScripts === 'function') {
+    (function() {
+        'use strict';
+
+        const pending = new Set(); // ids of jobs queued or running
+        const cancelled = new Set();
+        const loadedLibraries = new Set();
+        let ready = Promise.resolve();
+
+        /**
+         * Mirror the main thread's libraries, active set and colorimetry
+         */
+        async function sync(message) {
+            if (loadedLibraries.size === 0) {
+                PantoneDatabase.useManifest({ ...message.manifest, libraries: [] });
+            }
+
+            message.removed.forEach(id => {
+                PantoneDatabase.unregisterLibrary(id);
+                loadedLibraries.delete(id);
+            });
+
+            message.libraries.forEach(({ entry, data }) => {
+                PantoneDatabase.registerLibrary(entry, data);
+                loadedLibraries.add(entry.id);
+            });
+
+            PantoneDatabase.setColorimetry(message.colorimetry);
+            await PantoneDatabase.setActiveLibraries(message.activeIds);
+        }
+
+        /**
+         * Run a palette job and send the colors back with its completion
+         */
+        async function extractPalette(message) {
+            const { id } = message;
+
+            try {
+                const palette = cancelled.has(id) ? null : await MatchJobs.extractPalette(message);
+                self.postMessage(cancelled.has(id) ? { type: 'cancelled', id } : { type: 'done', id, results: palette });
+            } catch (error) {
+                self.postMessage({ type: 'error', id, message: error.message });
+            } finally {
+                pending.delete(id);
+                cancelled.delete(id);
+            }
+        }
+
+        /**
+         * Run a match job and report back
+         */
+        async function match(message) {
+            const { id } = message;
+
+            try {
+                const results = await MatchJobs.run(message, {
+                    isCancelled: () => cancelled.has(id),
+                    onProgress: (updates, done, total) => {
+                        self.postMessage({ type: 'progress', id, updates, done, total });
+                    }
+                });
+
+                self.postMessage({ type: results ? 'done' : 'cancelled', id });
+            } catch (error) {
+                self.postMessage({ type: 'error', id, message: error.message });
+            } finally {
+                pending.delete(id);
+                cancelled.delete(id);
+            }
+        }
+
+        self.onmessage = (event) => {
+            const message = event.data;
+
+            switch (message.type) {
+                case 'cancel':
+                    // Handled immediately so a running job sees it at its next slice;
+                    // cancels for jobs that already finished are dropped
+                    if (pending.has(message.id)) {
+                        cancelled.add(message.id);
+                    }
+                    break;
+                case 'sync':
+                    ready = ready.then(() => sync(message)).catch(error => {
+                        self.postMessage({ type: 'error', id: null, message: error.message });
+                    });
+                    break;
+                case 'match':
+                    pending.add(message.id);
+                    ready = ready.then(() => match(message));
+                    break;
+                case 'palette':
+                    pending.add(message.id);
+                    ready = ready.then(() => extractPalette(message));
+                    break;
+            }
+        };
+    })();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MatchJobs;
+}
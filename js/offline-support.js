@@ -0,0 +1,128 @@
+/**
+ * Offline Support Module
+ * Registers the service worker, keeps the active libraries cached and
+ * tells the user when a newer app version or library is available
+ */
+
+const OfflineSupport = (function() {
+    'use strict';
+
+    const WORKER_URL = 'sw.js';
+
+    let registration = null;
+    let reloading = false;
+
+    /**
+     * Register the service worker
+     * Only over http(s): service workers are unavailable on file://
+     */
+    function init() {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) {
+            console.log('ℹ️ Offline support unavailable (no service worker)');
+            return;
+        }
+
+        navigator.serviceWorker.addEventListener('message', handleMessage);
+
+        // Reload once the accepted update has taken over
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (reloading) {
+                location.reload();
+            }
+        });
+
+        navigator.serviceWorker.register(WORKER_URL).then(result => {
+            registration = result;
+            console.log('✓ Service worker registered');
+
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                showAppUpdate();
+            }
+            registration.addEventListener('updatefound', watchInstall);
+
+            cacheLibraries();
+        }).catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    }
+
+    /**
+     * Offer the new version once an updated worker has installed
+     */
+    function watchInstall() {
+        const installing = registration.installing;
+        if (!installing) return;
+
+        installing.addEventListener('statechange', () => {
+            // Without a controller this is the first install, not an update
+            if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+                showAppUpdate();
+            }
+        });
+    }
+
+    /**
+     * Ask the service worker to cache the active libraries' data files
+     * Call after the active libraries change
+     */
+    function cacheLibraries() {
+        const worker = navigator.serviceWorker && navigator.serviceWorker.controller;
+        if (!worker) return;
+
+        const urls = PantoneDatabase.getActiveLibraries()
+            .filter(entry => entry.file)
+            .map(entry => PantoneDatabase.getDataUrl(entry));
+
+        worker.postMessage({ type: 'cache-libraries', urls });
+    }
+
+    /**
+     * Handle service worker messages
+     */
+    function handleMessage(event) {
+        const message = event.data || {};
+
+        if (message.type === 'libraries-updated') {
+            const names = message.libraries.map(library => library.name).join(', ');
+            showBanner(`A newer version of ${names} is available.`, () => location.reload());
+        }
+    }
+
+    /**
+     * Offer to switch to the waiting service worker
+     */
+    function showAppUpdate() {
+        showBanner('A new version of the app is available.', () => {
+            reloading = true;
+            registration.waiting.postMessage({ type: 'skip-waiting' });
+        });
+    }
+
+    /**
+     * Show the update banner
+     * @param {string} message - Text to show
+     * @param {Function} onReload - Called when the user clicks Reload
+     */
+    function showBanner(message, onReload) {
+        const banner = document.getElementById('updateBanner');
+        banner.querySelector('.update-message').textContent = message;
+
+        banner.querySelector('.update-reload').onclick = onReload;
+        banner.querySelector('.update-dismiss').onclick = () => {
+            banner.hidden = true;
+        };
+
+        banner.hidden = false;
+    }
+
+    // Public API
+    return {
+        init,
+        cacheLibraries
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineSupport;
+}
@@ -0,0 +1,197 @@
+/**
+ * Palette Extractor Module
+ * Finds the dominant colors of an image with weighted k-means in LAB space
+ */
+
+const PaletteExtractor = (function(ColorAlgorithms) {
+    'use strict';
+
+    const DEFAULT_COUNT = 6;
+    const MAX_ITERATIONS = 20;
+    const CONVERGENCE = 0.5; // Delta E76 centroid movement
+    const ALPHA_THRESHOLD = 128;
+
+    /**
+     * Bucket pixels into a 5-bit-per-channel histogram
+     * Keeps k-means fast on large images while preserving coverage weights
+     */
+    function buildHistogram(pixels) {
+        const buckets = new Map();
+        let total = 0;
+
+        for (let i = 0; i < pixels.length; i += 4) {
+            if (pixels[i + 3] < ALPHA_THRESHOLD) continue;
+
+            const r = pixels[i];
+            const g = pixels[i + 1];
+            const b = pixels[i + 2];
+            const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+            let bucket = buckets.get(key);
+            if (!bucket) {
+                bucket = { r: 0, g: 0, b: 0, weight: 0 };
+                buckets.set(key, bucket);
+            }
+
+            bucket.r += r;
+            bucket.g += g;
+            bucket.b += b;
+            bucket.weight++;
+            total++;
+        }
+
+        const points = Array.from(buckets.values()).map(bucket => {
+            const rgb = {
+                r: bucket.r / bucket.weight,
+                g: bucket.g / bucket.weight,
+                b: bucket.b / bucket.weight
+            };
+            return { rgb, lab: ColorAlgorithms.rgbToLab(rgb.r, rgb.g, rgb.b), weight: bucket.weight };
+        });
+
+        return { points, total };
+    }
+
+    /**
+     * Squared Euclidean distance in LAB
+     */
+    function distance2(lab1, lab2) {
+        const dL = lab1.L - lab2.L;
+        const da = lab1.a - lab2.a;
+        const db = lab1.b - lab2.b;
+        return dL * dL + da * da + db * db;
+    }
+
+    /**
+     * Deterministic k-means++ seeding: heaviest point first, then the point
+     * with the largest weight × distance² to the chosen centroids
+     */
+    function seedCentroids(points, count) {
+        const centroids = [];
+        const nearest = new Array(points.length).fill(Infinity);
+
+        let first = points[0];
+        points.forEach(point => {
+            if (point.weight > first.weight) first = point;
+        });
+        centroids.push({ ...first.lab });
+
+        while (centroids.length < count) {
+            const latest = centroids[centroids.length - 1];
+            let best = -1;
+            let bestScore = 0;
+
+            points.forEach((point, i) => {
+                nearest[i] = Math.min(nearest[i], distance2(point.lab, latest));
+                const score = point.weight * nearest[i];
+                if (score > bestScore) {
+                    bestScore = score;
+                    best = i;
+                }
+            });
+
+            // Fewer distinct colors than requested
+            if (best === -1) break;
+            centroids.push({ ...points[best].lab });
+        }
+
+        return centroids;
+    }
+
+    /**
+     * Extract dominant colors from RGBA pixel data
+     * @param {Uint8ClampedArray|Array} pixels - RGBA bytes (e.g., ImageData.data)
+     * @param {object} options - {count: number of colors (default 6)}
+     * @returns {Array} Colors sorted by coverage [{rgb, hex, lab, coverage, pixels}]
+     */
+    function extract(pixels, options = {}) {
+        const count = Math.max(1, Math.min(24, options.count || DEFAULT_COUNT));
+        const { points, total } = buildHistogram(pixels);
+
+        if (points.length === 0) {
+            return [];
+        }
+
+        let centroids = seedCentroids(points, Math.min(count, points.length));
+        const assignments = new Array(points.length).fill(0);
+
+        for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+            // Assign each point to its nearest centroid
+            points.forEach((point, i) => {
+                let best = 0;
+                let bestDistance = Infinity;
+                centroids.forEach((centroid, c) => {
+                    const d = distance2(point.lab, centroid);
+                    if (d < bestDistance) {
+                        bestDistance = d;
+                        best = c;
+                    }
+                });
+                assignments[i] = best;
+            });
+
+            // Move centroids to the weighted mean of their points
+            const sums = centroids.map(() => ({ L: 0, a: 0, b: 0, weight: 0 }));
+            points.forEach((point, i) => {
+                const sum = sums[assignments[i]];
+                sum.L += point.lab.L * point.weight;
+                sum.a += point.lab.a * point.weight;
+                sum.b += point.lab.b * point.weight;
+                sum.weight += point.weight;
+            });
+
+            let movement = 0;
+            const next = centroids.map((centroid, c) => {
+                const sum = sums[c];
+                if (sum.weight === 0) return centroid;
+
+                const moved = { L: sum.L / sum.weight, a: sum.a / sum.weight, b: sum.b / sum.weight };
+                movement = Math.max(movement, Math.sqrt(distance2(centroid, moved)));
+                return moved;
+            });
+
+            centroids = next;
+            if (movement < CONVERGENCE) break;
+        }
+
+        // Summarize clusters; RGB is the weighted mean of member pixels (no LAB round trip)
+        const clusters = centroids.map(lab => ({ lab, r: 0, g: 0, b: 0, weight: 0 }));
+        points.forEach((point, i) => {
+            const cluster = clusters[assignments[i]];
+            cluster.r += point.rgb.r * point.weight;
+            cluster.g += point.rgb.g * point.weight;
+            cluster.b += point.rgb.b * point.weight;
+            cluster.weight += point.weight;
+        });
+
+        return clusters
+            .filter(cluster => cluster.weight > 0)
+            .map(cluster => {
+                const rgb = {
+                    r: Math.round(cluster.r / cluster.weight),
+                    g: Math.round(cluster.g / cluster.weight),
+                    b: Math.round(cluster.b / cluster.weight)
+                };
+
+                return {
+                    rgb,
+                    hex: ColorAlgorithms.rgbToHex(rgb.r, rgb.g, rgb.b).toUpperCase(),
+                    lab: ColorAlgorithms.rgbToLab(rgb.r, rgb.g, rgb.b),
+                    coverage: cluster.weight / total,
+                    pixels: cluster.weight
+                };
+            })
+            .sort((a, b) => b.coverage - a.coverage);
+    }
+
+    // Public API
+    return {
+        extract,
+        DEFAULT_COUNT
+    };
+})(typeof ColorAlgorithms !== 'undefined' ? ColorAlgorithms : require('./color-algorithms.js'));
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PaletteExtractor;
+}
@@ -0,0 +1,270 @@
+/**
+ * Palette IO Module
+ * Parses pasted palettes (lists, CSV, JSON) and serializes batch match reports
+ */
+
+const PaletteIO = (function(ColorAlgorithms) {
+    'use strict';
+
+    // Prefer "#"-prefixed values so labels like "Bed" are not read as hex
+    const PREFIXED_HEX_PATTERN = /#(?:[0-9a-f]{6}|[0-9a-f]{3})\b/i;
+    const BARE_HEX_PATTERN = /\b(?:[0-9a-f]{6}|[0-9a-f]{3})\b/i;
+
+    /**
+     * Normalize a color value to #RRGGBB, or null if it is not a hex color
+     */
+    function normalizeHex(value) {
+        const text = String(value || '').trim();
+        if (!ColorAlgorithms.isValidHex(text)) return null;
+
+        const rgb = ColorAlgorithms.hexToRgb(text);
+        return ColorAlgorithms.rgbToHex(rgb.r, rgb.g, rgb.b).toUpperCase();
+    }
+
+    /**
+     * Build a palette entry from a raw value and optional label
+     */
+    function createEntry(value, label, index) {
+        const input = String(value || '').trim();
+        const hex = normalizeHex(input);
+
+        return {
+            index,
+            label: (label || '').trim(),
+            input,
+            hex,
+            error: hex ? null : `Not a hex color: "${input}"`
+        };
+    }
+
+    /**
+     * Parse a JSON palette: ["#hex", ...], [{hex|color|value, label|name}, ...] or {label: "#hex"}
+     */
+    function parseJSON(data) {
+        if (Array.isArray(data)) {
+            return data.map((item, i) => {
+                if (typeof item === 'string') {
+                    return createEntry(item, '', i);
+                }
+                return createEntry(item.hex || item.color || item.value, item.label || item.name, i);
+            });
+        }
+
+        if (data && typeof data === 'object') {
+            const items = Array.isArray(data.colors) ? data.colors : null;
+            if (items) return parseJSON(items);
+
+            return Object.entries(data).map(([label, value], i) => createEntry(value, label, i));
+        }
+
+        throw new Error('JSON palette must be an array or an object');
+    }
+
+    /**
+     * Split one CSV line, honouring double-quoted cells
+     */
+    function splitCSVLine(line, delimiter) {
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        cells.push(cell.trim());
+        return cells;
+    }
+
+    /**
+     * Parse CSV rows; the hex column is found by header name or by content
+     */
+    function parseCSV(lines, delimiter) {
+        const rows = lines.map(line => splitCSVLine(line, delimiter));
+        const header = rows[0].map(cell => cell.toLowerCase());
+
+        let hexColumn = header.findIndex(cell => ['hex', 'color', 'colour', 'value'].includes(cell));
+        let labelColumn = header.findIndex(cell => ['label', 'name', 'title'].includes(cell));
+        const hasHeader = hexColumn !== -1;
+
+        if (!hasHeader) {
+            hexColumn = rows[0].findIndex(cell => normalizeHex(cell));
+            if (hexColumn === -1) hexColumn = 0;
+        }
+        if (labelColumn === -1) {
+            labelColumn = rows[0].length > 1 ? (hexColumn === 0 ? 1 : 0) : -1;
+        }
+
+        return rows.slice(hasHeader ? 1 : 0).map((cells, i) =>
+            createEntry(cells[hexColumn], labelColumn >= 0 ? cells[labelColumn] : '', i)
+        );
+    }
+
+    /**
+     * Find the hex value in a list line without "#"
+     * Words like "Bad" or "Cafe" are hex too, so a 6-digit token wins, then the
+     * last token, and only then a 3-digit one
+     * @returns {Array} RegExp match (with index), or null
+     */
+    function findBareHex(line) {
+        const tokens = Array.from(line.matchAll(new RegExp(BARE_HEX_PATTERN.source, 'gi')));
+        const last = line.trim().split(/[\s:=,]+/).pop();
+
+        return tokens.filter(token => token[0].length === 6).pop()
+            || tokens.find(token => token[0] === last)
+            || tokens[0]
+            || null;
+    }
+
+    /**
+     * Parse a free-form list: "#hex", "#hex Label", "Label: #hex" or "Label #hex"
+     */
+    function parseList(lines) {
+        return lines.map((line, i) => {
+            const match = line.match(PREFIXED_HEX_PATTERN) || findBareHex(line);
+            if (!match) {
+                return createEntry(line, '', i);
+            }
+
+            // The label is the rest of the line
+            const rest = line.slice(0, match.index) + line.slice(match.index + match[0].length);
+            const label = rest.replace(/^[\s:=,-]+|[\s:=,-]+$/g, '');
+            return createEntry(match[0], label, i);
+        });
+    }
+
+    /**
+     * Parse a pasted or uploaded palette
+     * @param {string} text - List, CSV or JSON text
+     * @returns {object} {format, entries: [{index, label, input, hex, error}]}
+     */
+    function parse(text) {
+        const trimmed = String(text || '').trim();
+        if (!trimmed) {
+            return { format: 'list', entries: [] };
+        }
+
+        if (/^[[{]/.test(trimmed)) {
+            return { format: 'json', entries: parseJSON(JSON.parse(trimmed)) };
+        }
+
+        const lines = trimmed.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        const delimiter = [',', ';', '\t'].find(candidate => lines.every(line => line.includes(candidate)));
+
+        if (delimiter) {
+            return { format: 'csv', entries: parseCSV(lines, delimiter) };
+        }
+
+        return { format: 'list', entries: parseList(lines) };
+    }
+
+    /**
+     * Quote a CSV cell when needed
+     */
+    function csvCell(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Serialize batch report rows as CSV
+     * @param {Array} rows - Report rows {label, input, hex, match, deltaE, metric, rating, error}
+     * @returns {string} CSV text
+     */
+    function toCSV(rows) {
+        const header = ['label', 'input', 'hex', 'pantone_name', 'pantone_code', 'pantone_hex', 'library', 'delta_e', 'metric', 'rating', 'error'];
+
+        const lines = rows.map(row => [
+            row.label,
+            row.input,
+            row.hex,
+            row.match ? row.match.name : '',
+            row.match ? row.match.code : '',
+            row.match ? row.match.hex : '',
+            row.match ? row.match.libraryName : '',
+            typeof row.deltaE === 'number' ? row.deltaE.toFixed(2) : '',
+            row.metric || '',
+            row.rating || '',
+            row.error || ''
+        ].map(csvCell).join(','));
+
+        return [header.join(',')].concat(lines).join('\n') + '\n';
+    }
+
+    /**
+     * Serialize labelled colors as palette text that parse() reads back
+     * Written as CSV so labels (file and swatch names) can hold commas
+     * @param {Array} entries - [{label, hex}]
+     * @returns {string} CSV text
+     */
+    function toPaletteText(entries) {
+        // parse() splits lines before cells, so a label cannot span lines
+        const lines = entries.map(entry =>
+            [String(entry.label || '').replace(/\s*[\r\n]+\s*/g, ' '), entry.hex].map(csvCell).join(',')
+        );
+
+        return ['label,hex'].concat(lines).join('\n');
+    }
+
+    /**
+     * Serialize batch report rows as JSON
+     * @param {Array} rows - Report rows
+     * @param {object} meta - Extra report fields (metric, libraries, ...)
+     * @returns {string} JSON text
+     */
+    function toJSON(rows, meta = {}) {
+        const report = {
+            generated: new Date().toISOString(),
+            ...meta,
+            count: rows.length,
+            results: rows.map(row => ({
+                label: row.label,
+                input: row.input,
+                hex: row.hex,
+                match: row.match ? {
+                    name: row.match.name,
+                    code: row.match.code,
+                    hex: row.match.hex,
+                    lab: row.match.lab,
+                    library: row.match.library
+                } : null,
+                deltaE: typeof row.deltaE === 'number' ? Math.round(row.deltaE * 100) / 100 : null,
+                rating: row.rating || null,
+                error: row.error || null
+            }))
+        };
+
+        return JSON.stringify(report, null, 2) + '\n';
+    }
+
+    // Public API
+    return {
+        parse,
+        toPaletteText,
+        toCSV,
+        toJSON
+    };
+})(typeof ColorAlgorithms !== 'undefined' ? ColorAlgorithms : require('./color-algorithms.js'));
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PaletteIO;
+}
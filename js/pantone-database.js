@@ -1,63 +1,368 @@
 /**
  * Pantone Database Module
- * Manages loading and searching of Pantone colors
+ * Manages loading and searching of Pantone color libraries
  */
 
-const PantoneDatabase = (function() {
+const PantoneDatabase = (function(ColorAlgorithms, LabIndex) {
     'use strict';
 
-    let colorsData = null;
-    let isLoaded = false;
+    const MANIFEST_URL = 'data/libraries.json';
+
+    // Pantone and Adobe Lab values are measured under D50 with the 2° observer
+    const DEFAULT_ILLUMINANT = 'D50';
+    const DEFAULT_OBSERVER = '2';
+
+    // ΔE76 candidates fetched from the k-d tree per requested match before re-ranking
+    // with non-Euclidean formulas; usually enough to cover the exact top k without
+    // widening the search (see scripts/benchmark-index.js)
+    const CANDIDATE_FACTOR = 8;
+    const MIN_CANDIDATES = 80;
+
+    // Folder the manifest and library files are fetched from, relative to the page
+    let baseUrl = '';
+
+    let manifest = null;
+    const libraries = new Map(); // id -> loaded library data
+    const indexes = new Map(); // id -> LabIndex over the library colors
+    let activeIds = [];
+    let activeColors = [];
+    let colorimetry = {
+        referenceWhite: null, // {illuminant, observer} overriding library metadata, or null
+        adaptation: ColorAlgorithms.DEFAULT_ADAPTATION
+    };
 
     /**
-     * Load Pantone colors from JSON file
-     * @returns {Promise} Resolves when colors are loaded
+     * Load the library manifest
+     * @returns {Promise} Resolves with the list of available libraries
      */
-    async function load() {
-        if (isLoaded) {
-            return colorsData;
+    async function loadManifest() {
+        if (manifest) {
+            return manifest.libraries;
         }
 
         try {
-            const response = await fetch('data/pantone-colors.json');
+            const response = await fetch(baseUrl + MANIFEST_URL);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            manifest = await response.json();
+
+            // Fingerprint the manifest metadata before library files add theirs
+            manifest.libraries.forEach(entry => {
+                entry.dataVersion = getDataVersion(entry);
+            });
+
+            return manifest.libraries;
+        } catch (error) {
+            console.error('Failed to load library manifest:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch the manifest and library files from another folder
+     * For pages that embed the picker outside this app; call before loadManifest()
+     * @param {string} url - Folder holding data/libraries.json (e.g., "/vendor/pantone/")
+     */
+    function setBaseUrl(url) {
+        baseUrl = url && !url.endsWith('/') ? url + '/' : (url || '');
+    }
+
+    /**
+     * Version of a library's data file, from its manifest metadata
+     * Changing anything in the metadata (e.g., totalColors or an explicit
+     * version) gives the file a new URL, so cached copies are replaced
+     * @param {object} entry - Manifest entry
+     * @returns {string} metadata.version, or a hash of the metadata
+     */
+    function getDataVersion(entry) {
+        if (entry.dataVersion) return entry.dataVersion;
+
+        const metadata = entry.metadata || {};
+        if (metadata.version) return String(metadata.version);
+
+        // FNV-1a over the metadata JSON
+        const text = JSON.stringify(metadata);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(36);
+    }
+
+    /**
+     * URL of a library's data file, tagged with its data version
+     * @param {object} entry - Manifest entry
+     * @returns {string} URL relative to the page
+     */
+    function getDataUrl(entry) {
+        return `${baseUrl}${entry.file}?v=${encodeURIComponent(getDataVersion(entry))}`;
+    }
+
+    /**
+     * Use a manifest that was already loaded elsewhere (e.g., sent to a worker)
+     * @param {object} data - Manifest {defaultLibraries, libraries}
+     */
+    function useManifest(data) {
+        manifest = {
+            ...data,
+            libraries: data.libraries.map(entry => ({ ...entry }))
+        };
+    }
+
+    /**
+     * Find a manifest entry by id
+     * @param {string} id - Library id
+     * @returns {object} Manifest entry or null
+     */
+    function getEntry(id) {
+        if (!manifest) return null;
+
+        return manifest.libraries.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Load a Pantone library from its JSON file
+     * @param {string} id - Library id (defaults to the first default library)
+     * @returns {Promise} Resolves with the library data when loaded
+     */
+    async function load(id) {
+        await loadManifest();
+
+        const libraryId = id || manifest.defaultLibraries[0];
+        if (libraries.has(libraryId)) {
+            return libraries.get(libraryId);
+        }
+
+        const entry = getEntry(libraryId);
+        if (!entry) {
+            throw new Error(`Unknown library: ${libraryId}`);
+        }
+
+        try {
+            const response = await fetch(getDataUrl(entry));
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
 
             const data = await response.json();
-            colorsData = data;
-            isLoaded = true;
+            storeLibrary(entry, data);
 
-            console.log(`✓ Loaded ${data.colors.length} Pantone colors`);
-            return colorsData;
+            // Keep the single-library behaviour of load() for callers that never pick a set
+            if (activeIds.length === 0) {
+                setActive([libraryId]);
+            }
+
+            console.log(`✓ Loaded ${data.colors.length} Pantone colors from ${entry.name}`);
+            return data;
         } catch (error) {
-            console.error('Failed to load Pantone database:', error);
+            console.error(`Failed to load Pantone library ${libraryId}:`, error);
             throw error;
         }
     }
 
+    /**
+     * Tag colors with their library and gamut, and keep the data
+     */
+    function storeLibrary(entry, data) {
+        entry.metadata = { ...entry.metadata, ...data.metadata };
+
+        data.colors.forEach(color => {
+            color.library = entry.id;
+            color.libraryName = entry.name;
+        });
+
+        libraries.set(entry.id, data);
+        indexes.set(entry.id, LabIndex.create(data.colors));
+        updateGamut(entry.id);
+    }
+
+    /**
+     * Flag colors whose LAB value falls outside sRGB / Display P3
+     * under the library's reference white
+     */
+    function updateGamut(id) {
+        const white = getReferenceWhite(id);
+
+        libraries.get(id).colors.forEach(color => {
+            color.gamut = color.lab ? ColorAlgorithms.checkGamut(color.lab, white) : { srgb: true, p3: true };
+        });
+    }
+
+    /**
+     * Get the reference white declared in a library's metadata
+     * @param {string} id - Library id
+     * @returns {object} {illuminant, observer} (D50/2° when the metadata does not say)
+     */
+    function getLibraryWhite(id) {
+        const entry = getEntry(id);
+        const metadata = (entry && entry.metadata) || {};
+
+        return {
+            illuminant: metadata.illuminant || DEFAULT_ILLUMINANT,
+            observer: String(metadata.observer || DEFAULT_OBSERVER)
+        };
+    }
+
+    /**
+     * Get the reference white a library's LAB values are treated as relative to
+     * @param {string} id - Library id
+     * @returns {object} {illuminant, observer}: the override if one is set, else the library white
+     */
+    function getReferenceWhite(id) {
+        return colorimetry.referenceWhite ? { ...colorimetry.referenceWhite } : getLibraryWhite(id);
+    }
+
+    /**
+     * Get the colorimetry settings
+     * @returns {object} {referenceWhite, adaptation}
+     */
+    function getColorimetry() {
+        return { ...colorimetry };
+    }
+
+    /**
+     * Change the reference white override and chromatic adaptation method
+     * Gamut flags of loaded libraries are recomputed
+     * @param {object} settings - {referenceWhite: {illuminant, observer} or null, adaptation}
+     */
+    function setColorimetry(settings) {
+        const next = { ...colorimetry, ...settings };
+
+        if (next.referenceWhite) {
+            // Throws on unknown illuminants
+            ColorAlgorithms.getWhitePoint(next.referenceWhite);
+        }
+
+        colorimetry = next;
+        libraries.forEach((data, id) => updateGamut(id));
+    }
+
+    /**
+     * Register a library that was not loaded from the manifest (e.g., an imported swatch book)
+     * @param {object} entry - Library entry {id, name, shortName, ...}
+     * @param {object} data - Library data {metadata, colors, stats}
+     * @returns {object} The registered entry
+     */
+    function registerLibrary(entry, data) {
+        if (!manifest) {
+            throw new Error('Manifest not loaded. Call loadManifest() first.');
+        }
+
+        const existing = getEntry(entry.id);
+        const stored = existing || { metadata: {}, ...entry };
+        if (!existing) {
+            manifest.libraries.push(stored);
+        }
+
+        storeLibrary(stored, data);
+        return stored;
+    }
+
+    /**
+     * Remove a registered library
+     * @param {string} id - Library id
+     */
+    function unregisterLibrary(id) {
+        if (!manifest) return;
+
+        manifest.libraries = manifest.libraries.filter(entry => entry.id !== id);
+        libraries.delete(id);
+        indexes.delete(id);
+
+        if (activeIds.includes(id)) {
+            const remaining = activeIds.filter(activeId => activeId !== id);
+            setActive(remaining.length > 0 ? remaining : manifest.defaultLibraries.filter(libraries.has, libraries));
+        }
+    }
+
+    /**
+     * Set the active library ids and rebuild the combined color list
+     */
+    function setActive(ids) {
+        activeIds = ids.slice();
+        activeColors = activeIds.reduce((colors, id) => colors.concat(libraries.get(id).colors), []);
+    }
+
+    /**
+     * Load and activate one or more libraries
+     * @param {Array} ids - Library ids (unknown ids are ignored)
+     * @returns {Promise} Resolves with the combined active colors
+     */
+    async function setActiveLibraries(ids) {
+        await loadManifest();
+
+        const validIds = (ids || []).filter(id => getEntry(id));
+        const nextIds = validIds.length > 0 ? validIds : manifest.defaultLibraries.slice();
+
+        await Promise.all(nextIds.map(id => load(id)));
+        setActive(nextIds);
+
+        return activeColors;
+    }
+
+    /**
+     * Get available libraries
+     * @returns {Array} Manifest entries with load/active state
+     */
+    function getLibraries() {
+        if (!manifest) {
+            throw new Error('Manifest not loaded. Call loadManifest() first.');
+        }
+
+        return manifest.libraries.map(entry => ({
+            ...entry,
+            loaded: libraries.has(entry.id),
+            active: activeIds.includes(entry.id)
+        }));
+    }
+
+    /**
+     * Get active libraries
+     * @returns {Array} Manifest entries of the active libraries
+     */
+    function getActiveLibraries() {
+        return activeIds.map(getEntry);
+    }
+
+    /**
+     * Get the library data for an id, or the first active library
+     */
+    function getLibraryData(id) {
+        const libraryId = id || activeIds[0];
+        if (!libraries.has(libraryId)) {
+            throw new Error('Database not loaded. Call load() first.');
+        }
+
+        return libraries.get(libraryId);
+    }
+
     /**
      * Get all colors
+     * @param {string} id - Library id (defaults to all active libraries)
      * @returns {Array} Array of color objects
      */
-    function getAllColors() {
-        if (!isLoaded) {
+    function getAllColors(id) {
+        if (id) {
+            return getLibraryData(id).colors;
+        }
+
+        if (activeIds.length === 0) {
             throw new Error('Database not loaded. Call load() first.');
         }
 
-        return colorsData.colors;
+        return activeColors;
     }
 
     /**
      * Get metadata
+     * @param {string} id - Library id (defaults to the first active library)
      * @returns {object} Metadata object
      */
-    function getMetadata() {
-        if (!isLoaded) {
-            throw new Error('Database not loaded. Call load() first.');
-        }
-
-        return colorsData.metadata;
+    function getMetadata(id) {
+        return getLibraryData(id).metadata;
     }
 
     /**
@@ -66,13 +371,9 @@ const PantoneDatabase = (function() {
      * @returns {Array} Matching colors
      */
     function searchByName(query) {
-        if (!isLoaded) {
-            throw new Error('Database not loaded. Call load() first.');
-        }
-
         query = query.toLowerCase().trim();
 
-        return colorsData.colors.filter(color =>
+        return getAllColors().filter(color =>
             color.name.toLowerCase().includes(query) ||
             color.code.toLowerCase().includes(query)
         );
@@ -81,14 +382,11 @@ const PantoneDatabase = (function() {
     /**
      * Find exact color by name
      * @param {string} name - Exact color name
+     * @param {string} libraryId - Library to search (defaults to all active libraries)
      * @returns {object} Color object or null
      */
-    function findByName(name) {
-        if (!isLoaded) {
-            throw new Error('Database not loaded. Call load() first.');
-        }
-
-        return colorsData.colors.find(color =>
+    function findByName(name, libraryId) {
+        return getAllColors(libraryId).find(color =>
             color.name.toLowerCase() === name.toLowerCase()
         ) || null;
     }
@@ -96,50 +394,118 @@ const PantoneDatabase = (function() {
     /**
      * Find color by code
      * @param {string} code - Pantone code (e.g., "100-c")
+     * @param {string} libraryId - Library to search (defaults to all active libraries)
      * @returns {object} Color object or null
      */
-    function findByCode(code) {
-        if (!isLoaded) {
-            throw new Error('Database not loaded. Call load() first.');
-        }
-
-        return colorsData.colors.find(color =>
+    function findByCode(code, libraryId) {
+        return getAllColors(libraryId).find(color =>
             color.code.toLowerCase() === code.toLowerCase()
         ) || null;
     }
 
+    /**
+     * Find the library colors nearest to a LAB color
+     * The input is adapted to each library's reference white, the k-d tree returns
+     * ΔE76 candidates and those are re-ranked with the selected formula. When the
+     * formula allows a color outside the candidates to beat the k-th one, the search
+     * is widened to the metric's ΔE76 radius, so the result matches a linear search
+     * @param {object} lab - LAB color {L, a, b}
+     * @param {object} options - {k: number of matches (default 10), metric: Delta E formula id,
+     *                           white: reference white of lab (default D65), libraries: ids
+     *                           (default active), exclude: predicate for colors to skip}
+     * @returns {Array} Color objects with deltaE, sorted by deltaE
+     */
+    function findNearest(lab, options = {}) {
+        const k = options.k || 10;
+        const metric = ColorAlgorithms.getMetric(options.metric);
+        const white = options.white || 'D65';
+        const ids = options.libraries || activeIds;
+
+        // ΔE76 is the tree's own distance, so no extra candidates are needed
+        const candidates = metric.id === '76' ? k : Math.max(k * CANDIDATE_FACTOR, MIN_CANDIDATES);
+
+        const matches = [];
+        ids.forEach(id => {
+            const index = indexes.get(id);
+            if (!index) {
+                throw new Error(`Library not loaded: ${id}`);
+            }
+
+            const target = ColorAlgorithms.adaptLab(lab, white, getReferenceWhite(id), colorimetry.adaptation);
+            const score = ({ color }) => ({ color, deltaE: metric.compute(target, color.lab) });
+            const byDeltaE = (p, q) => p.deltaE - q.deltaE;
+
+            const found = index.nearest(target, candidates, options.exclude);
+            let scored = found.map(score).sort(byDeltaE);
+
+            // Colors left out are at least the last candidate's ΔE76 away; if the k-th
+            // match's radius reaches past that, one of them could still rank higher
+            if (found.length === candidates && scored.length >= k) {
+                const kth = scored[k - 1].deltaE;
+                const radius = metric.radius(target, kth);
+                if (radius > found[found.length - 1].distance) {
+                    scored = index.within(target, radius, options.exclude)
+                        .map(score)
+                        .filter(match => match.deltaE <= kth)
+                        .sort(byDeltaE);
+                }
+            }
+
+            scored.slice(0, k).forEach(({ color, deltaE }) => {
+                matches.push({ ...color, deltaE });
+            });
+        });
+
+        return matches.sort((a, b) => a.deltaE - b.deltaE).slice(0, k);
+    }
+
     /**
      * Get database stats
+     * @param {string} id - Library id (defaults to the first active library)
      * @returns {object} Stats object
      */
-    function getStats() {
-        if (!isLoaded) {
-            throw new Error('Database not loaded. Call load() first.');
-        }
-
-        return colorsData.stats;
+    function getStats(id) {
+        return getLibraryData(id).stats;
     }
 
     /**
      * Check if database is loaded
-     * @returns {boolean} True if loaded
+     * @returns {boolean} True if at least one library is active
      */
     function checkIsLoaded() {
-        return isLoaded;
+        return activeIds.length > 0;
     }
 
     // Public API
     return {
+        loadManifest,
+        useManifest,
+        setBaseUrl,
         load,
+        setActiveLibraries,
+        registerLibrary,
+        unregisterLibrary,
+        getLibraries,
+        getActiveLibraries,
         getAllColors,
         getMetadata,
+        getDataVersion,
+        getDataUrl,
         searchByName,
         findByName,
         findByCode,
+        findNearest,
         getStats,
-        isLoaded: isLoaded
+        getLibraryWhite,
+        getReferenceWhite,
+        getColorimetry,
+        setColorimetry,
+        isLoaded: checkIsLoaded
     };
-})();
+})(
+    typeof ColorAlgorithms !== 'undefined' ? ColorAlgorithms : require('./color-algorithms.js'),
+    typeof LabIndex !== 'undefined' ? LabIndex : require('./lab-index.js')
+);
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
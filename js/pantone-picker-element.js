@@ -0,0 +1,238 @@
+/**
+ * <pantone-picker> Custom Element
+ * Embeds the Pantone picker in any page, as often as needed, with its markup
+ * and styles in Shadow DOM:
+ *
+ *   <pantone-picker library="solid-coated-2024" selected="185-c"></pantone-picker>
+ *
+ * Attributes:
+ *   library    - Comma-separated library ids (default: the active, else the default libraries)
+ *   selected   - Pantone code ("185-c") or name to select
+ *   mode       - "inline" (default) or "modal"
+ *   open       - Shows a modal picker; removed when the user closes it
+ *   sort       - book, hue, lightness, chroma or family
+ *   multiple   - Starts in multi-select mode (Ctrl/Shift-click always adds to the palette)
+ *   base-url   - Folder holding data/libraries.json, when it is not next to the page
+ *   stylesheet - URL of picker.css (default: css/picker.css next to this script's folder)
+ *
+ * Events (event.detail.color is the color object):
+ *   change        - The selected color changed
+ *   select        - The user confirmed a color (Use This Color, or Enter)
+ *   palettechange - Colors were added to, moved in or removed from the palette (event.detail.colors)
+ *   paletteselect - The user confirmed the palette (Use Palette; event.detail.colors)
+ *   error         - The libraries failed to load (event.detail.error)
+ */
+
+const PantonePickerElement = (function(PantonePicker, PantoneDatabase) {
+    'use strict';
+
+    // The ES module build defines PICKER_STYLES with the contents of picker.css
+    const INLINE_STYLES = typeof PICKER_STYLES !== 'undefined' ? PICKER_STYLES : null;
+    const DEFAULT_STYLESHEET = !INLINE_STYLES && document.currentScript
+        ? new URL('../css/picker.css', document.currentScript.src).href
+        : null;
+
+    // element -> {picker, colors, loadId}
+    const states = new WeakMap();
+
+    class PickerElement extends HTMLElement {
+        static get observedAttributes() {
+            return ['library', 'selected', 'mode', 'open', 'sort', 'multiple', 'stylesheet'];
+        }
+
+        constructor() {
+            super();
+            this.attachShadow({ mode: 'open' });
+            states.set(this, { picker: null, colors: null, loadId: 0 });
+        }
+
+        connectedCallback() {
+            if (!states.get(this).picker) {
+                render(this);
+            }
+        }
+
+        disconnectedCallback() {
+            const state = states.get(this);
+            if (state.picker) {
+                state.picker.destroy();
+                state.picker = null;
+            }
+        }
+
+        attributeChangedCallback(name, oldValue, value) {
+            const state = states.get(this);
+            if (!state.picker || oldValue === value) return;
+
+            switch (name) {
+                case 'library':
+                    loadColors(this);
+                    break;
+                case 'selected':
+                    state.picker.setSelected(value);
+                    break;
+                case 'open':
+                    if (value !== null) {
+                        state.picker.open();
+                    } else {
+                        state.picker.close();
+                    }
+                    break;
+                case 'sort':
+                    state.picker.setSortMode(value);
+                    break;
+                default:
+                    // mode, multiple and stylesheet need new markup
+                    render(this);
+            }
+        }
+
+        /**
+         * The selected color object, or null
+         */
+        get value() {
+            const picker = states.get(this).picker;
+            return picker ? picker.getSelected() : null;
+        }
+
+        /**
+         * The palette's color objects, in order
+         */
+        get palette() {
+            const picker = states.get(this).picker;
+            return picker ? picker.getPalette() : [];
+        }
+
+        /**
+         * Colors to show instead of the library attribute's (null to use it again)
+         */
+        get colors() {
+            return states.get(this).colors;
+        }
+
+        set colors(colors) {
+            states.get(this).colors = colors || null;
+            if (states.get(this).picker) {
+                loadColors(this);
+            }
+        }
+
+        get open() {
+            return this.hasAttribute('open');
+        }
+
+        set open(value) {
+            this.toggleAttribute('open', Boolean(value));
+        }
+
+        /**
+         * Show a modal picker
+         */
+        show() {
+            this.open = true;
+        }
+
+        /**
+         * Close a modal picker
+         */
+        close() {
+            this.open = false;
+        }
+    }
+
+    /**
+     * Build the shadow tree and the picker for the current attributes
+     */
+    function render(element) {
+        const state = states.get(element);
+        if (state.picker) {
+            state.picker.destroy();
+        }
+
+        const shadow = element.shadowRoot;
+        shadow.innerHTML = '';
+
+        if (INLINE_STYLES && !element.hasAttribute('stylesheet')) {
+            const style = document.createElement('style');
+            style.textContent = INLINE_STYLES;
+            shadow.appendChild(style);
+        } else {
+            const link = document.createElement('link');
+            link.rel = 'stylesheet';
+            link.href = element.getAttribute('stylesheet') || DEFAULT_STYLESHEET;
+            shadow.appendChild(link);
+        }
+
+        state.picker = PantonePicker.create({
+            mount: shadow,
+            mode: element.getAttribute('mode') === 'modal' ? 'modal' : 'inline',
+            sort: element.getAttribute('sort'),
+            sortStorageKey: null,
+            multiple: element.hasAttribute('multiple'),
+            onChange: color => dispatch(element, 'change', { color }),
+            onSelect: color => dispatch(element, 'select', { color }),
+            onPaletteChange: colors => dispatch(element, 'palettechange', { colors }),
+            onUsePalette: colors => dispatch(element, 'paletteselect', { colors }),
+            onClose: () => element.removeAttribute('open')
+        });
+
+        loadColors(element);
+    }
+
+    /**
+     * Load the element's colors into its picker
+     * Libraries are loaded without changing the page's active libraries
+     */
+    async function loadColors(element) {
+        const state = states.get(element);
+        const loadId = ++state.loadId;
+        let colors = state.colors;
+
+        if (!colors) {
+            const ids = (element.getAttribute('library') || '').split(',').map(id => id.trim()).filter(Boolean);
+
+            try {
+                if (element.hasAttribute('base-url') && !PantoneDatabase.isLoaded()) {
+                    PantoneDatabase.setBaseUrl(element.getAttribute('base-url'));
+                }
+
+                if (ids.length > 0) {
+                    await Promise.all(ids.map(id => PantoneDatabase.load(id)));
+                    colors = ids.reduce((all, id) => all.concat(PantoneDatabase.getAllColors(id)), []);
+                } else {
+                    colors = PantoneDatabase.isLoaded()
+                        ? PantoneDatabase.getAllColors()
+                        : await PantoneDatabase.setActiveLibraries([]);
+                }
+            } catch (error) {
+                console.error('Failed to load Pantone libraries for <pantone-picker>:', error);
+                element.dispatchEvent(new CustomEvent('error', { detail: { error } }));
+                return;
+            }
+        }
+
+        // A newer load started, or the element was removed meanwhile
+        if (loadId !== state.loadId || !state.picker) return;
+
+        state.picker.setColors(colors);
+        if (element.hasAttribute('selected')) {
+            state.picker.setSelected(element.getAttribute('selected'));
+        }
+        if (element.hasAttribute('open') && !state.picker.isOpen()) {
+            state.picker.open();
+        }
+    }
+
+    /**
+     * Fire a picker event from the element
+     */
+    function dispatch(element, type, detail) {
+        element.dispatchEvent(new CustomEvent(type, { bubbles: true, detail }));
+    }
+
+    if (!customElements.get('pantone-picker')) {
+        customElements.define('pantone-picker', PickerElement);
+    }
+
+    return PickerElement;
+})(PantonePicker, PantoneDatabase);
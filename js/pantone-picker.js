@@ -1,6 +1,8 @@
 /**
  * Pantone Color Picker Component
- * Modal-based color picker with virtual scrolling for 3,219 colors
+ * Color picker with virtual scrolling across the active libraries, shown as a
+ * modal or inline. PantonePicker.create() makes independent pickers (see
+ * pantone-picker-element.js); init/open/close drive the page's modal picker.
  */
 
 console.log('🔄 Loading pantone-picker.js...');
@@ -8,324 +10,1316 @@ console.log('🔄 Loading pantone-picker.js...');
 window.PantonePicker = (function() {
     'use strict';
 
-    console.log('🔄 Initializing PantonePicker module...');
+    const { escapeHtml } = HtmlUtils;
 
-    let allColors = [];
-    let filteredColors = [];
-    let selectedColor = null;
-    let isOpen = false;
+    console.log('🔄 Initializing PantonePicker module...');
 
-    // Virtual scrolling state
+    // Virtual scrolling
     const ITEMS_PER_ROW = 8;
     const ITEM_SIZE = 80; // px per swatch (including gap)
-    const VISIBLE_ROWS = 6;
     const BUFFER_ROWS = 2;
-    let scrollTop = 0;
+    const HEADER_SIZE = 36; // px per group header
 
-    // DOM elements
-    let modal, searchInput, colorGrid, selectedDisplay, colorCount;
+    // Swatch orders; group names the section headers shown in that order
+    const SORT_MODES = [
+        { id: 'book', label: 'Book order' },
+        { id: 'hue', label: 'Hue' },
+        { id: 'lightness', label: 'Lightness (light → dark)' },
+        { id: 'chroma', label: 'Chroma (vivid → muted)' },
+        { id: 'family', label: 'Hue families' }
+    ];
 
-    /**
-     * Initialize the picker
-     */
-    function init(colors) {
-        allColors = colors;
-        filteredColors = colors;
-        createModal();
-        setupEventListeners();
-        console.log('✓ Pantone Picker initialized with', allColors.length, 'colors');
-    }
+    const ANNOUNCE_DELAY_MS = 500;
+
+    let pickerCount = 0;
+    let pagePicker = null;
 
     /**
-     * Create modal structure
+     * Create a picker
+     * @param {object} options - Picker options
+     * @param {Node} options.mount - Element or shadow root to render into (default: document.body)
+     * @param {string} options.mode - 'modal' (hidden until open()) or 'inline'
+     * @param {string} options.idPrefix - Prefix for element ids (default: unique per picker)
+     * @param {string} options.sort - Initial sort mode
+     * @param {string} options.sortStorageKey - localStorage key remembering the sort mode, or null
+     * @param {Function} options.getMetric - () => Delta E formula id for near: filters
+     * @param {Function} options.renderGamutWarning - (lab, gamut, white) => HTML for the selected color
+     * @param {Function} options.onChange - color => void, when the selection changes
+     * @param {Function} options.onSelect - color => void, when the selection is confirmed
+     * @param {Function} options.onFindSimilar - color => void; the Find Similar button is shown only with it
+     * @param {boolean} options.multiple - Start in multi-select mode (a click adds to the palette)
+     * @param {Function} options.onPaletteChange - colors => void, when the palette changes
+     * @param {Function} options.onCompare - colors => void; the palette's Compare button is shown only with it
+     * @param {Function} options.onUsePalette - colors => void; the Use Palette button is shown only with it
+     * @param {Function} options.onClose - () => void, when a modal picker closes
+     * @returns {object} Picker {setColors, getColors, getSelected, setSelected, getPalette, setPalette,
+     *                   setSortMode, open, close, isOpen, destroy}
      */
-    function createModal() {
-        const modalHTML = `
-            <div id="pantonePickerModal" class="picker-modal" style="display: none;">
-                <div class="picker-overlay"></div>
-                <div class="picker-container">
+    function create(options = {}) {
+        const mount = options.mount || document.body;
+        const inline = options.mode === 'inline';
+        const prefix = options.idPrefix !== undefined ? options.idPrefix : `pantonePicker${++pickerCount}-`;
+
+        let allColors = [];
+        let filteredColors = [];
+        let selectedColor = null;
+        let isOpen = inline;
+
+        // Palette: colors picked with Ctrl/Shift-click or in multi-select mode, in the user's order
+        let palette = [];
+        let multiSelect = Boolean(options.multiple);
+        let anchorIndex = -1; // last clicked swatch, start of Shift-click ranges
+        let dragIndex = -1; // tray item being dragged
+
+        // Grid layout: rows of swatches and group headers with their offsets
+        let layout = { rows: [], headers: [], swatchRows: [], height: 0 };
+        let sortMode = 'book';
+
+        // Keyboard focus within the grid (index in filteredColors, -1 for none)
+        let activeIndex = -1;
+        let returnFocus = null;
+        let libraryCount = 1;
+        let announceTimer = null;
+        let resizeObserver = null;
+
+        // DOM elements
+        let host, searchInput, gridContainer, colorGrid, selectedDisplay, colorCount, chipList, stickyHeader, statusRegion;
+        let tray, trayList;
+
+        /**
+         * Id of a picker element
+         */
+        function id(name) {
+            return prefix + name;
+        }
+
+        /**
+         * Find a picker element by its unprefixed id
+         */
+        function byId(name) {
+            return host.querySelector(`#${CSS.escape(id(name))}`);
+        }
+
+        /**
+         * Create picker structure
+         */
+        function createElements() {
+            const containerHTML = `
+                <div class="picker-container ${inline ? 'picker-inline' : ''}"
+                     ${inline ? 'role="region"' : 'role="dialog" aria-modal="true"'} aria-labelledby="${id('pickerTitle')}">
                     <div class="picker-header">
-                        <h2>🎨 Select Pantone Color</h2>
-                        <button class="picker-close" aria-label="Close">&times;</button>
+                        <div class="picker-title">
+                            <h2 id="${id('pickerTitle')}">🎨 Select Pantone Color</h2>
+                            <span class="picker-library-names" id="${id('pickerLibraryNames')}"></span>
+                        </div>
+                        ${inline ? '' : '<button class="picker-close" aria-label="Close">&times;</button>'}
                     </div>
 
                     <div class="picker-search-bar">
                         <input
                             type="text"
-                            id="pantoneSearch"
+                            id="${id('pantoneSearch')}"
+                            aria-label="Search Pantone colors"
+                            aria-controls="${id('pickerGrid')}"
                             class="picker-search-input"
-                            placeholder="Search by color name or code..."
+                            placeholder="Search by name or code, or filter: L>70 hue:200-240 family:blue near:#1a2b3c"
+                            title="Filters: L, a, b, chroma, hue (e.g. L>70, chroma<20, hue:200-240), family:blue, series:7xxx, neutral, near:#1a2b3c within ΔE 5. Prefix with - to exclude."
                             autocomplete="off"
                         />
-                        <span class="picker-color-count" id="pickerColorCount">3,219 colors</span>
+                        <span class="picker-color-count" id="${id('pickerColorCount')}"></span>
+                        <select class="picker-sort-select" id="${id('pickerSort')}" title="Order of the swatches" aria-label="Order of the swatches">
+                            ${SORT_MODES.map(mode => `<option value="${mode.id}" ${mode.id === sortMode ? 'selected' : ''}>${mode.label}</option>`).join('')}
+                        </select>
+                        <select class="picker-export-select" id="${id('pickerExportShown')}" title="Download the colors currently shown">
+                            ${renderExportOptions('⬇ Export shown…')}
+                        </select>
+                        <button class="picker-multi-toggle" id="${id('pickerMultiToggle')}" type="button" aria-pressed="${multiSelect}"
+                                title="A click adds the color to the palette (Ctrl/⌘-click and Shift-click always do)">Multi-select</button>
                     </div>
 
+                    <div class="picker-chips" id="${id('pickerChips')}" role="group" aria-label="Active filters" hidden></div>
+                    <div class="picker-status" id="${id('pickerStatus')}" role="status" aria-live="polite"></div>
+                    <p class="picker-status" id="${id('pickerGridHelp')}">Arrow keys, Page Up, Page Down, Home and End move between colors. Space selects a color, Enter uses it. Ctrl+Space adds a color to the palette, Shift+Space adds every color since the last one picked.</p>
+
                     <div class="picker-body">
-                        <div class="picker-grid-container" id="pickerGridContainer">
-                            <div class="picker-grid" id="pickerGrid"></div>
+                        <div class="picker-grid-container" id="${id('pickerGridContainer')}">
+                            <div class="picker-group-sticky" id="${id('pickerStickyHeader')}" aria-hidden="true" hidden></div>
+                            <div class="picker-grid" id="${id('pickerGrid')}" role="grid" tabindex="0" aria-multiselectable="true"
+                                 aria-label="Pantone colors" aria-colcount="${ITEMS_PER_ROW}"
+                                 aria-describedby="${id('pickerGridHelp')}"></div>
+                        </div>
+                    </div>
+
+                    <div class="picker-tray" id="${id('pickerTray')}" hidden>
+                        <div class="picker-tray-header">
+                            <h3 class="picker-tray-title" id="${id('pickerTrayTitle')}">Palette</h3>
+                            <div class="picker-tray-actions">
+                                <button class="btn-copy" id="${id('btnCopyNames')}" title="Copy the Pantone names, one per line">Copy Names</button>
+                                <button class="btn-copy" id="${id('btnCopyHexes')}" title="Copy the hex values, one per line">Copy HEX</button>
+                                <select class="picker-export-select" id="${id('pickerExportPalette')}" title="Download the palette">
+                                    ${renderExportOptions('⬇ Export…')}
+                                </select>
+                                ${options.onCompare ? `<button class="btn-copy" id="${id('btnComparePalette')}" title="Compare these colors side by side">Compare</button>` : ''}
+                                <button class="btn-copy" id="${id('btnClearPalette')}">Clear</button>
+                                ${options.onUsePalette ? `<button class="btn-select" id="${id('btnUsePalette')}" title="Use these colors">Use Palette</button>` : ''}
+                            </div>
                         </div>
+                        <ol class="picker-tray-list" id="${id('pickerTrayList')}" aria-labelledby="${id('pickerTrayTitle')}"></ol>
                     </div>
 
-                    <div class="picker-footer" id="pickerFooter" style="display: none;">
+                    <div class="picker-footer" id="${id('pickerFooter')}" style="display: none;">
                         <div class="picker-selected-preview">
-                            <div class="selected-swatch" id="selectedSwatch"></div>
+                            <div class="selected-swatch" id="${id('selectedSwatch')}"></div>
                             <div class="selected-info">
-                                <h3 id="selectedName">PANTONE 185 C</h3>
+                                <h3 id="${id('selectedName')}">PANTONE 185 C</h3>
                                 <div class="selected-values">
-                                    <span id="selectedHex">#FFFFFF</span>
-                                    <span id="selectedRgb">RGB(255, 255, 255)</span>
+                                    <span id="${id('selectedHex')}">#FFFFFF</span>
+                                    <span id="${id('selectedRgb')}">RGB(255, 255, 255)</span>
                                 </div>
+                                <p class="selected-library" id="${id('selectedLibrary')}"></p>
+                                <div id="${id('selectedGamut')}"></div>
                             </div>
                         </div>
                         <div class="picker-actions">
-                            <button class="btn-copy" id="btnCopyHex">Copy HEX</button>
-                            <button class="btn-select" id="btnSelectColor">Use This Color</button>
+                            <select class="picker-export-select" id="${id('pickerExportSelected')}" title="Download the selected color">
+                                ${renderExportOptions('⬇ Export…')}
+                            </select>
+                            <button class="btn-copy" id="${id('btnCopyHex')}">Copy HEX</button>
+                            ${options.onFindSimilar ? `<button class="btn-copy" id="${id('btnFindSimilar')}" title="Pantones nearest to this one, matched on its LAB value">Find Similar</button>` : ''}
+                            <button class="btn-select" id="${id('btnSelectColor')}">Use This Color</button>
                         </div>
                     </div>
                 </div>
-            </div>
-        `;
+            `;
 
-        document.body.insertAdjacentHTML('beforeend', modalHTML);
+            const wrapper = document.createElement('div');
+            wrapper.innerHTML = inline ? containerHTML : `
+                <div id="${id('pantonePickerModal')}" class="picker-modal" style="display: none;">
+                    <div class="picker-overlay" aria-hidden="true"></div>
+                    ${containerHTML}
+                </div>
+            `;
+            host = wrapper.firstElementChild;
+            mount.appendChild(host);
 
-        // Cache DOM elements
-        modal = document.getElementById('pantonePickerModal');
-        searchInput = document.getElementById('pantoneSearch');
-        colorGrid = document.getElementById('pickerGrid');
-        selectedDisplay = document.getElementById('pickerFooter');
-        colorCount = document.getElementById('pickerColorCount');
-    }
+            // Cache DOM elements
+            searchInput = byId('pantoneSearch');
+            gridContainer = byId('pickerGridContainer');
+            colorGrid = byId('pickerGrid');
+            selectedDisplay = byId('pickerFooter');
+            colorCount = byId('pickerColorCount');
+            chipList = byId('pickerChips');
+            statusRegion = byId('pickerStatus');
+            stickyHeader = byId('pickerStickyHeader');
+            tray = byId('pickerTray');
+            trayList = byId('pickerTrayList');
 
-    /**
-     * Setup event listeners
-     */
-    function setupEventListeners() {
-        // Close button
-        modal.querySelector('.picker-close').addEventListener('click', close);
+            updateLibraryNames();
+            updateColorCount();
+        }
 
-        // Overlay click to close
-        modal.querySelector('.picker-overlay').addEventListener('click', close);
+        /**
+         * Replace the colors shown in the picker (e.g., after switching libraries)
+         */
+        function setColors(colors) {
+            allColors = colors;
+            filteredColors = colors;
+            selectedColor = null;
 
-        // Search input
-        searchInput.addEventListener('input', handleSearch);
+            selectedDisplay.style.display = 'none';
+            searchInput.value = '';
+            updateLibraryNames();
+            handleSearch();
+        }
 
-        // Virtual scroll
-        const gridContainer = document.getElementById('pickerGridContainer');
-        gridContainer.addEventListener('scroll', handleScroll);
+        /**
+         * Show which libraries the picker is browsing
+         */
+        function updateLibraryNames() {
+            const names = [...new Set(allColors.map(color => color.libraryName).filter(Boolean))];
+            byId('pickerLibraryNames').textContent = names.join(' + ');
+            libraryCount = names.length;
+        }
 
-        // Color selection
-        colorGrid.addEventListener('click', handleColorClick);
+        /**
+         * Setup event listeners
+         */
+        function setupEventListeners() {
+            if (!inline) {
+                // Close button
+                host.querySelector('.picker-close').addEventListener('click', close);
 
-        // Action buttons
-        document.getElementById('btnCopyHex').addEventListener('click', copyHex);
-        document.getElementById('btnSelectColor').addEventListener('click', selectColor);
+                // Overlay click to close
+                host.querySelector('.picker-overlay').addEventListener('click', close);
 
-        // Keyboard navigation
-        document.addEventListener('keydown', handleKeyDown);
-    }
+                // Escape and focus trap
+                document.addEventListener('keydown', handleKeyDown);
+            } else if (typeof ResizeObserver !== 'undefined') {
+                // Inline pickers may be laid out (or resized) after the first render
+                resizeObserver = new ResizeObserver(() => renderGrid());
+                resizeObserver.observe(gridContainer);
+            }
 
-    /**
-     * Open picker modal
-     */
-    function open() {
-        console.log('📂 Opening modal...', { modal: !!modal, colors: allColors.length });
-        if (!modal) {
-            console.error('❌ Modal element not found!');
-            return;
+            // Search input
+            searchInput.addEventListener('input', handleSearch);
+
+            // Remove a filter chip
+            chipList.addEventListener('click', handleChipClick);
+
+            // Sort / group mode
+            byId('pickerSort').addEventListener('change', handleSortChange);
+
+            // Virtual scroll
+            gridContainer.addEventListener('scroll', handleScroll);
+
+            // Color selection
+            colorGrid.addEventListener('click', handleColorClick);
+
+            // Grid keyboard navigation
+            colorGrid.addEventListener('keydown', handleGridKeyDown);
+            colorGrid.addEventListener('focus', () => {
+                if (activeIndex < 0 && filteredColors.length > 0) {
+                    setActiveIndex(0);
+                }
+            });
+            searchInput.addEventListener('keydown', (e) => {
+                if (e.key === 'ArrowDown') {
+                    e.preventDefault();
+                    colorGrid.focus();
+                }
+            });
+
+            // Action buttons
+            byId('btnCopyHex').addEventListener('click', copyHex);
+            byId('btnSelectColor').addEventListener('click', selectColor);
+            if (options.onFindSimilar) {
+                byId('btnFindSimilar').addEventListener('click', findSimilar);
+            }
+
+            // Palette
+            byId('pickerMultiToggle').addEventListener('click', toggleMultiSelect);
+            byId('btnCopyNames').addEventListener('click', () => copyList(palette.map(color => color.name), 'names'));
+            byId('btnCopyHexes').addEventListener('click', () => copyList(palette.map(color => color.hex), 'hex values'));
+            byId('btnClearPalette').addEventListener('click', () => setPalette([]));
+            if (options.onCompare) {
+                byId('btnComparePalette').addEventListener('click', () => usePalette(options.onCompare));
+            }
+            if (options.onUsePalette) {
+                byId('btnUsePalette').addEventListener('click', () => usePalette(options.onUsePalette));
+            }
+            trayList.addEventListener('click', handleTrayClick);
+            trayList.addEventListener('dragstart', handleTrayDragStart);
+            trayList.addEventListener('dragover', handleTrayDragOver);
+            trayList.addEventListener('drop', handleTrayDrop);
+            trayList.addEventListener('dragend', () => {
+                dragIndex = -1;
+            });
+
+            // Export
+            byId('pickerExportShown').addEventListener('change', (e) => {
+                exportColors(filteredColors, e.target.value, searchInput.value.trim() || 'Pantone swatches');
+                e.target.value = '';
+            });
+            byId('pickerExportSelected').addEventListener('change', (e) => {
+                if (selectedColor) {
+                    exportColors([selectedColor], e.target.value, selectedColor.name);
+                }
+                e.target.value = '';
+            });
+            byId('pickerExportPalette').addEventListener('change', (e) => {
+                exportColors(palette, e.target.value, 'Pantone palette');
+                e.target.value = '';
+            });
         }
-        isOpen = true;
-        modal.style.display = 'flex';
-        document.body.style.overflow = 'hidden';
-        searchInput.value = '';
-        filteredColors = allColors;
-        updateColorCount();
-        renderGrid();
-        searchInput.focus();
-        console.log('✓ Modal opened successfully');
-    }
 
-    /**
-     * Close picker modal
-     */
-    function close() {
-        isOpen = false;
-        modal.style.display = 'none';
-        document.body.style.overflow = '';
-        selectedColor = null;
-        selectedDisplay.style.display = 'none';
-    }
+        /**
+         * Open picker modal
+         */
+        function open() {
+            if (inline) return;
 
-    /**
-     * Handle search input
-     */
-    function handleSearch(e) {
-        const query = e.target.value.toLowerCase().trim();
-
-        if (!query) {
-            filteredColors = allColors;
-        } else {
-            filteredColors = allColors.filter(color => {
-                return color.name.toLowerCase().includes(query) ||
-                       color.code.toLowerCase().includes(query) ||
-                       color.hex.toLowerCase().includes(query);
+            isOpen = true;
+            returnFocus = document.activeElement;
+            host.style.display = 'flex';
+            document.body.style.overflow = 'hidden';
+            searchInput.value = '';
+            handleSearch();
+            if (selectedColor && filteredColors.includes(selectedColor)) {
+                setActiveIndex(filteredColors.indexOf(selectedColor));
+            }
+            searchInput.focus();
+        }
+
+        /**
+         * Close picker modal
+         */
+        function close() {
+            if (inline || !isOpen) return;
+
+            isOpen = false;
+            host.style.display = 'none';
+            document.body.style.overflow = '';
+            selectedColor = null;
+            activeIndex = -1;
+            selectedDisplay.style.display = 'none';
+            clearTimeout(announceTimer);
+
+            // Give focus back to whatever opened the picker
+            if (returnFocus && document.body.contains(returnFocus)) {
+                returnFocus.focus();
+            }
+            returnFocus = null;
+
+            if (options.onClose) {
+                options.onClose();
+            }
+        }
+
+        /**
+         * Remove the picker and its listeners
+         */
+        function destroy() {
+            close();
+            clearTimeout(announceTimer);
+            document.removeEventListener('keydown', handleKeyDown);
+            if (resizeObserver) {
+                resizeObserver.disconnect();
+            }
+            host.remove();
+        }
+
+        /**
+         * Handle search input
+         * Free text matches the name, code or hex; filters such as L>70 or
+         * family:blue are parsed by ColorQuery and shown as chips
+         */
+        function handleSearch() {
+            const text = searchInput.value.trim();
+            let matched = allColors;
+
+            if (!text) {
+                renderChips([]);
+            } else {
+                const query = ColorQuery.parse(text, {
+                    metric: options.getMetric ? options.getMetric() : undefined,
+                    referenceWhite: PantoneDatabase.getReferenceWhite,
+                    adaptation: PantoneDatabase.getColorimetry().adaptation
+                });
+
+                matched = allColors.filter(ColorQuery.compile(query));
+                renderChips(query.filters);
+            }
+
+            arrangeColors(matched);
+            updateColorCount();
+
+            if (isOpen) {
+                renderGrid();
+            }
+        }
+
+        /**
+         * Restore the last sort mode
+         */
+        function loadSortMode() {
+            const stored = options.sortStorageKey ? localStorage.getItem(options.sortStorageKey) : options.sort;
+            if (SORT_MODES.some(mode => mode.id === stored)) {
+                sortMode = stored;
+            }
+        }
+
+        /**
+         * Handle sort mode changes
+         */
+        function handleSortChange(e) {
+            setSortMode(e.target.value);
+        }
+
+        /**
+         * Change the sort mode
+         * @param {string} mode - One of the SORT_MODES ids
+         */
+        function setSortMode(mode) {
+            if (!SORT_MODES.some(item => item.id === mode)) return;
+
+            sortMode = mode;
+            byId('pickerSort').value = mode;
+            if (options.sortStorageKey) {
+                localStorage.setItem(options.sortStorageKey, sortMode);
+            }
+
+            arrangeColors(filteredColors);
+            gridContainer.scrollTop = 0;
+            renderGrid();
+        }
+
+        /**
+         * Order colors for the current sort mode and build the grid layout
+         * Book order keeps each library's file order, grouped by library when
+         * several are active. Neutrals have no meaningful hue, so hue order puts
+         * them last, light to dark.
+         * @param {Array} colors - Colors to show
+         */
+        function arrangeColors(colors) {
+            const channels = color => color.lab ? ColorQuery.getChannels(color) : { L: 0, chroma: 0, hue: 0 };
+            const position = new Map(allColors.map((color, index) => [color, index]));
+            let groups = null;
+            let keyOf = null;
+
+            if (sortMode === 'book') {
+                filteredColors = [...colors].sort((a, b) => position.get(a) - position.get(b));
+                const libraries = [...new Set(filteredColors.map(color => color.libraryName))];
+                if (libraries.length > 1) {
+                    groups = libraries.map(name => ({ key: name, label: name }));
+                    keyOf = color => color.libraryName;
+                    filteredColors.sort((a, b) => libraries.indexOf(a.libraryName) - libraries.indexOf(b.libraryName));
+                }
+            } else if (sortMode === 'hue') {
+                const isNeutral = color => channels(color).chroma < 8;
+                filteredColors = [...colors].sort((a, b) =>
+                    (isNeutral(a) - isNeutral(b)) ||
+                    (isNeutral(a) ? channels(b).L - channels(a).L : channels(a).hue - channels(b).hue));
+            } else if (sortMode === 'lightness') {
+                filteredColors = [...colors].sort((a, b) => channels(b).L - channels(a).L);
+            } else if (sortMode === 'chroma') {
+                filteredColors = [...colors].sort((a, b) => channels(b).chroma - channels(a).chroma);
+            } else if (sortMode === 'family') {
+                const families = ColorQuery.getFamilies();
+                const familyOf = new Map(colors.map(color => [color, color.lab ? ColorQuery.getFamily(color) : 'neutral']));
+                groups = families.map(name => ({ key: name, label: name.charAt(0).toUpperCase() + name.slice(1) }));
+                keyOf = color => familyOf.get(color);
+                filteredColors = [...colors].sort((a, b) =>
+                    (families.indexOf(familyOf.get(a)) - families.indexOf(familyOf.get(b))) ||
+                    (channels(b).L - channels(a).L));
+            }
+
+            layout = buildLayout(groups, keyOf);
+            activeIndex = -1;
+            anchorIndex = -1;
+        }
+
+        /**
+         * Lay out filteredColors in rows, with a header row before each group
+         * @param {Array|null} groups - [{key, label}] in display order, or null for no headers
+         * @param {Function|null} keyOf - color => group key
+         * @returns {object} {rows: [{top, header} or {top, start, end}], headers, swatchRows, height}
+         */
+        function buildLayout(groups, keyOf) {
+            const rows = [];
+            const headers = [];
+            let top = 0;
+            let index = 0;
+
+            // filteredColors is sorted by group, so each group is one run
+            const sections = groups
+                ? groups.map(group => {
+                    const start = index;
+                    while (index < filteredColors.length && keyOf(filteredColors[index]) === group.key) {
+                        index++;
+                    }
+                    return { ...group, start, end: index };
+                })
+                : [{ start: 0, end: filteredColors.length }];
+
+            sections.forEach(section => {
+                if (section.start === section.end) return;
+
+                if (section.label) {
+                    const header = { top, header: section, count: section.end - section.start };
+                    rows.push(header);
+                    headers.push(header);
+                    top += HEADER_SIZE;
+                }
+
+                for (let start = section.start; start < section.end; start += ITEMS_PER_ROW) {
+                    rows.push({ top, start, end: Math.min(section.end, start + ITEMS_PER_ROW) });
+                    top += ITEM_SIZE;
+                }
             });
+
+            return { rows, headers, swatchRows: rows.filter(row => !row.header), height: top };
         }
 
-        updateColorCount();
-        renderGrid();
-    }
+        /**
+         * Render the active filters as removable chips
+         * @param {Array} filters - Filters from ColorQuery.parse
+         */
+        function renderChips(filters) {
+            chipList.hidden = filters.length === 0;
+            chipList.innerHTML = filters.map((filter, index) => `
+                <button class="picker-chip ${filter.error ? 'picker-chip-error' : ''} ${filter.negated ? 'picker-chip-negated' : ''}"
+                        data-filter-index="${index}"
+                        aria-label="${escapeHtml(`Remove filter ${filter.negated ? 'not ' : ''}${filter.label}${filter.error ? ': ' + filter.error : ''}`)}"
+                        title="${escapeHtml(filter.error || 'Remove filter')}">
+                    ${filter.swatch ? `<span class="picker-chip-swatch" style="background-color: ${filter.swatch}"></span>` : ''}
+                    ${filter.negated ? 'Not ' : ''}${escapeHtml(filter.label)}
+                    <span class="picker-chip-remove" aria-hidden="true">&times;</span>
+                </button>
+            `).join('');
+        }
 
-    /**
-     * Update color count display
-     */
-    function updateColorCount() {
-        const count = filteredColors.length;
-        colorCount.textContent = `${count.toLocaleString()} color${count !== 1 ? 's' : ''}`;
-    }
+        /**
+         * Remove the clicked filter from the search text
+         */
+        function handleChipClick(e) {
+            const chip = e.target.closest('[data-filter-index]');
+            if (!chip) return;
 
-    /**
-     * Render color grid with virtual scrolling
-     */
-    function renderGrid() {
-        const gridContainer = document.getElementById('pickerGridContainer');
-        const totalColors = filteredColors.length;
-        const totalRows = Math.ceil(totalColors / ITEMS_PER_ROW);
-        const totalHeight = totalRows * ITEM_SIZE;
-
-        // Set container height for scrollbar
-        colorGrid.style.height = totalHeight + 'px';
-
-        // Calculate visible range
-        const scrollTop = gridContainer.scrollTop;
-        const startRow = Math.max(0, Math.floor(scrollTop / ITEM_SIZE) - BUFFER_ROWS);
-        const endRow = Math.min(totalRows, Math.ceil((scrollTop + gridContainer.clientHeight) / ITEM_SIZE) + BUFFER_ROWS);
-
-        const startIndex = startRow * ITEMS_PER_ROW;
-        const endIndex = Math.min(totalColors, endRow * ITEMS_PER_ROW);
-
-        // Render visible swatches
-        let html = '';
-        for (let i = startIndex; i < endIndex; i++) {
+            const text = searchInput.value.trim();
+            const filter = ColorQuery.parse(text).filters[Number(chip.dataset.filterIndex)];
+            if (!filter) return;
+
+            searchInput.value = ColorQuery.removeFilter(text, filter);
+            handleSearch();
+            searchInput.focus();
+        }
+
+        /**
+         * Update color count display
+         */
+        function updateColorCount() {
+            const count = filteredColors.length;
+            colorCount.textContent = `${count.toLocaleString()} color${count !== 1 ? 's' : ''}`;
+            announce(`${colorCount.textContent} shown`);
+        }
+
+        /**
+         * Announce a message to screen readers once typing pauses
+         */
+        function announce(message) {
+            clearTimeout(announceTimer);
+            announceTimer = setTimeout(() => {
+                statusRegion.textContent = message;
+            }, ANNOUNCE_DELAY_MS);
+        }
+
+        /**
+         * Render color grid with virtual scrolling
+         */
+        function renderGrid() {
+            // Set container height for scrollbar
+            colorGrid.style.height = layout.height + 'px';
+            colorGrid.setAttribute('aria-rowcount', layout.rows.length);
+
+            // Calculate visible range
+            const scrollTop = gridContainer.scrollTop;
+            const viewTop = scrollTop - BUFFER_ROWS * ITEM_SIZE;
+            const viewBottom = scrollTop + gridContainer.clientHeight + BUFFER_ROWS * ITEM_SIZE;
+
+            // Render visible rows
+            let html = '';
+            for (let r = findRow(viewTop); r < layout.rows.length && layout.rows[r].top < viewBottom; r++) {
+                const row = layout.rows[r];
+
+                if (row.header) {
+                    html += `
+                        <div class="picker-group-header" role="row" aria-rowindex="${r + 1}" style="top: ${row.top}px;">
+                            <span role="rowheader" aria-colspan="${ITEMS_PER_ROW}">
+                                ${escapeHtml(row.header.label)} <span class="picker-group-count">${row.count.toLocaleString()}</span>
+                            </span>
+                        </div>
+                    `;
+                    continue;
+                }
+
+                // Rows are unpositioned wrappers; swatches are placed against the grid
+                html += `<div role="row" aria-rowindex="${r + 1}">`;
+                for (let i = row.start; i < row.end; i++) {
+                    html += renderSwatch(i, row.top, i - row.start);
+                }
+                html += '</div>';
+            }
+
+            colorGrid.innerHTML = html;
+            updateStickyHeader(scrollTop);
+
+            // Point assistive technology at the focused swatch
+            if (activeIndex >= 0 && byId(`pickerSwatch${activeIndex}`)) {
+                colorGrid.setAttribute('aria-activedescendant', id(`pickerSwatch${activeIndex}`));
+            } else {
+                colorGrid.removeAttribute('aria-activedescendant');
+            }
+        }
+
+        /**
+         * Render one swatch
+         * @param {number} i - Index in filteredColors
+         * @param {number} top - Offset in px
+         * @param {number} column - Column in the row
+         */
+        function renderSwatch(i, top, column) {
             const color = filteredColors[i];
-            const row = Math.floor(i / ITEMS_PER_ROW);
-            const col = i % ITEMS_PER_ROW;
-            const top = row * ITEM_SIZE;
-            const left = col * ITEM_SIZE;
+            const left = column * ITEM_SIZE;
 
             // Determine text color based on brightness
             const brightness = (color.rgb.r * 299 + color.rgb.g * 587 + color.rgb.b * 114) / 1000;
             const textColor = brightness > 128 ? '#000' : '#fff';
+            const gamutWarning = ColorAlgorithms.getGamutWarning(color.gamut);
+            const position = palette.indexOf(color) + 1;
 
-            html += `
-                <div class="picker-swatch"
-                     style="position: absolute; top: ${top}px; left: ${left}px; background-color: ${color.hex}; color: ${textColor};"
+            return `
+                <div class="picker-swatch ${color === selectedColor ? 'selected' : ''} ${i === activeIndex ? 'active' : ''} ${position ? 'in-palette' : ''}"
+                     id="${id(`pickerSwatch${i}`)}"
+                     role="gridcell"
+                     aria-colindex="${column + 1}"
+                     aria-selected="${color === selectedColor || position > 0}"
+                     aria-label="${escapeHtml(describeColor(color))}"
+                     style="position: absolute; top: ${top}px; left: ${left}px; background-color: ${escapeHtml(color.hex)}; color: ${textColor};"
                      data-index="${i}"
-                     title="${color.name}">
-                    <span class="swatch-code">${color.code.replace('-c', '')}</span>
+                     title="${escapeHtml(color.name)}${color.libraryName ? ' — ' + escapeHtml(color.libraryName) : ''}">
+                    <span class="swatch-code">${escapeHtml(color.code.replace('-c', ''))}</span>
+                    ${gamutWarning ? `<span class="swatch-gamut ${gamutWarning.class}" title="${gamutWarning.label}">!</span>` : ''}
+                    ${position ? `<span class="swatch-palette-badge" aria-hidden="true">${position}</span>` : ''}
                 </div>
             `;
         }
 
-        colorGrid.innerHTML = html;
-    }
+        /**
+         * Find the first layout row that ends below an offset (binary search)
+         * @param {number} offset - Offset in px
+         * @returns {number} Row index
+         */
+        function findRow(offset) {
+            let low = 0;
+            let high = layout.rows.length;
 
-    /**
-     * Handle scroll for virtual rendering
-     */
-    function handleScroll() {
-        requestAnimationFrame(renderGrid);
-    }
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                const row = layout.rows[mid];
+                const bottom = row.top + (row.header ? HEADER_SIZE : ITEM_SIZE);
 
-    /**
-     * Handle color swatch click
-     */
-    function handleColorClick(e) {
-        const swatch = e.target.closest('.picker-swatch');
-        if (!swatch) return;
+                if (bottom <= offset) {
+                    low = mid + 1;
+                } else {
+                    high = mid;
+                }
+            }
+
+            return low;
+        }
+
+        /**
+         * Pin the header of the group at the top of the grid
+         * The next group's header pushes it up as it scrolls in
+         */
+        function updateStickyHeader(scrollTop) {
+            let current = null;
+            let next = null;
+
+            for (const header of layout.headers) {
+                if (header.top <= scrollTop) {
+                    current = header;
+                } else {
+                    next = header;
+                    break;
+                }
+            }
 
-        const index = parseInt(swatch.dataset.index);
-        selectedColor = filteredColors[index];
+            // The group's own header is still in view
+            if (!current || current.top === scrollTop) {
+                stickyHeader.hidden = true;
+                return;
+            }
 
-        // Remove previous selection
-        colorGrid.querySelectorAll('.picker-swatch').forEach(s => s.classList.remove('selected'));
-        swatch.classList.add('selected');
+            const offset = next ? Math.min(0, next.top - scrollTop - HEADER_SIZE) : 0;
+            stickyHeader.innerHTML = `${escapeHtml(current.header.label)} <span class="picker-group-count">${current.count.toLocaleString()}</span>`;
+            stickyHeader.style.transform = `translateY(${offset}px)`;
+            stickyHeader.hidden = false;
+        }
+
+        /**
+         * Handle scroll for virtual rendering
+         */
+        function handleScroll() {
+            requestAnimationFrame(renderGrid);
+        }
+
+        /**
+         * Handle color swatch click
+         */
+        function handleColorClick(e) {
+            const swatch = e.target.closest('.picker-swatch');
+            if (!swatch) return;
+
+            const index = parseInt(swatch.dataset.index);
+            activeIndex = index;
+            pickColor(index, e);
+        }
+
+        /**
+         * Select a color, or add it to the palette
+         * Shift adds the range from the last picked color; Ctrl/⌘ (or
+         * multi-select mode) adds or removes one color
+         * @param {number} index - Index in filteredColors
+         * @param {object} modifiers - {shiftKey, ctrlKey, metaKey} of the click or key
+         */
+        function pickColor(index, modifiers) {
+            const color = filteredColors[index];
+
+            if (modifiers.shiftKey && anchorIndex >= 0) {
+                const from = Math.min(anchorIndex, index);
+                const to = Math.max(anchorIndex, index);
+                const added = filteredColors.slice(from, to + 1).filter(item => !palette.includes(item));
+                setPalette(palette.concat(added));
+                announce(`Added ${added.length} color${added.length !== 1 ? 's' : ''} to the palette (${palette.length})`);
+            } else if (modifiers.ctrlKey || modifiers.metaKey || modifiers.shiftKey || multiSelect) {
+                const removing = palette.includes(color);
+                setPalette(removing ? palette.filter(item => item !== color) : palette.concat(color));
+                announce(`${removing ? 'Removed' : 'Added'} ${color.name} ${removing ? 'from' : 'to'} the palette (${palette.length})`);
+            }
+
+            anchorIndex = index;
+            changeSelection(color);
+        }
+
+        /**
+         * Select a color, redraw and tell the owner
+         */
+        function changeSelection(color) {
+            const changed = color !== selectedColor;
+            selectedColor = color;
+
+            // Redraw the selection state
+            renderGrid();
+
+            // Update selected display
+            updateSelectedDisplay();
+
+            if (changed && options.onChange) {
+                options.onChange(color);
+            }
+        }
+
+        /**
+         * Get the selected color
+         * @returns {object|null} Color object
+         */
+        function getSelected() {
+            return selectedColor;
+        }
+
+        /**
+         * Select a color by code or name without notifying the owner
+         * @param {string} code - Pantone code ("185-c") or name ("PANTONE 185 C"); empty clears the selection
+         * @returns {object|null} The selected color, or null when none matches
+         */
+        function setSelected(code) {
+            const wanted = String(code || '').trim().toLowerCase();
+            const color = wanted
+                ? allColors.find(item => item.code === wanted || item.name.toLowerCase() === wanted) || null
+                : null;
+
+            selectedColor = color;
+            if (!color) {
+                selectedDisplay.style.display = 'none';
+                renderGrid();
+                return null;
+            }
+
+            // Show it even when the search hides it
+            if (!filteredColors.includes(color)) {
+                searchInput.value = '';
+                handleSearch();
+            }
+
+            updateSelectedDisplay();
+            if (isOpen) {
+                setActiveIndex(filteredColors.indexOf(color));
+            } else {
+                activeIndex = filteredColors.indexOf(color);
+            }
+            return color;
+        }
+
+        /**
+         * Update selected color display
+         */
+        function updateSelectedDisplay() {
+            if (!selectedColor) return;
+
+            selectedDisplay.style.display = 'flex';
 
-        // Update selected display
-        updateSelectedDisplay();
+            byId('selectedSwatch').style.backgroundColor = selectedColor.hex;
+            byId('selectedName').textContent = selectedColor.name;
+            byId('selectedHex').textContent = selectedColor.hex;
+            byId('selectedRgb').textContent =
+                `RGB(${selectedColor.rgb.r}, ${selectedColor.rgb.g}, ${selectedColor.rgb.b})`;
+            byId('selectedLibrary').textContent = selectedColor.libraryName || '';
+            byId('selectedGamut').innerHTML = options.renderGamutWarning
+                ? options.renderGamutWarning(selectedColor.lab, selectedColor.gamut, PantoneDatabase.getReferenceWhite(selectedColor.library))
+                : '';
+        }
+
+        /**
+         * Get the palette
+         * @returns {Array} Color objects in palette order
+         */
+        function getPalette() {
+            return palette.slice();
+        }
+
+        /**
+         * Replace the palette
+         * @param {Array} colors - Color objects in palette order
+         */
+        function setPalette(colors) {
+            palette = colors.slice();
+            renderTray();
+            renderGrid();
+
+            if (options.onPaletteChange) {
+                options.onPaletteChange(getPalette());
+            }
+        }
+
+        /**
+         * Turn multi-select mode on or off
+         */
+        function toggleMultiSelect() {
+            multiSelect = !multiSelect;
+            byId('pickerMultiToggle').setAttribute('aria-pressed', String(multiSelect));
+        }
+
+        /**
+         * Render the palette tray
+         */
+        function renderTray() {
+            tray.hidden = palette.length === 0;
+            byId('pickerTrayTitle').textContent = `Palette (${palette.length})`;
+
+            trayList.innerHTML = palette.map((color, i) => `
+                <li class="picker-tray-item" draggable="true" data-palette-index="${i}" title="${escapeHtml(color.name)} — drag to reorder">
+                    <span class="picker-tray-swatch" style="background-color: ${escapeHtml(color.hex)}"></span>
+                    <span class="picker-tray-name">${escapeHtml(color.name.replace(/^PANTONE /, ''))}</span>
+                    <button type="button" data-palette-action="left" aria-label="Move ${escapeHtml(color.name)} left" ${i === 0 ? 'disabled' : ''}>‹</button>
+                    <button type="button" data-palette-action="right" aria-label="Move ${escapeHtml(color.name)} right" ${i === palette.length - 1 ? 'disabled' : ''}>›</button>
+                    <button type="button" data-palette-action="remove" aria-label="Remove ${escapeHtml(color.name)}">&times;</button>
+                </li>
+            `).join('');
+        }
+
+        /**
+         * Move or remove a palette color from its tray buttons
+         */
+        function handleTrayClick(e) {
+            const button = e.target.closest('[data-palette-action]');
+            if (!button) return;
+
+            const index = Number(button.closest('[data-palette-index]').dataset.paletteIndex);
+            const action = button.dataset.paletteAction;
+
+            if (action === 'remove') {
+                const color = palette[index];
+                setPalette(palette.filter((item, i) => i !== index));
+                announce(`Removed ${color.name} from the palette (${palette.length})`);
+
+                // Keep keyboard users in the tray
+                const next = trayList.querySelector(`[data-palette-index="${Math.min(index, palette.length - 1)}"] [data-palette-action="remove"]`);
+                (next || searchInput).focus();
+                return;
+            }
+
+            const target = action === 'left' ? index - 1 : index + 1;
+            movePaletteColor(index, target);
+
+            const moved = trayList.querySelector(`[data-palette-index="${target}"] [data-palette-action="${action}"]`);
+            if (moved && !moved.disabled) {
+                moved.focus();
+            } else if (moved) {
+                moved.parentElement.querySelector('[data-palette-action="remove"]').focus();
+            }
+        }
+
+        /**
+         * Move a palette color to another position
+         */
+        function movePaletteColor(from, to) {
+            if (to < 0 || to >= palette.length || from === to) return;
+
+            const next = palette.slice();
+            const [color] = next.splice(from, 1);
+            next.splice(to, 0, color);
+            setPalette(next);
+            announce(`${color.name} moved to position ${to + 1} of ${palette.length}`);
+        }
+
+        /**
+         * Drag and drop reordering in the tray
+         */
+        function handleTrayDragStart(e) {
+            const item = e.target.closest('[data-palette-index]');
+            if (!item) return;
+
+            dragIndex = Number(item.dataset.paletteIndex);
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', palette[dragIndex].name);
+        }
+
+        function handleTrayDragOver(e) {
+            if (dragIndex >= 0 && e.target.closest('[data-palette-index]')) {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+            }
+        }
+
+        function handleTrayDrop(e) {
+            const item = e.target.closest('[data-palette-index]');
+            if (!item || dragIndex < 0) return;
+
+            e.preventDefault();
+            movePaletteColor(dragIndex, Number(item.dataset.paletteIndex));
+            dragIndex = -1;
+        }
+
+        /**
+         * Hand the palette to the owner (and close a modal picker)
+         */
+        function usePalette(callback) {
+            if (palette.length === 0) return;
+
+            const colors = getPalette();
+            close();
+            callback(colors);
+        }
+
+        /**
+         * Copy palette values, one per line
+         */
+        async function copyList(values, label) {
+            if (values.length === 0) return;
+
+            try {
+                await navigator.clipboard.writeText(values.join('\n'));
+                showToast(`Copied ${values.length} ${label}`);
+            } catch (error) {
+                console.error('Failed to copy:', error);
+            }
+        }
+
+        /**
+         * Copy hex to clipboard
+         */
+        async function copyHex() {
+            if (!selectedColor) return;
+
+            try {
+                await navigator.clipboard.writeText(selectedColor.hex);
+                showToast('Copied ' + selectedColor.hex);
+            } catch (error) {
+                console.error('Failed to copy:', error);
+            }
+        }
+
+        /**
+         * Download colors as a swatch file
+         */
+        function exportColors(colors, formatId, title) {
+            if (!formatId || typeof SwatchExporters === 'undefined') return;
+
+            try {
+                const fileName = SwatchExporters.download(colors, formatId, { title });
+                showToast('Downloaded ' + fileName);
+            } catch (error) {
+                console.error('Failed to export:', error);
+                showToast('Export failed: ' + error.message);
+            }
+        }
+
+        /**
+         * Use the selected color (and close a modal picker)
+         */
+        function selectColor() {
+            if (!selectedColor) return;
+
+            // close() clears the selection
+            const color = selectedColor;
+            close();
+            if (options.onSelect) {
+                options.onSelect(color);
+            }
+        }
+
+        /**
+         * Show the Pantones nearest to the selected one and close modal
+         */
+        function findSimilar() {
+            if (!selectedColor) return;
+
+            const color = selectedColor;
+            close();
+            options.onFindSimilar(color);
+        }
+
+        /**
+         * Handle keyboard navigation
+         */
+        function handleKeyDown(e) {
+            if (!isOpen) return;
+
+            if (e.key === 'Escape') {
+                close();
+            } else if (e.key === 'Tab') {
+                trapFocus(e);
+            }
+        }
+
+        /**
+         * Keep Tab and Shift+Tab cycling inside the modal
+         */
+        function trapFocus(e) {
+            const focusable = [...host.querySelectorAll('input, select, button, [tabindex="0"]')]
+                .filter(element => !element.disabled && element.offsetParent !== null);
+            if (focusable.length === 0) return;
+
+            // Inside a shadow root, document.activeElement is the shadow host
+            const focused = host.getRootNode().activeElement;
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            const outside = !host.contains(focused);
+
+            if (e.shiftKey && (focused === first || outside)) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && (focused === last || outside)) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+
+        /**
+         * Handle arrow, page and Home/End keys in the grid
+         * Home/End move within the row; with Ctrl they go to the first/last color
+         */
+        function handleGridKeyDown(e) {
+            if (filteredColors.length === 0) return;
+
+            const current = Math.max(activeIndex, 0);
+            const row = layout.swatchRows[findSwatchRow(current)];
+            let next;
+
+            switch (e.key) {
+                case 'ArrowRight': next = current + 1; break;
+                case 'ArrowLeft': next = current - 1; break;
+                case 'ArrowDown': next = moveRows(current, 1); break;
+                case 'ArrowUp': next = moveRows(current, -1); break;
+                case 'PageDown': next = moveRows(current, pageRows()); break;
+                case 'PageUp': next = moveRows(current, -pageRows()); break;
+                case 'Home': next = e.ctrlKey ? 0 : row.start; break;
+                case 'End': next = e.ctrlKey ? filteredColors.length - 1 : row.end - 1; break;
+                case ' ':
+                    e.preventDefault();
+                    activeIndex = current;
+                    pickColor(current, e);
+                    return;
+                case 'Enter':
+                    e.preventDefault();
+                    activeIndex = current;
+                    changeSelection(filteredColors[current]);
+                    selectColor();
+                    return;
+                default:
+                    return;
+            }
+
+            e.preventDefault();
+            setActiveIndex(Math.max(0, Math.min(filteredColors.length - 1, next)));
+        }
+
+        /**
+         * Move the keyboard focus to a swatch, scrolling it into view
+         * @param {number} index - Index in filteredColors
+         */
+        function setActiveIndex(index) {
+            activeIndex = index;
+
+            const row = layout.swatchRows[findSwatchRow(index)];
+
+            // Leave room for the pinned group header
+            const inset = layout.headers.length > 0 ? HEADER_SIZE : 0;
+
+            if (row.top - inset < gridContainer.scrollTop) {
+                gridContainer.scrollTop = Math.max(0, row.top - inset);
+            } else if (row.top + ITEM_SIZE > gridContainer.scrollTop + gridContainer.clientHeight) {
+                gridContainer.scrollTop = row.top + ITEM_SIZE - gridContainer.clientHeight;
+            }
+
+            renderGrid();
+        }
+
+        /**
+         * Find the swatch row holding a color (binary search)
+         * @param {number} index - Index in filteredColors
+         * @returns {number} Index in layout.swatchRows
+         */
+        function findSwatchRow(index) {
+            let low = 0;
+            let high = layout.swatchRows.length - 1;
+
+            while (low < high) {
+                const mid = (low + high + 1) >> 1;
+                if (layout.swatchRows[mid].start <= index) {
+                    low = mid;
+                } else {
+                    high = mid - 1;
+                }
+            }
+
+            return low;
+        }
+
+        /**
+         * Index of the color a number of rows up or down, keeping the column
+         * Rows in other groups count too; short rows clamp to their last color
+         */
+        function moveRows(index, delta) {
+            const from = findSwatchRow(index);
+            const column = index - layout.swatchRows[from].start;
+            const to = Math.max(0, Math.min(layout.swatchRows.length - 1, from + delta));
+            const row = layout.swatchRows[to];
+
+            return Math.min(row.start + column, row.end - 1);
+        }
+
+        /**
+         * Number of swatch rows that fit in the grid viewport
+         */
+        function pageRows() {
+            return Math.max(1, Math.floor(gridContainer.clientHeight / ITEM_SIZE) - 1);
+        }
+
+        /**
+         * Accessible name of a swatch: "PANTONE 185 C, red"
+         */
+        function describeColor(color) {
+            const parts = [color.name];
+
+            if (color.lab) {
+                parts.push(ColorQuery.getFamily(color));
+            }
+            if (libraryCount > 1 && color.libraryName) {
+                parts.push(color.libraryName);
+            }
+
+            const gamutWarning = ColorAlgorithms.getGamutWarning(color.gamut);
+            if (gamutWarning) {
+                parts.push(gamutWarning.label);
+            }
+
+            return parts.join(', ');
+        }
+
+        /**
+         * Show toast notification next to the picker
+         */
+        function showToast(message) {
+            const toast = document.createElement('div');
+            toast.className = 'toast';
+            toast.textContent = message;
+            mount.appendChild(toast);
+
+            setTimeout(() => toast.classList.add('show'), 10);
+            setTimeout(() => {
+                toast.classList.remove('show');
+                setTimeout(() => toast.remove(), 300);
+            }, 2000);
+        }
+
+        loadSortMode();
+        createElements();
+        setupEventListeners();
+
+        return {
+            setColors,
+            getColors: () => filteredColors,
+            getSelected,
+            setSelected,
+            getPalette,
+            setPalette,
+            setSortMode,
+            open,
+            close,
+            isOpen: () => isOpen,
+            destroy
+        };
     }
 
     /**
-     * Update selected color display
+     * Render export format options for a select
      */
-    function updateSelectedDisplay() {
-        if (!selectedColor) return;
+    function renderExportOptions(placeholder) {
+        if (typeof SwatchExporters === 'undefined') return `<option value="">${placeholder}</option>`;
 
-        selectedDisplay.style.display = 'flex';
-
-        document.getElementById('selectedSwatch').style.backgroundColor = selectedColor.hex;
-        document.getElementById('selectedName').textContent = selectedColor.name;
-        document.getElementById('selectedHex').textContent = selectedColor.hex;
-        document.getElementById('selectedRgb').textContent =
-            `RGB(${selectedColor.rgb.r}, ${selectedColor.rgb.g}, ${selectedColor.rgb.b})`;
+        return `<option value="">${placeholder}</option>` + SwatchExporters.getFormats()
+            .map(format => `<option value="${format.id}">${format.label}</option>`)
+            .join('');
     }
 
     /**
-     * Copy hex to clipboard
+     * Initialize the page's modal picker
      */
-    async function copyHex() {
-        if (!selectedColor) return;
+    function init(colors) {
+        const hasApp = typeof App !== 'undefined';
 
-        try {
-            await navigator.clipboard.writeText(selectedColor.hex);
-            showToast('Copied ' + selectedColor.hex);
-        } catch (error) {
-            console.error('Failed to copy:', error);
-        }
+        pagePicker = create({
+            mount: document.body,
+            mode: 'modal',
+            idPrefix: '',
+            sortStorageKey: 'pickerSort',
+            getMetric: hasApp ? App.getMetric : undefined,
+            renderGamutWarning: hasApp ? App.renderGamutWarning : undefined,
+            onSelect: hasApp ? color => App.loadColor(color.hex) : undefined,
+            onFindSimilar: hasApp ? color => App.lookupPantone(color.library, color.code) : undefined,
+            onCompare: window.CompareView ? colors => CompareView.open(colors) : undefined,
+            onUsePalette: window.BatchMatcher ? usePaletteInBatch : undefined
+        });
+        pagePicker.setColors(colors);
+        console.log('✓ Pantone Picker initialized with', colors.length, 'colors');
     }
 
     /**
-     * Select color and close modal
+     * Load the page picker's palette into Batch Match
      */
-    function selectColor() {
-        if (!selectedColor) return;
+    function usePaletteInBatch(colors) {
+        // Swatch names can hold commas, so labels go through the CSV writer
+        BatchMatcher.loadPalette(PaletteIO.toPaletteText(colors.map(color => ({ label: color.name, hex: color.hex }))));
+        document.getElementById('batchSection').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
 
-        // Update main app with selected color
-        if (window.App && window.App.loadColor) {
-            close();
-            App.loadColor(selectedColor.hex);
+    /**
+     * Replace the colors of the page's picker (e.g., after switching libraries)
+     */
+    function setColors(colors) {
+        if (pagePicker) {
+            pagePicker.setColors(colors);
         }
     }
 
     /**
-     * Handle keyboard navigation
+     * Open the page's picker
      */
-    function handleKeyDown(e) {
-        if (!isOpen) return;
-
-        if (e.key === 'Escape') {
-            close();
+    function open() {
+        if (!pagePicker) {
+            console.error('❌ Pantone Picker not initialized');
+            return;
         }
+        pagePicker.open();
     }
 
     /**
-     * Show toast notification
+     * Close the page's picker
      */
-    function showToast(message) {
-        const toast = document.createElement('div');
-        toast.className = 'toast';
-        toast.textContent = message;
-        document.body.appendChild(toast);
-
-        setTimeout(() => toast.classList.add('show'), 10);
-        setTimeout(() => {
-            toast.classList.remove('show');
-            setTimeout(() => toast.remove(), 300);
-        }, 2000);
+    function close() {
+        if (pagePicker) {
+            pagePicker.close();
+        }
     }
 
     // Public API
     return {
+        SORT_MODES,
+        create,
         init,
+        setColors,
         open,
         close
     };
@@ -0,0 +1,99 @@
+/**
+ * Permalink Module
+ * Encodes the current query (a color or a batch palette) and the match
+ * settings in the URL query string, and reads them back
+ */
+
+const Permalink = (function() {
+    'use strict';
+
+    // State key -> URL parameter
+    const PARAMS = {
+        color: 'color',
+        format: 'format',
+        palette: 'palette',
+        pantone: 'pantone',
+        target: 'target',
+        libraries: 'lib',
+        metric: 'metric',
+        count: 'n'
+    };
+
+    /**
+     * Build a query string from state
+     * @param {object} state - {color, format, palette, pantone: "library:code", target,
+     *                         libraries: [ids], metric, count};
+     *                         empty values are left out
+     * @returns {string} Query string with leading "?", or "" when there is nothing to encode
+     */
+    function encode(state) {
+        const params = new URLSearchParams();
+
+        Object.entries(PARAMS).forEach(([key, param]) => {
+            let value = state[key];
+            if (Array.isArray(value)) {
+                value = value.join(',');
+            }
+            if (value !== undefined && value !== null && value !== '') {
+                params.set(param, String(value));
+            }
+        });
+
+        const query = params.toString();
+        return query ? `?${query}` : '';
+    }
+
+    /**
+     * Read state from a query string
+     * @param {string} search - location.search
+     * @returns {object} State with only the keys present in the URL
+     */
+    function decode(search) {
+        const params = new URLSearchParams(search);
+        const state = {};
+
+        ['color', 'format', 'palette', 'pantone', 'target', 'metric'].forEach(key => {
+            const value = params.get(PARAMS[key]);
+            if (value) {
+                state[key] = value;
+            }
+        });
+
+        const libraries = params.get(PARAMS.libraries);
+        if (libraries) {
+            state.libraries = libraries.split(',').map(id => id.trim()).filter(Boolean);
+        }
+
+        const count = parseInt(params.get(PARAMS.count), 10);
+        if (count > 0) {
+            state.count = count;
+        }
+
+        return state;
+    }
+
+    /**
+     * Build an absolute link to a state
+     * @param {object} state - State (see encode)
+     * @param {string} base - Page URL (defaults to the current page without its query)
+     * @returns {string} URL
+     */
+    function build(state, base) {
+        const url = new URL(base || location.href);
+        url.search = encode(state);
+        url.hash = '';
+        return url.href;
+    }
+
+    // Public API
+    return {
+        encode,
+        decode,
+        build
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Permalink;
+}
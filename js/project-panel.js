@@ -0,0 +1,416 @@
+/**
+ * Project Panel Component
+ * Sidebar for saved projects: pick, rename, duplicate, delete, import and
+ * export projects, and edit the Pantone assigned to each source color
+ */
+
+window.ProjectPanel = (function() {
+    'use strict';
+
+    const { escapeHtml } = HtmlUtils;
+
+    let projects = [];
+    let activeProject = null;
+
+    // DOM elements
+    let sidebar, projectList, projectDetail, fileInput;
+
+    /**
+     * Initialize the panel and load the saved projects
+     */
+    async function init() {
+        sidebar = document.getElementById('projectSidebar');
+        projectList = document.getElementById('projectList');
+        projectDetail = document.getElementById('projectDetail');
+        fileInput = document.getElementById('projectFileInput');
+
+        setupEventListeners();
+
+        try {
+            projects = await ProjectStore.list();
+            const storedId = localStorage.getItem('activeProject');
+            activeProject = projects.find(project => project.id === storedId) || projects[0] || null;
+        } catch (error) {
+            console.error('Failed to load projects:', error);
+        }
+
+        render();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    function setupEventListeners() {
+        document.getElementById('projectToggleButton').addEventListener('click', toggle);
+        document.getElementById('projectCloseButton').addEventListener('click', close);
+        document.getElementById('newProjectButton').addEventListener('click', createProject);
+        document.getElementById('importProjectButton').addEventListener('click', () => fileInput.click());
+
+        fileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                await importFile(file);
+            }
+        });
+
+        projectList.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-project-id]');
+            if (item) {
+                selectProject(item.dataset.projectId);
+            }
+        });
+
+        projectDetail.addEventListener('click', handleDetailClick);
+        projectDetail.addEventListener('change', handleDetailChange);
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !sidebar.hidden) {
+                close();
+            }
+        });
+    }
+
+    /**
+     * Show or hide the sidebar
+     */
+    function toggle() {
+        if (sidebar.hidden) {
+            open();
+        } else {
+            close();
+        }
+    }
+
+    /**
+     * Show the sidebar
+     */
+    function open() {
+        sidebar.hidden = false;
+    }
+
+    /**
+     * Hide the sidebar
+     */
+    function close() {
+        sidebar.hidden = true;
+    }
+
+    /**
+     * Run a store operation, reporting failures in a toast
+     */
+    async function attempt(action, fn) {
+        try {
+            return await fn();
+        } catch (error) {
+            console.error(`Failed to ${action}:`, error);
+            App.showToast(`Could not ${action}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Reload the project list, keeping the active project if it still exists
+     */
+    async function refresh(activeId) {
+        projects = await ProjectStore.list();
+        setActive(projects.find(project => project.id === activeId) || projects[0] || null);
+    }
+
+    /**
+     * Make a project active and remember it
+     */
+    function setActive(project) {
+        activeProject = project;
+
+        if (project) {
+            localStorage.setItem('activeProject', project.id);
+        } else {
+            localStorage.removeItem('activeProject');
+        }
+
+        render();
+    }
+
+    /**
+     * Switch to a project
+     * @param {string} id - Project id
+     */
+    function selectProject(id) {
+        setActive(projects.find(project => project.id === id) || null);
+    }
+
+    /**
+     * Create a project after asking for its name
+     */
+    async function createProject() {
+        const name = prompt('Project name', 'Untitled project');
+        if (name === null) return;
+
+        await attempt('create the project', async () => {
+            const project = await ProjectStore.save(ProjectStore.createProject(name.trim()));
+            await refresh(project.id);
+        });
+    }
+
+    /**
+     * Rename the active project
+     */
+    async function renameProject() {
+        const name = prompt('Rename project', activeProject.name);
+        if (name === null || !name.trim()) return;
+
+        await attempt('rename the project', async () => {
+            activeProject.name = name.trim();
+            await ProjectStore.save(activeProject);
+            await refresh(activeProject.id);
+        });
+    }
+
+    /**
+     * Copy the active project
+     */
+    async function duplicateProject() {
+        await attempt('duplicate the project', async () => {
+            const copy = await ProjectStore.duplicate(activeProject.id);
+            await refresh(copy.id);
+            App.showToast(`Created "${copy.name}"`);
+        });
+    }
+
+    /**
+     * Delete the active project
+     */
+    async function deleteProject() {
+        if (!confirm(`Delete project "${activeProject.name}" and its ${activeProject.colors.length} colors?`)) return;
+
+        await attempt('delete the project', async () => {
+            await ProjectStore.remove(activeProject.id);
+            await refresh(null);
+        });
+    }
+
+    /**
+     * Download the active project as a JSON file
+     */
+    function exportProject() {
+        const slug = activeProject.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'project';
+        const fileName = SwatchExporters.downloadFile(ProjectStore.toJSON(activeProject), `${slug}.pantone-project.json`, 'application/json');
+        App.showToast(`Downloaded ${fileName}`);
+    }
+
+    /**
+     * Import a project file shared by a colleague
+     * @param {File} file - Exported project JSON
+     */
+    async function importFile(file) {
+        await attempt('import the project', async () => {
+            const project = ProjectStore.fromJSON(await file.text());
+            await ProjectStore.save(project);
+            await refresh(project.id);
+            open();
+            App.showToast(`Imported "${project.name}" (${project.colors.length} colors)`);
+        });
+    }
+
+    /**
+     * Assign a Pantone to a source color in the active project
+     * The color is added if the project does not have it yet; otherwise its
+     * assignment is replaced. Creates a project when there is none.
+     * @param {object} color - Parsed input color {input, hex, lab, white}
+     * @param {object} match - Chosen Pantone match
+     * @param {string} metric - Delta E formula id the match was ranked with
+     */
+    async function assign(color, match, metric) {
+        await attempt('save the color', async () => {
+            if (!activeProject) {
+                activeProject = await ProjectStore.save(ProjectStore.createProject('Untitled project'));
+            }
+
+            const pantone = {
+                library: match.library,
+                libraryName: match.libraryName,
+                name: match.name,
+                code: match.code,
+                hex: match.hex,
+                lab: match.lab,
+                deltaE: Math.round(match.deltaE * 100) / 100,
+                metric
+            };
+
+            const existing = activeProject.colors.find(item => item.input.toLowerCase() === color.input.toLowerCase());
+            if (existing) {
+                existing.pantone = pantone;
+                existing.updatedAt = new Date().toISOString();
+            } else {
+                activeProject.colors.push(ProjectStore.createColor({
+                    input: color.input,
+                    hex: color.hex,
+                    lab: color.lab,
+                    white: color.white,
+                    pantone
+                }));
+            }
+
+            await ProjectStore.save(activeProject);
+            await refresh(activeProject.id);
+            App.showToast(`${existing ? 'Changed' : 'Added'} ${match.name} in "${activeProject.name}"`);
+        });
+    }
+
+    /**
+     * Handle buttons in the project detail
+     */
+    function handleDetailClick(e) {
+        const action = e.target.closest('[data-project-action]');
+        if (action) {
+            switch (action.dataset.projectAction) {
+                case 'rename': renameProject(); break;
+                case 'duplicate': duplicateProject(); break;
+                case 'export': exportProject(); break;
+                case 'delete': deleteProject(); break;
+            }
+            return;
+        }
+
+        const item = e.target.closest('[data-color-id]');
+        if (!item) return;
+
+        const color = activeProject.colors.find(entry => entry.id === item.dataset.colorId);
+
+        if (e.target.closest('[data-remove-color]')) {
+            activeProject.colors = activeProject.colors.filter(entry => entry !== color);
+            attempt('remove the color', async () => {
+                await ProjectStore.save(activeProject);
+                await refresh(activeProject.id);
+            });
+        } else if (e.target.closest('[data-show-color]')) {
+            App.loadColor(color.input);
+        }
+    }
+
+    /**
+     * Save edited notes and labels
+     */
+    function handleDetailChange(e) {
+        const field = e.target.dataset.field;
+        if (!field) return;
+
+        const item = e.target.closest('[data-color-id]');
+        const target = item ? activeProject.colors.find(entry => entry.id === item.dataset.colorId) : activeProject;
+        target[field] = e.target.value.trim();
+        if (item) {
+            target.updatedAt = new Date().toISOString();
+        }
+
+        // Only the list is redrawn so focus can move on to the next field
+        attempt('save the project', async () => {
+            await ProjectStore.save(activeProject);
+            projects = await ProjectStore.list();
+            renderList();
+        });
+    }
+
+    /**
+     * Format an ISO timestamp for display
+     */
+    function formatDate(iso) {
+        return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    /**
+     * Render the project list and the active project
+     */
+    function render() {
+        renderList();
+        renderDetail();
+    }
+
+    /**
+     * Render the project list
+     */
+    function renderList() {
+        projectList.innerHTML = projects.map(project => `
+            <li>
+                <button class="project-item ${activeProject && project.id === activeProject.id ? 'active' : ''}" data-project-id="${project.id}">
+                    <span class="project-item-name">${escapeHtml(project.name)}</span>
+                    <span class="project-item-meta">${project.colors.length} colors · ${formatDate(project.updatedAt)}</span>
+                </button>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Render the active project
+     */
+    function renderDetail() {
+        if (!activeProject) {
+            projectDetail.innerHTML = '<p class="project-empty">No projects yet. Create one, or add a match with “＋ Project” on a result card.</p>';
+            return;
+        }
+
+        const project = activeProject;
+
+        let html = `
+            <div class="project-header">
+                <h3>${escapeHtml(project.name)}</h3>
+                <div class="project-menu">
+                    <button class="btn btn-secondary btn-small" data-project-action="rename">Rename</button>
+                    <button class="btn btn-secondary btn-small" data-project-action="duplicate">Duplicate</button>
+                    <button class="btn btn-secondary btn-small" data-project-action="export">⬇ Export</button>
+                    <button class="btn btn-secondary btn-small" data-project-action="delete">Delete</button>
+                </div>
+            </div>
+            <p class="project-dates">Created ${formatDate(project.createdAt)} · Updated ${formatDate(project.updatedAt)}</p>
+            <textarea class="project-notes" data-field="notes" rows="3" placeholder="Project notes (client, job, print process…)">${escapeHtml(project.notes)}</textarea>
+        `;
+
+        if (project.colors.length === 0) {
+            html += '<p class="project-empty">Find matches and click “＋ Project” on the Pantone you choose.</p>';
+            projectDetail.innerHTML = html;
+            return;
+        }
+
+        html += '<ul class="project-colors">';
+        project.colors.forEach(color => {
+            const pantone = color.pantone;
+
+            html += `
+                <li class="project-color" data-color-id="${color.id}">
+                    <div class="project-color-swatches">
+                        <span class="project-swatch" style="background-color: ${escapeHtml(color.hex)}" title="${escapeHtml(color.input)}"></span>
+                        <span class="vs-separator">→</span>
+                        <span class="project-swatch" style="background-color: ${pantone ? escapeHtml(pantone.hex) : 'transparent'}" title="${pantone ? escapeHtml(pantone.name) : 'No Pantone chosen'}"></span>
+                    </div>
+                    <div class="project-color-info">
+                        <input class="project-color-label" data-field="label" value="${escapeHtml(color.label)}" placeholder="Label (e.g., Logo red)">
+                        <span class="project-color-source">${escapeHtml(color.input)}</span>
+                        ${pantone ? `
+                            <span class="project-pantone">${escapeHtml(pantone.name)}
+                                <span class="project-pantone-meta">${escapeHtml(pantone.libraryName)}${typeof pantone.deltaE === 'number' ? ` · ${ColorAlgorithms.getMetric(pantone.metric).symbol} ${pantone.deltaE.toFixed(2)}` : ''}</span>
+                            </span>
+                        ` : '<span class="project-pantone">No Pantone chosen</span>'}
+                        <input class="project-color-notes" data-field="notes" value="${escapeHtml(color.notes)}" placeholder="Notes">
+                        <span class="project-dates">Updated ${formatDate(color.updatedAt)}</span>
+                    </div>
+                    <div class="project-color-actions">
+                        <button class="project-icon-button" data-show-color title="Show all matches">🔍</button>
+                        <button class="project-icon-button" data-remove-color title="Remove from project">×</button>
+                    </div>
+                </li>
+            `;
+        });
+        html += '</ul>';
+
+        projectDetail.innerHTML = html;
+    }
+
+    // Public API
+    return {
+        init,
+        open,
+        close,
+        assign,
+        getActiveProject: () => activeProject
+    };
+})();
@@ -0,0 +1,329 @@
+/**
+ * Project Store Module
+ * Named projects (labeled source colors with the Pantone chosen for each,
+ * notes and timestamps) persisted in IndexedDB, plus JSON import/export
+ */
+
+const ProjectStore = (function(ColorAlgorithms) {
+    'use strict';
+
+    const DB_NAME = 'pantone-projects';
+    const DB_VERSION = 1;
+    const STORE = 'projects';
+
+    // Identifies exported files
+    const FILE_FORMAT = 'pantone-project';
+    const FILE_VERSION = 1;
+
+    let dbPromise = null;
+
+    /**
+     * Open (and create) the database
+     * @returns {Promise} Resolves with the IDBDatabase
+     */
+    function open() {
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE)) {
+                    db.createObjectStore(STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a retry after a failed open
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+
+        return dbPromise;
+    }
+
+    /**
+     * Run one request against the projects store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} fn - Receives the object store, returns an IDBRequest
+     * @returns {Promise} Resolves with the request result
+     */
+    async function withStore(mode, fn) {
+        const db = await open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE, mode);
+            const request = fn(transaction.objectStore(STORE));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Create a random id
+     */
+    function createId(prefix) {
+        return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Build a project color
+     * @param {object} fields - {label, input, hex, lab, white, pantone, notes}
+     *                          where pantone is {library, libraryName, name, code, hex, lab, deltaE, metric}
+     * @returns {object} Project color with id and timestamps
+     */
+    function createColor(fields) {
+        const now = new Date().toISOString();
+
+        return {
+            id: createId('c'),
+            label: fields.label || '',
+            input: fields.input || fields.hex,
+            hex: fields.hex,
+            lab: fields.lab || null,
+            white: fields.white || 'D65',
+            pantone: fields.pantone || null,
+            notes: fields.notes || '',
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+
+    /**
+     * Build an empty project
+     * @param {string} name - Project name
+     * @returns {object} Project (not yet saved)
+     */
+    function createProject(name) {
+        const now = new Date().toISOString();
+
+        return {
+            id: createId('p'),
+            name: name || 'Untitled project',
+            notes: '',
+            colors: [],
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+
+    /**
+     * List all projects, most recently updated first
+     * @returns {Promise} Resolves with the projects
+     */
+    async function list() {
+        const projects = await withStore('readonly', store => store.getAll());
+        return projects.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * Get a project
+     * @param {string} id - Project id
+     * @returns {Promise} Resolves with the project, or null
+     */
+    async function get(id) {
+        const project = await withStore('readonly', store => store.get(id));
+        return project || null;
+    }
+
+    /**
+     * Save a project, stamping updatedAt
+     * @param {object} project - Project
+     * @returns {Promise} Resolves with the saved project
+     */
+    async function save(project) {
+        project.updatedAt = new Date().toISOString();
+        await withStore('readwrite', store => store.put(project));
+        return project;
+    }
+
+    /**
+     * Delete a project
+     * @param {string} id - Project id
+     * @returns {Promise} Resolves when deleted
+     */
+    async function remove(id) {
+        await withStore('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Copy a project under a new id and name
+     * @param {string} id - Project id
+     * @returns {Promise} Resolves with the saved copy
+     */
+    async function duplicate(id) {
+        const project = await get(id);
+        if (!project) {
+            throw new Error('Project not found');
+        }
+
+        const copy = createProject(`${project.name} (copy)`);
+        copy.notes = project.notes;
+        copy.colors = project.colors.map(color => ({ ...color, id: createId('c') }));
+
+        return save(copy);
+    }
+
+    /**
+     * Serialize a project for sharing
+     * @param {object} project - Project
+     * @returns {string} JSON file content
+     */
+    function toJSON(project) {
+        const file = {
+            format: FILE_FORMAT,
+            version: FILE_VERSION,
+            exported: new Date().toISOString(),
+            project
+        };
+
+        return JSON.stringify(file, null, 2) + '\n';
+    }
+
+    /**
+     * Read an exported project file
+     * The project gets a new id so importing never overwrites an existing one
+     * @param {string} text - JSON file content
+     * @returns {object} Project (not yet saved)
+     * @throws {Error} If the file is not a project export
+     */
+    function fromJSON(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Not a JSON file');
+        }
+
+        if (!file || file.format !== FILE_FORMAT || !file.project) {
+            throw new Error('Not a Pantone project file');
+        }
+        if (file.version > FILE_VERSION) {
+            throw new Error(`Project file version ${file.version} is newer than this app supports`);
+        }
+
+        const source = file.project;
+        if (!Array.isArray(source.colors)) {
+            throw new Error('Project file has no colors list');
+        }
+
+        // Files are shared between people, so every field is checked rather than trusted
+        const project = createProject(String(source.name || 'Imported project'));
+        project.notes = String(source.notes || '');
+        project.createdAt = readDate(source.createdAt, project.createdAt);
+        project.colors = source.colors
+            .filter(color => color && readHex(color.hex))
+            .map(color => ({
+                ...createColor({
+                    label: String(color.label || ''),
+                    input: String(color.input || readHex(color.hex)),
+                    hex: readHex(color.hex),
+                    lab: readLab(color.lab),
+                    white: readWhite(color.white),
+                    pantone: readPantone(color.pantone),
+                    notes: String(color.notes || '')
+                }),
+                createdAt: readDate(color.createdAt, project.createdAt),
+                updatedAt: readDate(color.updatedAt, project.createdAt)
+            }));
+
+        return project;
+    }
+
+    /**
+     * Read a hex value from a project file
+     * @returns {string|null} "#RRGGBB" or "#RGB", or null when it is not a hex color
+     */
+    function readHex(value) {
+        return typeof value === 'string' && ColorAlgorithms.isValidHex(value)
+            ? '#' + value.replace(/^#/, '')
+            : null;
+    }
+
+    /**
+     * Read a LAB value from a project file
+     * @returns {object|null} {L, a, b}, or null when any channel is not a number
+     */
+    function readLab(value) {
+        if (!value || !['L', 'a', 'b'].every(key => Number.isFinite(value[key]))) {
+            return null;
+        }
+        return { L: value.L, a: value.a, b: value.b };
+    }
+
+    /**
+     * Read a reference white from a project file ("D65" or {illuminant, observer})
+     * @returns {string|object} The white, or 'D65' when it is not a known illuminant
+     */
+    function readWhite(value) {
+        const white = value && typeof value.illuminant === 'string'
+            ? { illuminant: value.illuminant, observer: String(value.observer || '2') }
+            : value;
+
+        if (typeof white !== 'string' && !(white && white.illuminant)) {
+            return 'D65';
+        }
+
+        try {
+            ColorAlgorithms.getWhitePoint(white);
+            return white;
+        } catch (error) {
+            return 'D65';
+        }
+    }
+
+    /**
+     * Read a timestamp from a project file
+     */
+    function readDate(value, fallback) {
+        return typeof value === 'string' && !isNaN(Date.parse(value)) ? value : fallback;
+    }
+
+    /**
+     * Read a chosen Pantone from a project file
+     * @returns {object|null} {library, libraryName, name, code, hex, lab, deltaE, metric},
+     *                        or null when it has no valid hex
+     */
+    function readPantone(value) {
+        const hex = value ? readHex(value.hex) : null;
+        if (!hex) return null;
+
+        return {
+            library: String(value.library || ''),
+            libraryName: String(value.libraryName || ''),
+            name: String(value.name || hex),
+            code: String(value.code || ''),
+            hex,
+            lab: readLab(value.lab),
+            deltaE: Number.isFinite(value.deltaE) ? value.deltaE : null,
+            metric: ColorAlgorithms.getMetric(value.metric).id
+        };
+    }
+
+    // Public API
+    return {
+        list,
+        get,
+        save,
+        remove,
+        duplicate,
+        createProject,
+        createColor,
+        toJSON,
+        fromJSON
+    };
+})(typeof ColorAlgorithms !== 'undefined' ? ColorAlgorithms : require('./color-algorithms.js'));
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectStore;
+}
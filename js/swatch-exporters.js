@@ -0,0 +1,342 @@
+/**
+ * Swatch Exporters Module
+ * Generates swatch files (.ase, .aco, .gpl) and code (CSS, SCSS, JSON tokens)
+ * from color objects, entirely in the browser
+ */
+
+const SwatchExporters = (function() {
+    'use strict';
+
+    /**
+     * Growable big-endian binary writer
+     */
+    function createWriter() {
+        const bytes = [];
+
+        return {
+            uint16(value) {
+                bytes.push((value >> 8) & 0xFF, value & 0xFF);
+            },
+            uint32(value) {
+                bytes.push((value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF);
+            },
+            float32(value) {
+                const view = new DataView(new ArrayBuffer(4));
+                view.setFloat32(0, value);
+                for (let i = 0; i < 4; i++) bytes.push(view.getUint8(i));
+            },
+            ascii(text) {
+                for (let i = 0; i < text.length; i++) bytes.push(text.charCodeAt(i) & 0xFF);
+            },
+            utf16(text) {
+                for (let i = 0; i < text.length; i++) this.uint16(text.charCodeAt(i));
+            },
+            append(other) {
+                bytes.push(...other.bytes);
+            },
+            get length() { return bytes.length; },
+            get bytes() { return bytes; },
+            toArrayBuffer() {
+                return new Uint8Array(bytes).buffer;
+            }
+        };
+    }
+
+    /**
+     * Turn a title or code into a lowercase identifier
+     */
+    function slugify(text) {
+        return String(text)
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'color';
+    }
+
+    /**
+     * Build unique variable names for colors ("pantone-185-c")
+     */
+    function variableNames(colors, prefix) {
+        const used = new Set();
+
+        return colors.map(color => {
+            const base = slugify(`${prefix ? prefix + '-' : ''}${color.code || color.name}`);
+            let name = base;
+            for (let n = 2; used.has(name); n++) {
+                name = `${base}-${n}`;
+            }
+            used.add(name);
+            return name;
+        });
+    }
+
+    /**
+     * Adobe Swatch Exchange (.ase)
+     * Library colors are written as Lab spot swatches, other colors as RGB process swatches
+     * @param {Array} colors - Color objects {name, hex, rgb, lab}
+     * @param {object} options - {title}
+     * @returns {ArrayBuffer} File contents
+     */
+    function toASE(colors, options = {}) {
+        const title = options.title || 'Pantone Swatches';
+        const writer = createWriter();
+
+        const writeName = (block, name) => {
+            block.uint16(name.length + 1);
+            block.utf16(name);
+            block.uint16(0);
+        };
+
+        writer.ascii('ASEF');
+        writer.uint16(1);
+        writer.uint16(0);
+        writer.uint32(colors.length + 2);
+
+        // Group start
+        const group = createWriter();
+        writeName(group, title);
+        writer.uint16(0xC001);
+        writer.uint32(group.length);
+        writer.append(group);
+
+        colors.forEach(color => {
+            const block = createWriter();
+            writeName(block, color.name);
+
+            if (color.library && color.lab) {
+                block.ascii('LAB ');
+                block.float32(color.lab.L / 100);
+                block.float32(color.lab.a);
+                block.float32(color.lab.b);
+                block.uint16(1); // spot
+            } else {
+                block.ascii('RGB ');
+                block.float32(color.rgb.r / 255);
+                block.float32(color.rgb.g / 255);
+                block.float32(color.rgb.b / 255);
+                block.uint16(2); // process
+            }
+
+            writer.uint16(0x0001);
+            writer.uint32(block.length);
+            writer.append(block);
+        });
+
+        // Group end
+        writer.uint16(0xC002);
+        writer.uint32(0);
+
+        return writer.toArrayBuffer();
+    }
+
+    /**
+     * Photoshop color swatches (.aco), version 1 followed by version 2 with names
+     * @param {Array} colors - Color objects {name, rgb}
+     * @returns {ArrayBuffer} File contents
+     */
+    function toACO(colors) {
+        const writer = createWriter();
+
+        const writeColor = (color) => {
+            writer.uint16(0); // RGB color space
+            writer.uint16(color.rgb.r * 257);
+            writer.uint16(color.rgb.g * 257);
+            writer.uint16(color.rgb.b * 257);
+            writer.uint16(0);
+        };
+
+        writer.uint16(1);
+        writer.uint16(colors.length);
+        colors.forEach(writeColor);
+
+        writer.uint16(2);
+        writer.uint16(colors.length);
+        colors.forEach(color => {
+            writeColor(color);
+            writer.uint32(color.name.length + 1);
+            writer.utf16(color.name);
+            writer.uint16(0);
+        });
+
+        return writer.toArrayBuffer();
+    }
+
+    /**
+     * GIMP palette (.gpl)
+     * @param {Array} colors - Color objects {name, rgb}
+     * @param {object} options - {title}
+     * @returns {string} File contents
+     */
+    function toGPL(colors, options = {}) {
+        const pad = (value) => String(value).padStart(3, ' ');
+        const lines = [
+            'GIMP Palette',
+            `Name: ${options.title || 'Pantone Swatches'}`,
+            'Columns: 8',
+            '#'
+        ];
+
+        colors.forEach(color => {
+            lines.push(`${pad(color.rgb.r)} ${pad(color.rgb.g)} ${pad(color.rgb.b)}\t${color.name}`);
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Make a swatch name safe for a CSS or SCSS comment
+     * Names can come from imported swatch books, and a comment terminator or a line
+     * break in one would end the comment early
+     */
+    function commentText(name) {
+        // Whole runs go, so removing one cannot join a new terminator
+        return String(name || '').replace(/\*+\/+/g, '').replace(/[\r\n\u2028\u2029]+/g, ' ');
+    }
+
+    /**
+     * CSS custom properties
+     * @param {Array} colors - Color objects {name, code, hex}
+     * @param {object} options - {prefix}
+     * @returns {string} Stylesheet
+     */
+    function toCSS(colors, options = {}) {
+        const names = variableNames(colors, options.prefix);
+        const lines = colors.map((color, i) => `    --${names[i]}: ${color.hex}; /* ${commentText(color.name)} */`);
+
+        return `:root {\n${lines.join('\n')}\n}\n`;
+    }
+
+    /**
+     * SCSS variables
+     * @param {Array} colors - Color objects {name, code, hex}
+     * @param {object} options - {prefix}
+     * @returns {string} SCSS partial
+     */
+    function toSCSS(colors, options = {}) {
+        const names = variableNames(colors, options.prefix);
+
+        return colors.map((color, i) => `$${names[i]}: ${color.hex}; // ${commentText(color.name)}`).join('\n') + '\n';
+    }
+
+    /**
+     * JSON design tokens (Design Tokens Community Group format)
+     * @param {Array} colors - Color objects {name, code, hex, lab}
+     * @param {object} options - {prefix}
+     * @returns {string} JSON document
+     */
+    function toJSONTokens(colors, options = {}) {
+        const group = slugify(options.prefix || 'pantone');
+        const names = variableNames(colors);
+        const tokens = { [group]: {} };
+
+        colors.forEach((color, i) => {
+            const extensions = {};
+            if (color.lab) extensions.lab = color.lab;
+            if (color.libraryName) extensions.library = color.libraryName;
+
+            tokens[group][names[i]] = {
+                $type: 'color',
+                $value: color.hex,
+                $description: color.name,
+                ...(Object.keys(extensions).length > 0 ? { $extensions: { 'pantone-color-picker': extensions } } : {})
+            };
+        });
+
+        return JSON.stringify(tokens, null, 2) + '\n';
+    }
+
+    /**
+     * Supported export formats
+     */
+    const FORMATS = {
+        ase: { id: 'ase', label: 'Adobe Swatch Exchange (.ase)', extension: 'ase', mimeType: 'application/octet-stream', build: toASE },
+        aco: { id: 'aco', label: 'Photoshop Swatches (.aco)', extension: 'aco', mimeType: 'application/octet-stream', build: toACO },
+        gpl: { id: 'gpl', label: 'GIMP Palette (.gpl)', extension: 'gpl', mimeType: 'text/plain', build: toGPL },
+        css: { id: 'css', label: 'CSS Custom Properties (.css)', extension: 'css', mimeType: 'text/css', build: toCSS },
+        scss: { id: 'scss', label: 'SCSS Variables (.scss)', extension: 'scss', mimeType: 'text/x-scss', build: toSCSS },
+        json: { id: 'json', label: 'JSON Design Tokens (.json)', extension: 'tokens.json', mimeType: 'application/json', build: toJSONTokens }
+    };
+
+    /**
+     * List export formats
+     * @returns {Array} Format definitions {id, label, extension}
+     */
+    function getFormats() {
+        return Object.values(FORMATS);
+    }
+
+    /**
+     * Build an export file
+     * @param {Array} colors - Color objects
+     * @param {string} formatId - Format id (ase, aco, gpl, css, scss, json)
+     * @param {object} options - {title, prefix}
+     * @returns {object} {content, fileName, mimeType}
+     */
+    function build(colors, formatId, options = {}) {
+        const format = FORMATS[formatId];
+        if (!format) {
+            throw new Error(`Unknown export format: ${formatId}`);
+        }
+        if (!colors || colors.length === 0) {
+            throw new Error('Nothing to export');
+        }
+
+        return {
+            content: format.build(colors, { prefix: 'pantone', ...options }),
+            fileName: `${slugify(options.title || 'pantone-swatches')}.${format.extension}`,
+            mimeType: format.mimeType
+        };
+    }
+
+    /**
+     * Build an export file and download it
+     * @param {Array} colors - Color objects
+     * @param {string} formatId - Format id
+     * @param {object} options - {title, prefix}
+     * @returns {string} Downloaded file name
+     */
+    function download(colors, formatId, options = {}) {
+        const file = build(colors, formatId, options);
+        return downloadFile(file.content, file.fileName, file.mimeType);
+    }
+
+    /**
+     * Download generated content as a file
+     * @param {string|ArrayBuffer} content - File contents
+     * @param {string} fileName - Suggested file name
+     * @param {string} mimeType - MIME type
+     * @returns {string} Downloaded file name
+     */
+    function downloadFile(content, fileName, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        return fileName;
+    }
+
+    // Public API
+    return {
+        toASE,
+        toACO,
+        toGPL,
+        toCSS,
+        toSCSS,
+        toJSONTokens,
+        getFormats,
+        build,
+        download,
+        downloadFile
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SwatchExporters;
+}
@@ -0,0 +1,382 @@
+/**
+ * Swatch Parsers Module
+ * Reads Adobe Swatch Exchange (.ase) and Adobe Color Book (.acb) files
+ * into the same {metadata, colors} shape as the library JSON files
+ */
+
+const SwatchParsers = (function(ColorAlgorithms) {
+    'use strict';
+
+    // ACB color space ids
+    const ACB_RGB = 0;
+    const ACB_CMYK = 2;
+    const ACB_LAB = 7;
+
+    // ASE block types
+    const ASE_GROUP_START = 0xC001;
+    const ASE_GROUP_END = 0xC002;
+    const ASE_COLOR = 0x0001;
+
+    const ASE_COLOR_TYPES = ['global', 'spot', 'process'];
+
+    /**
+     * Big-endian binary reader over an ArrayBuffer
+     */
+    function createReader(buffer) {
+        const view = new DataView(buffer);
+        let offset = 0;
+
+        const ensure = (bytes) => {
+            if (offset + bytes > view.byteLength) {
+                throw new Error('Unexpected end of file');
+            }
+        };
+
+        return {
+            get offset() { return offset; },
+            get remaining() { return view.byteLength - offset; },
+            skip(bytes) {
+                ensure(bytes);
+                offset += bytes;
+            },
+            uint8() {
+                ensure(1);
+                return view.getUint8(offset++);
+            },
+            uint16() {
+                ensure(2);
+                const value = view.getUint16(offset);
+                offset += 2;
+                return value;
+            },
+            uint32() {
+                ensure(4);
+                const value = view.getUint32(offset);
+                offset += 4;
+                return value;
+            },
+            float32() {
+                ensure(4);
+                const value = view.getFloat32(offset);
+                offset += 4;
+                return value;
+            },
+            ascii(length) {
+                ensure(length);
+                let text = '';
+                for (let i = 0; i < length; i++) {
+                    text += String.fromCharCode(view.getUint8(offset++));
+                }
+                return text;
+            },
+            utf16(length) {
+                ensure(length * 2);
+                let text = '';
+                for (let i = 0; i < length; i++) {
+                    text += String.fromCharCode(view.getUint16(offset));
+                    offset += 2;
+                }
+                return text.replace(/\0+$/, '');
+            }
+        };
+    }
+
+    /**
+     * Strip Adobe localization keys ("$$$/colorbook/Title=PANTONE+ Solid Coated")
+     */
+    function cleanAcbString(text) {
+        const localized = text.match(/^\$\$\$\/[^=]*=(.*)$/s);
+        return (localized ? localized[1] : text)
+            .replace(/\^R/g, '®')
+            .replace(/\^C/g, '©');
+    }
+
+    /**
+     * Parse an Adobe Color Book (.acb) file
+     * @param {ArrayBuffer} buffer - File contents
+     * @returns {object} {title, prefix, suffix, description, entries}
+     */
+    function parseACB(buffer) {
+        const reader = createReader(buffer);
+
+        if (reader.ascii(4) !== '8BCB') {
+            throw new Error('Not an Adobe Color Book file');
+        }
+
+        const version = reader.uint16();
+        if (version !== 1) {
+            throw new Error(`Unsupported ACB version: ${version}`);
+        }
+
+        reader.uint16(); // book id
+
+        const readString = () => cleanAcbString(reader.utf16(reader.uint32()));
+
+        const title = readString();
+        const prefix = readString();
+        const suffix = readString();
+        const description = readString();
+
+        const count = reader.uint16();
+        reader.uint16(); // page size
+        reader.uint16(); // page selector offset
+        const colorSpace = reader.uint16();
+
+        const componentCount = { [ACB_RGB]: 3, [ACB_CMYK]: 4, [ACB_LAB]: 3 }[colorSpace];
+        if (!componentCount) {
+            throw new Error(`Unsupported ACB color space: ${colorSpace}`);
+        }
+
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            const name = readString().trim();
+            reader.ascii(6); // catalog code
+            const bytes = [];
+            for (let j = 0; j < componentCount; j++) {
+                bytes.push(reader.uint8());
+            }
+
+            // Books pad pages with unnamed placeholder records
+            if (!name) continue;
+
+            let model, values;
+            if (colorSpace === ACB_RGB) {
+                model = 'RGB';
+                values = bytes.map(value => value / 255);
+            } else if (colorSpace === ACB_CMYK) {
+                model = 'CMYK';
+                values = bytes.map(value => (255 - value) / 255);
+            } else {
+                model = 'LAB';
+                values = [bytes[0] / 255, bytes[1] - 128, bytes[2] - 128];
+            }
+
+            entries.push({
+                name: `${prefix}${name}${suffix}`.trim(),
+                model,
+                values,
+                type: 'spot'
+            });
+        }
+
+        return { title, prefix, suffix, description, entries };
+    }
+
+    /**
+     * Parse an Adobe Swatch Exchange (.ase) file
+     * @param {ArrayBuffer} buffer - File contents
+     * @returns {object} {title, entries}
+     */
+    function parseASE(buffer) {
+        const reader = createReader(buffer);
+
+        if (reader.ascii(4) !== 'ASEF') {
+            throw new Error('Not an Adobe Swatch Exchange file');
+        }
+
+        reader.uint16(); // major version
+        reader.uint16(); // minor version
+        const blockCount = reader.uint32();
+
+        const entries = [];
+        const groups = [];
+
+        for (let i = 0; i < blockCount && reader.remaining > 0; i++) {
+            const type = reader.uint16();
+            const length = reader.uint32();
+            const blockEnd = reader.offset + length;
+
+            if (type === ASE_GROUP_START) {
+                groups.push(reader.utf16(reader.uint16()));
+            } else if (type === ASE_GROUP_END) {
+                groups.pop();
+            } else if (type === ASE_COLOR) {
+                const name = reader.utf16(reader.uint16()).trim();
+                const model = reader.ascii(4).trim().toUpperCase();
+                const componentCount = { CMYK: 4, RGB: 3, LAB: 3, GRAY: 1 }[model];
+
+                if (componentCount) {
+                    const values = [];
+                    for (let j = 0; j < componentCount; j++) {
+                        values.push(reader.float32());
+                    }
+                    const colorType = reader.uint16();
+
+                    entries.push({
+                        name,
+                        model,
+                        values,
+                        type: ASE_COLOR_TYPES[colorType] || 'process',
+                        group: groups[groups.length - 1] || null
+                    });
+                }
+            }
+
+            // Always resync on the declared block length
+            reader.skip(blockEnd - reader.offset);
+        }
+
+        const title = entries.length > 0 && entries[0].group ? entries[0].group : '';
+
+        return { title, entries };
+    }
+
+    /**
+     * Convert a parsed swatch entry to rgb, hex and lab
+     * @param {object} entry - {model, values} from parseASE/parseACB
+     * @returns {object} {rgb, hex, lab}
+     */
+    function convertEntry(entry) {
+        const values = entry.values;
+        let rgb, lab;
+
+        switch (entry.model) {
+            case 'RGB':
+                rgb = {
+                    r: Math.round(values[0] * 255),
+                    g: Math.round(values[1] * 255),
+                    b: Math.round(values[2] * 255)
+                };
+                lab = ColorAlgorithms.rgbToLab(rgb.r, rgb.g, rgb.b, 'D50');
+                break;
+            case 'LAB':
+                // Lab entries are matched on their stored values, no sRGB round trip
+                lab = { L: values[0] * 100, a: values[1], b: values[2] };
+                rgb = ColorAlgorithms.labToRgb(lab.L, lab.a, lab.b, 'D50');
+                break;
+            case 'CMYK':
+                rgb = ColorAlgorithms.cmykToRgb(values[0] * 100, values[1] * 100, values[2] * 100, values[3] * 100);
+                lab = ColorAlgorithms.rgbToLab(rgb.r, rgb.g, rgb.b, 'D50');
+                break;
+            case 'GRAY': {
+                const level = Math.round(values[0] * 255);
+                rgb = { r: level, g: level, b: level };
+                lab = ColorAlgorithms.rgbToLab(rgb.r, rgb.g, rgb.b, 'D50');
+                break;
+            }
+            default:
+                throw new Error(`Unsupported color model: ${entry.model}`);
+        }
+
+        const round = (value) => Math.round(value * 100) / 100;
+
+        return {
+            rgb,
+            hex: ColorAlgorithms.rgbToHex(rgb.r, rgb.g, rgb.b).toUpperCase(),
+            lab: { L: round(lab.L), a: round(lab.a), b: round(lab.b) }
+        };
+    }
+
+    /**
+     * Turn a color name into a code ("PANTONE 185 C" -> "185-c")
+     * @param {string} name - Color name
+     * @returns {string} Code
+     */
+    function toCode(name) {
+        return name
+            .toLowerCase()
+            .replace(/^pantone\s+/, '')
+            .replace(/[^a-z0-9=]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'color';
+    }
+
+    /**
+     * Convert parsed entries into library colors with unique codes
+     * @param {Array} entries - Parsed swatch entries
+     * @returns {Array} Colors in {name, code, rgb, hex, lab} shape
+     */
+    function toLibraryColors(entries) {
+        const usedCodes = new Set();
+
+        return entries.map(entry => {
+            const baseCode = toCode(entry.name);
+            let code = baseCode;
+            for (let n = 2; usedCodes.has(code); n++) {
+                code = `${baseCode}-${n}`;
+            }
+            usedCodes.add(code);
+
+            return {
+                name: entry.name,
+                code,
+                ...convertEntry(entry)
+            };
+        });
+    }
+
+    /**
+     * Detect the format of a swatch file
+     * @param {ArrayBuffer} buffer - File contents
+     * @returns {string} 'ase', 'acb' or null
+     */
+    function detectFormat(buffer) {
+        if (buffer.byteLength < 4) return null;
+
+        const signature = createReader(buffer).ascii(4);
+        if (signature === 'ASEF') return 'ase';
+        if (signature === '8BCB') return 'acb';
+        return null;
+    }
+
+    /**
+     * Parse a swatch book into library data
+     * @param {ArrayBuffer} buffer - File contents
+     * @param {string} fileName - Original file name (used as fallback title)
+     * @returns {object} {metadata, colors, stats} like the library JSON files
+     */
+    function parse(buffer, fileName = '') {
+        const format = detectFormat(buffer);
+        if (!format) {
+            throw new Error('Unrecognized swatch file (expected .ase or .acb)');
+        }
+
+        const book = format === 'ase' ? parseASE(buffer) : parseACB(buffer);
+        const colors = toLibraryColors(book.entries);
+
+        if (colors.length === 0) {
+            throw new Error('No colors found in swatch file');
+        }
+
+        const baseName = fileName.replace(/\.[^.]+$/, '');
+        const title = book.title || baseName || 'Imported swatches';
+        const models = [...new Set(book.entries.map(entry => entry.model))];
+
+        return {
+            metadata: {
+                title,
+                description: book.description || `Imported from ${fileName || format.toUpperCase()}`,
+                prefix: book.prefix ? book.prefix.trim() : undefined,
+                suffix: book.suffix ? book.suffix.trim() : undefined,
+                colorModel: models.join('/'),
+                illuminant: 'D50',
+                observer: '2',
+                totalColors: colors.length,
+                source: fileName,
+                format,
+                imported: new Date().toISOString()
+            },
+            colors,
+            stats: {
+                totalColors: colors.length,
+                uniqueNames: new Set(colors.map(color => color.name)).size,
+                uniqueCodes: colors.length
+            }
+        };
+    }
+
+    // Public API
+    return {
+        parse,
+        parseASE,
+        parseACB,
+        detectFormat,
+        convertEntry,
+        toLibraryColors,
+        toCode
+    };
+})(typeof ColorAlgorithms !== 'undefined' ? ColorAlgorithms : require('./color-algorithms.js'));
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SwatchParsers;
+}
@@ -0,0 +1,77 @@
+/**
+ * Color Conversion (Node)
+ * Expresses a parsed color in each notation ColorParser reads, so the
+ * output can be fed back as input. Lab and LCh are D50, like the parser.
+ */
+
+const ColorAlgorithms = require('../js/color-algorithms.js');
+
+const NOTATIONS = ['hex', 'rgb', 'hsl', 'cmyk', 'lab', 'lch', 'oklch'];
+
+/**
+ * Round to a number of decimals
+ */
+function round(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Convert a parsed color to every notation
+ * @param {object} color - Result of ColorParser.parse {input, format, hex, rgb, lab, white}
+ * @returns {object} {input, hex, rgb, hsl, cmyk, lab, lch, oklch, gamut} where
+ *                   rgb, hsl and cmyk are clipped to sRGB when gamut.srgb is false
+ */
+function convertColor(color) {
+    const { r, g, b } = color.rgb;
+    const lab = ColorAlgorithms.adaptLab(color.lab, color.white, 'D50');
+    const lch = ColorAlgorithms.labToLch(lab);
+
+    const xyz = ColorAlgorithms.adaptXyz(
+        ColorAlgorithms.labToXyz(color.lab.L, color.lab.a, color.lab.b, color.white),
+        color.white,
+        'D65'
+    );
+    const oklch = ColorAlgorithms.labToLch(ColorAlgorithms.xyzToOklab(xyz.x, xyz.y, xyz.z));
+    const hsl = ColorAlgorithms.rgbToHsl(r, g, b);
+
+    return {
+        input: color.input,
+        hex: color.hex,
+        rgb: { r, g, b },
+        hsl: { h: Math.round(hsl.h), s: Math.round(hsl.s), l: Math.round(hsl.l) },
+        cmyk: ColorAlgorithms.rgbToCmyk(r, g, b),
+        lab: { L: round(lab.L, 2), a: round(lab.a, 2), b: round(lab.b, 2) },
+        lch: { L: round(lch.L, 2), C: round(lch.C, 2), h: round(lch.h, 1) },
+        oklch: { L: round(oklch.L, 4), C: round(oklch.C, 4), h: round(oklch.h, 1) },
+        gamut: ColorAlgorithms.checkGamut(color.lab, color.white)
+    };
+}
+
+/**
+ * Format one notation of a converted color as color text
+ * @param {object} converted - Result of convertColor
+ * @param {string} notation - One of NOTATIONS
+ * @returns {string} e.g. "rgb(255 87 51)" or "lab(54.3 75.8 61.2)"
+ */
+function formatNotation(converted, notation) {
+    const { rgb, hsl, cmyk, lab, lch, oklch } = converted;
+
+    switch (notation) {
+        case 'hex': return converted.hex;
+        case 'rgb': return `rgb(${rgb.r} ${rgb.g} ${rgb.b})`;
+        case 'hsl': return `hsl(${hsl.h} ${hsl.s}% ${hsl.l}%)`;
+        case 'cmyk': return `cmyk(${cmyk.c}% ${cmyk.m}% ${cmyk.y}% ${cmyk.k}%)`;
+        case 'lab': return `lab(${lab.L} ${lab.a} ${lab.b})`;
+        case 'lch': return `lch(${lch.L} ${lch.C} ${lch.h})`;
+        case 'oklch': return `oklch(${oklch.L} ${oklch.C} ${oklch.h})`;
+        default:
+            throw new Error(`Unknown notation "${notation}" (use ${NOTATIONS.join(', ')})`);
+    }
+}
+
+module.exports = {
+    NOTATIONS,
+    convertColor,
+    formatNotation
+};
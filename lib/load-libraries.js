@@ -0,0 +1,154 @@
+/**
+ * Library Loader (Node)
+ * Reads the library manifest and data files from disk into PantoneDatabase,
+ * which loads them with fetch() in the browser. Swatch books (.ase, .acb)
+ * and library JSON files can be added by path.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PantoneDatabase = require('../js/pantone-database.js');
+const SwatchParsers = require('../js/swatch-parsers.js');
+
+const ROOT = path.join(__dirname, '..');
+const MANIFEST_FILE = path.join(ROOT, 'data', 'libraries.json');
+
+let manifest = null;
+
+/**
+ * Read a JSON file
+ */
+function readJSON(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Read the manifest and hand it to PantoneDatabase
+ * @returns {object} Manifest {defaultLibraries, libraries}
+ */
+function loadManifest() {
+    if (!manifest) {
+        manifest = readJSON(MANIFEST_FILE);
+        PantoneDatabase.useManifest(manifest);
+    }
+
+    return manifest;
+}
+
+/**
+ * Find the manifest library a name refers to
+ * Accepts the id, the name or short name (any case), or a unique part of the id
+ * ("coated" finds "solid-coated-2024" when the short name "Coated" is not exact)
+ * @param {string} name - Library reference
+ * @returns {object} Manifest entry
+ * @throws {Error} If no library or several libraries match
+ */
+function findLibrary(name) {
+    const entries = loadManifest().libraries;
+    const wanted = name.trim().toLowerCase();
+
+    const exact = entries.find(entry =>
+        entry.id === wanted ||
+        String(entry.name).toLowerCase() === wanted ||
+        String(entry.shortName).toLowerCase() === wanted
+    );
+    if (exact) return exact;
+
+    const partial = entries.filter(entry => entry.id.includes(wanted.replace(/\s+/g, '-')));
+    if (partial.length === 1) return partial[0];
+
+    const available = entries.map(entry => entry.id).join(', ');
+    throw new Error(partial.length > 1
+        ? `Library "${name}" is ambiguous: ${partial.map(entry => entry.id).join(', ')}`
+        : `Unknown library "${name}" (available: ${available})`);
+}
+
+/**
+ * Register a swatch book or library JSON file as a library
+ * @param {string} file - Path to a .ase, .acb or library .json file
+ * @returns {object} Registered entry
+ */
+function registerFile(file) {
+    const fileName = path.basename(file);
+    let data;
+
+    if (/\.json$/i.test(file)) {
+        data = readJSON(file);
+        if (!data || !Array.isArray(data.colors)) {
+            throw new Error(`${fileName} is not a library file (no colors list)`);
+        }
+    } else {
+        const buffer = fs.readFileSync(file);
+        data = SwatchParsers.parse(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength), fileName);
+    }
+
+    const title = (data.metadata && data.metadata.title) || fileName;
+
+    return PantoneDatabase.registerLibrary({
+        id: `file-${SwatchParsers.toCode(fileName)}`,
+        name: title,
+        shortName: title,
+        file
+    }, data);
+}
+
+/**
+ * Load a manifest library unless it is loaded already
+ * @param {object} entry - Manifest entry
+ */
+function ensureLoaded(entry) {
+    const loaded = PantoneDatabase.getLibraries().some(library => library.id === entry.id && library.loaded);
+    if (!loaded) {
+        PantoneDatabase.registerLibrary(entry, readJSON(path.join(ROOT, entry.file)));
+    }
+}
+
+/**
+ * Load manifest libraries by name without changing the active set
+ * Only manifest libraries are accepted, never file paths, so names can come
+ * from untrusted input (e.g., API requests)
+ * @param {Array} names - Library ids or names (defaults to the manifest defaults)
+ * @returns {Array} Library ids
+ * @throws {Error} If a name matches no library or several
+ */
+function resolveLibraries(names = []) {
+    loadManifest();
+
+    const ids = (names.length > 0 ? names : manifest.defaultLibraries).map(name => {
+        const entry = findLibrary(name);
+        ensureLoaded(entry);
+        return entry.id;
+    });
+
+    return [...new Set(ids)];
+}
+
+/**
+ * Load libraries and make them the active set
+ * @param {Array} names - Library ids, names or file paths (defaults to the manifest defaults)
+ * @returns {Promise} Resolves with the active library entries
+ */
+async function loadLibraries(names = []) {
+    loadManifest();
+
+    const ids = (names.length > 0 ? names : manifest.defaultLibraries).map(name => {
+        if (fs.existsSync(name) && fs.statSync(name).isFile()) {
+            return registerFile(name).id;
+        }
+
+        const entry = findLibrary(name);
+        ensureLoaded(entry);
+        return entry.id;
+    });
+
+    await PantoneDatabase.setActiveLibraries([...new Set(ids)]);
+    return PantoneDatabase.getActiveLibraries();
+}
+
+module.exports = {
+    loadManifest,
+    loadLibraries,
+    resolveLibraries,
+    findLibrary
+};
@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+/**
+ * Benchmark: k-d tree nearest search vs. the linear scan
+ *
+ * Usage: node scripts/benchmark-index.js [queries] [k]
+ *
+ * Loads every library in data/libraries.json, runs the same random sRGB
+ * queries through a full linear scan (map + sort, as App.findMatches did)
+ * and through PantoneDatabase.findNearest, and reports time per query and
+ * how often both return the same matches for each Delta E formula.
+ * Matches are compared by Delta E, so ties (the same LAB value in two
+ * libraries) count as agreement whatever order they come in.
+ *
+ * It then checks the libraries' declared reference white: every swatch
+ * whose hex reproduces its stored LAB has to come back first when its own
+ * hex is matched. Exits with status 1 if any formula's top k differs from
+ * the linear scan or any swatch does not find itself.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+// PantoneDatabase loads JSON with fetch(); serve the data files from disk
+// (dropping the ?v= data version)
+global.fetch = async (url) => ({
+    ok: true,
+    status: 200,
+    json: async () => JSON.parse(fs.readFileSync(path.join(ROOT, url.split('?')[0]), 'utf8'))
+});
+
+const ColorAlgorithms = require('../js/color-algorithms.js');
+const PantoneDatabase = require('../js/pantone-database.js');
+
+const QUERY_COUNT = parseInt(process.argv[2], 10) || 2000;
+const K = parseInt(process.argv[3], 10) || 10;
+
+// Largest ΔE76 from rounding LAB to integers. A swatch whose hex is further from
+// its stored LAB is gamut-clipped or mislabelled and is not checked
+const LAB_ROUNDING = Math.sqrt(3) / 2;
+
+/**
+ * Deterministic pseudo-random sRGB colors (LCG) so runs are comparable
+ */
+function randomQueries(count) {
+    let seed = 42;
+    const next = () => {
+        seed = (seed * 1664525 + 1013904223) >>> 0;
+        return seed / 4294967296;
+    };
+
+    return Array.from({ length: count }, () => ColorAlgorithms.rgbToLab(
+        Math.floor(next() * 256),
+        Math.floor(next() * 256),
+        Math.floor(next() * 256)
+    ));
+}
+
+/**
+ * The original matching: score every color, sort, slice
+ */
+function linearNearest(colors, lab, k, metric) {
+    const adapted = new Map();
+
+    return colors.map(color => {
+        if (!adapted.has(color.library)) {
+            adapted.set(color.library, ColorAlgorithms.adaptLab(lab, 'D65', PantoneDatabase.getReferenceWhite(color.library)));
+        }
+        return { ...color, deltaE: ColorAlgorithms.deltaE(adapted.get(color.library), color.lab, metric) };
+    }).sort((a, b) => a.deltaE - b.deltaE).slice(0, k);
+}
+
+/**
+ * Compare each swatch's hex with its stored LAB under the library's declared white
+ * @returns {Array} [{color, lab: hex as D65 LAB, error: ΔE76 to the stored LAB}]
+ */
+function hexErrors(id, colors) {
+    const white = PantoneDatabase.getReferenceWhite(id);
+
+    return colors.map(color => {
+        const rgb = ColorAlgorithms.hexToRgb(color.hex);
+        const lab = ColorAlgorithms.rgbToLab(rgb.r, rgb.g, rgb.b);
+        return { color, lab, error: ColorAlgorithms.deltaE76(ColorAlgorithms.adaptLab(lab, 'D65', white), color.lab) };
+    });
+}
+
+/**
+ * Match the hex of each swatch that reproduces its stored LAB, and collect the
+ * ones another swatch beats; a neighbour whose LAB differs by no more than the
+ * rounding of both values is an equally good answer
+ * @returns {object} {checked: number of swatches checked, failures: [message]}
+ */
+function selfMatch(id, errors, metric) {
+    const checked = errors.filter(entry => entry.error <= LAB_ROUNDING);
+    const failures = [];
+
+    checked.forEach(({ color, lab }) => {
+        const [best] = PantoneDatabase.findNearest(lab, { k: 1, metric: metric.id, libraries: [id] });
+        if (ColorAlgorithms.deltaE76(best.lab, color.lab) > 2 * LAB_ROUNDING) {
+            failures.push(`${color.name} (${color.hex}) matched ${best.name} (${metric.symbol} ${best.deltaE.toFixed(2)})`);
+        }
+    });
+
+    return { checked: checked.length, failures };
+}
+
+/**
+ * Time a function over all queries
+ * @returns {object} {ms per query, results}
+ */
+function time(queries, fn) {
+    const start = process.hrtime.bigint();
+    const results = queries.map(fn);
+    const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+
+    return { perQuery: elapsed / queries.length, results };
+}
+
+async function main() {
+    const entries = await PantoneDatabase.loadManifest();
+    const ids = entries.map(entry => entry.id);
+
+    let start = process.hrtime.bigint();
+    const colors = await PantoneDatabase.setActiveLibraries(ids);
+    const loadMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+    const queries = randomQueries(QUERY_COUNT);
+
+    console.log(`Libraries: ${ids.join(', ')} (${colors.length} colors, loaded and indexed in ${loadMs.toFixed(0)} ms)`);
+    console.log(`Queries: ${QUERY_COUNT} random sRGB colors, k = ${K}\n`);
+    console.log('Formula                   Linear ms/q   Index ms/q   Speedup   Same top-1   Same top-k');
+    console.log('------------------------  ------------  -----------  --------  -----------  -----------');
+
+    const mismatched = [];
+
+    ColorAlgorithms.getMetrics().forEach(metric => {
+        const linear = time(queries, lab => linearNearest(colors, lab, K, metric.id));
+        const indexed = time(queries, lab => PantoneDatabase.findNearest(lab, { k: K, metric: metric.id }));
+
+        let sameFirst = 0;
+        let sameAll = 0;
+        linear.results.forEach((expected, i) => {
+            const actual = indexed.results[i];
+            const same = (j) => actual[j] && Math.abs(actual[j].deltaE - expected[j].deltaE) < 1e-9;
+
+            if (same(0)) sameFirst++;
+            if (expected.every((match, j) => same(j))) sameAll++;
+        });
+
+        console.log([
+            metric.label.padEnd(24),
+            linear.perQuery.toFixed(3).padStart(12),
+            indexed.perQuery.toFixed(3).padStart(11),
+            `${(linear.perQuery / indexed.perQuery).toFixed(1)}×`.padStart(8),
+            `${((sameFirst / QUERY_COUNT) * 100).toFixed(1)}%`.padStart(11),
+            `${((sameAll / QUERY_COUNT) * 100).toFixed(1)}%`.padStart(11)
+        ].join('  '));
+
+        if (sameAll < QUERY_COUNT) {
+            mismatched.push(metric.label);
+        }
+    });
+
+    if (mismatched.length > 0) {
+        console.error(`\nIndex results differ from the linear scan for: ${mismatched.join(', ')}`);
+        process.exitCode = 1;
+    }
+
+    console.log('\nSelf-match: each swatch\'s own hex should find that swatch first\n');
+    console.log('Library                   Hex vs LAB (median ΔE76)  Formula                   Checked   Found first');
+    console.log('------------------------  ------------------------  ------------------------  --------  -----------');
+
+    const failures = [];
+
+    ids.forEach(id => {
+        const errors = hexErrors(id, colors.filter(color => color.library === id));
+        const sorted = errors.map(entry => entry.error).sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+
+        // A wrong illuminant moves every adapted hex away from its LAB
+        if (median > LAB_ROUNDING) {
+            failures.push(`${id}: hex and LAB disagree by ${median.toFixed(2)} ΔE76 (median) under ${JSON.stringify(PantoneDatabase.getReferenceWhite(id))}`);
+        }
+
+        ColorAlgorithms.getMetrics().forEach(metric => {
+            const result = selfMatch(id, errors, metric);
+
+            console.log([
+                id.padEnd(24),
+                median.toFixed(2).padStart(24),
+                metric.label.padEnd(24),
+                String(result.checked).padStart(8),
+                String(result.checked - result.failures.length).padStart(11)
+            ].join('  '));
+
+            result.failures.forEach(message => failures.push(`${id}, ${metric.label}: ${message}`));
+        });
+    });
+
+    if (failures.length > 0) {
+        console.error(`\nLibrary data check failed (check the library's illuminant):`);
+        failures.slice(0, 20).forEach(message => console.error(`  ${message}`));
+        if (failures.length > 20) {
+            console.error(`  … and ${failures.length - 20} more`);
+        }
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/**
+ * Build ES modules of the color modules and the picker
+ *
+ * Usage: node scripts/build-esm.js (or npm run build:esm)
+ *
+ * Writes dist/esm/, where each file in js/ is wrapped with imports of the
+ * modules it uses and exports of its own, so other projects can write
+ *
+ *   import { ColorAlgorithms, PantoneDatabase } from '.../dist/esm/index.js';
+ *   import '.../dist/esm/pantone-picker-element.js'; // defines <pantone-picker>
+ *
+ * The sources stay plain scripts for the app; the build only rewrites the
+ * CommonJS fallbacks (require, module.exports) into import/export, and
+ * inlines css/picker.css into the element so its Shadow DOM needs no
+ * stylesheet URL. index.js re-exports the modules that run outside a browser.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const OUT_DIR = path.join(ROOT, 'dist', 'esm');
+
+// name: global the file defines; imports: globals it uses; browser: needs a DOM
+const MODULES = [
+    { file: 'html-utils.js', name: 'HtmlUtils', imports: [] },
+    { file: 'color-algorithms.js', name: 'ColorAlgorithms', imports: [] },
+    { file: 'lab-index.js', name: 'LabIndex', imports: [] },
+    { file: 'color-parser.js', name: 'ColorParser', imports: ['ColorAlgorithms'] },
+    { file: 'color-query.js', name: 'ColorQuery', imports: ['ColorAlgorithms', 'ColorParser'] },
+    { file: 'pantone-database.js', name: 'PantoneDatabase', imports: ['ColorAlgorithms', 'LabIndex'] },
+    { file: 'swatch-exporters.js', name: 'SwatchExporters', imports: [] },
+    {
+        file: 'pantone-picker.js',
+        name: 'PantonePicker',
+        imports: ['HtmlUtils', 'ColorAlgorithms', 'ColorQuery', 'PantoneDatabase', 'SwatchExporters'],
+        browser: true
+    },
+    {
+        file: 'pantone-picker-element.js',
+        name: 'PantonePickerElement',
+        imports: ['PantonePicker', 'PantoneDatabase'],
+        styles: 'css/picker.css',
+        browser: true
+    }
+];
+
+const fileOf = new Map(MODULES.map(spec => [spec.name, spec.file]));
+
+/**
+ * Turn one source file into an ES module
+ */
+function buildModule(spec) {
+    const source = fs.readFileSync(path.join(ROOT, 'js', spec.file), 'utf8');
+
+    let body = source
+        // (typeof X !== 'undefined' ? X : require('./x.js')) -> the imported X
+        .replace(/typeof (\w+) !== 'undefined' \? \1 : require\('[^']+'\)/g, '$1')
+        // CommonJS export stanza
+        .replace(/\n(\/\/ .*\n)?if \(typeof module !== 'undefined' && module\.exports\) \{\n\s*module\.exports = \w+;\n\}\n/, '\n');
+
+    if (/\brequire\(|module\.exports/.test(body)) {
+        throw new Error(`js/${spec.file}: CommonJS left after conversion; update scripts/build-esm.js`);
+    }
+
+    const lines = [`// Built from js/${spec.file} by scripts/build-esm.js; edit the source instead`];
+    spec.imports.forEach(name => {
+        lines.push(`import { ${name} } from './${fileOf.get(name)}';`);
+    });
+    if (spec.styles) {
+        const css = fs.readFileSync(path.join(ROOT, spec.styles), 'utf8');
+        lines.push(`const PICKER_STYLES = ${JSON.stringify(css)};`);
+    }
+
+    // UI components assign window.X instead of declaring const X
+    if (body.includes(`window.${spec.name} = `)) {
+        body += `\nconst ${spec.name} = window.${spec.name};\n`;
+    }
+
+    return `${lines.join('\n')}\n\n${body.trimEnd()}\n\nexport { ${spec.name} };\nexport default ${spec.name};\n`;
+}
+
+/**
+ * Build dist/esm
+ */
+function build() {
+    fs.rmSync(OUT_DIR, { recursive: true, force: true });
+    fs.mkdirSync(OUT_DIR, { recursive: true });
+
+    MODULES.forEach(spec => {
+        fs.writeFileSync(path.join(OUT_DIR, spec.file), buildModule(spec));
+    });
+
+    const index = MODULES
+        .filter(spec => !spec.browser)
+        .map(spec => `export { ${spec.name} } from './${spec.file}';`);
+    fs.writeFileSync(path.join(OUT_DIR, 'index.js'), index.join('\n') + '\n');
+
+    // Lets Node load the .js files as ES modules
+    fs.writeFileSync(path.join(OUT_DIR, 'package.json'), JSON.stringify({ type: 'module' }, null, 2) + '\n');
+
+    console.log(`✓ Wrote ${MODULES.length} modules and index.js to ${path.relative(ROOT, OUT_DIR)}/`);
+}
+
+build();
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+/**
+ * Check: palette list parsing
+ *
+ * Usage: node scripts/check-palette-io.js
+ *
+ * Runs PaletteIO.parse over list lines whose labels are words made only of
+ * hex letters ("Bad", "Face", "Cafe") and checks which token is read as the
+ * color. Exits with status 1 if any line is read differently.
+ */
+
+const PaletteIO = require('../js/palette-io.js');
+
+// [line, expected label, expected hex]
+const CASES = [
+    ['Bad FF0000', 'Bad', '#FF0000'],
+    ['FF0000 Bad', 'Bad', '#FF0000'],
+    ['Face: 00ff00', 'Face', '#00FF00'],
+    ['Cafe 0000FF', 'Cafe', '#0000FF'],
+    ['Cafe au lait - C8A27C', 'Cafe au lait', '#C8A27C'],
+    ['Bad f00', 'Bad', '#FF0000'],
+    ['Deep Red: f00', 'Deep Red', '#FF0000'],
+    ['#abc Bad', 'Bad', '#AABBCC'],
+    ['Bad #123456', 'Bad', '#123456']
+];
+
+const failures = [];
+
+CASES.forEach(([line, label, hex]) => {
+    const [entry] = PaletteIO.parse(line).entries;
+
+    if (entry.label !== label || entry.hex !== hex) {
+        failures.push(`"${line}": got label "${entry.label}", hex ${entry.hex}; expected "${label}", ${hex}`);
+    }
+});
+
+console.log(`Palette lists: ${CASES.length - failures.length} of ${CASES.length} lines read as expected`);
+
+if (failures.length > 0) {
+    failures.forEach(message => console.error(`  ${message}`));
+    process.exitCode = 1;
+}
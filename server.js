@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * Local server for the matching API and the web app
+ * Runs the same handlers Vercel deploys from api/, so the API works without
+ * a Vercel account: PORT=3000 HOST=127.0.0.1 node server.js
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const { sendJSON } = require('./api/_lib/http.js');
+
+const ROOT = __dirname;
+const PORT = Number(process.env.PORT) || 3000;
+const HOST = process.env.HOST || '127.0.0.1';
+
+// Same paths as the Vercel functions; ":name" segments become query parameters
+const ROUTES = [
+    ['/api/match', require('./api/match/index.js')],
+    ['/api/match/batch', require('./api/match/batch.js')],
+    ['/api/colors/:code', require('./api/colors/[code].js')],
+    ['/api/libraries', require('./api/libraries.js')]
+];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+/**
+ * Match a path against a route pattern
+ * @returns {object|null} Route parameters, or null when the path does not match
+ */
+function matchRoute(pattern, pathname) {
+    const expected = pattern.split('/');
+    const actual = pathname.replace(/\/+$/, '').split('/');
+    if (expected.length !== actual.length) return null;
+
+    const params = {};
+    for (let i = 0; i < expected.length; i++) {
+        if (expected[i].startsWith(':')) {
+            params[expected[i].slice(1)] = decodeURIComponent(actual[i]);
+        } else if (expected[i] !== actual[i]) {
+            return null;
+        }
+    }
+    return params;
+}
+
+/**
+ * Serve a file from the project directory
+ * Dot-files (.git, .env...) and paths outside the project are not served
+ */
+function serveStatic(pathname, res) {
+    const notFound = () => {
+        res.statusCode = 404;
+        res.end('Not found\n');
+    };
+
+    let relative;
+    try {
+        relative = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).replace(/^\/+/, '');
+    } catch (error) {
+        notFound();
+        return;
+    }
+
+    const file = path.join(ROOT, relative);
+    if (!file.startsWith(ROOT + path.sep) || relative.split('/').some(segment => segment.startsWith('.'))) {
+        notFound();
+        return;
+    }
+
+    fs.readFile(file, (error, content) => {
+        if (error) {
+            notFound();
+            return;
+        }
+
+        res.setHeader('Content-Type', MIME_TYPES[path.extname(file)] || 'application/octet-stream');
+        res.end(content);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (!url.pathname.startsWith('/api/')) {
+        serveStatic(url.pathname, res);
+        return;
+    }
+
+    try {
+        for (const [pattern, handler] of ROUTES) {
+            const params = matchRoute(pattern, url.pathname);
+            if (params) {
+                req.query = { ...Object.fromEntries(url.searchParams), ...params };
+                handler(req, res);
+                return;
+            }
+        }
+    } catch (error) {
+        // Malformed %-escapes in the path
+        sendJSON(res, 400, { error: { status: 400, message: 'Malformed URL' } });
+        return;
+    }
+
+    sendJSON(res, 404, { error: { status: 404, message: `No API endpoint at ${url.pathname}` } });
+});
+
+server.listen(PORT, HOST, () => {
+    console.log(`Pantone color picker on http://${HOST}:${PORT} (API under /api)`);
+});
@@ -0,0 +1,236 @@
+/**
+ * Service Worker
+ * Precaches the app shell and the library JSON files so the app works offline.
+ * Library files are cached under their data version (see
+ * PantoneDatabase.getDataUrl); when a revalidated manifest changes a library's
+ * metadata, open pages are told that a newer library is available.
+ */
+
+importScripts('js/color-algorithms.js', 'js/lab-index.js', 'js/pantone-database.js');
+
+// Bump when the list of shell files changes; file contents are revalidated on every load
+const SHELL_VERSION = 6;
+const SHELL_CACHE = `pantone-shell-v${SHELL_VERSION}`;
+const DATA_CACHE = 'pantone-data';
+const MANIFEST_URL = 'data/libraries.json';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'css/styles.css',
+    'css/picker.css',
+    'js/html-utils.js',
+    'js/color-algorithms.js',
+    'js/color-parser.js',
+    'js/color-query.js',
+    'js/lab-index.js',
+    'js/permalink.js',
+    'js/pantone-database.js',
+    'js/match-worker.js',
+    'js/match-service.js',
+    'js/offline-support.js',
+    'js/swatch-parsers.js',
+    'js/swatch-exporters.js',
+    'js/palette-io.js',
+    'js/palette-extractor.js',
+    'js/compare-view.js',
+    'js/pantone-picker.js',
+    'js/batch-matcher.js',
+    'js/image-palette.js',
+    'js/image-sampler.js',
+    'js/project-store.js',
+    'js/project-panel.js',
+    'js/app.js'
+];
+
+/**
+ * Resolve a path against the worker scope
+ */
+function scoped(path) {
+    return new URL(path, self.registration.scope).href;
+}
+
+const SHELL_URLS = new Set(SHELL_FILES.map(scoped));
+
+/**
+ * Cache a library file under its versioned URL and drop older versions
+ * @param {Cache} cache - Data cache
+ * @param {string} url - Versioned library URL
+ * @param {Response} response - Network response
+ */
+async function putLibrary(cache, url, response) {
+    await cache.put(url, response);
+
+    const { pathname } = new URL(url);
+    const keys = await cache.keys();
+    await Promise.all(keys
+        .filter(request => {
+            const cached = new URL(request.url);
+            return cached.pathname === pathname && request.url !== url;
+        })
+        .map(request => cache.delete(request)));
+}
+
+/**
+ * Cache the manifest and the default libraries (the app adds the active ones)
+ */
+async function precacheData() {
+    const cache = await caches.open(DATA_CACHE);
+    const response = await fetch(scoped(MANIFEST_URL), { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const manifest = await response.clone().json();
+    await cache.put(scoped(MANIFEST_URL), response);
+
+    await Promise.all(manifest.libraries
+        .filter(entry => manifest.defaultLibraries.includes(entry.id))
+        .map(entry => cacheLibrary(cache, scoped(PantoneDatabase.getDataUrl(entry)))));
+}
+
+/**
+ * Fetch and cache a library file unless that version is cached already
+ */
+async function cacheLibrary(cache, url) {
+    if (await cache.match(url)) return;
+
+    const response = await fetch(url);
+    if (response.ok) {
+        await putLibrary(cache, url, response);
+    }
+}
+
+/**
+ * Tell open pages which libraries changed between two manifests
+ */
+async function notifyLibraryUpdates(previous, next) {
+    const updated = next.libraries.filter(entry => {
+        const old = previous.libraries.find(item => item.id === entry.id);
+        return old && PantoneDatabase.getDataVersion(old) !== PantoneDatabase.getDataVersion(entry);
+    });
+
+    if (updated.length === 0) return;
+
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({
+        type: 'libraries-updated',
+        libraries: updated.map(entry => ({ id: entry.id, name: entry.name }))
+    }));
+}
+
+/**
+ * Manifest: answer from the cache, then revalidate in the background
+ * The page keeps using the cached library versions until it reloads
+ */
+async function handleManifest(event) {
+    const cache = await caches.open(DATA_CACHE);
+    const key = scoped(MANIFEST_URL);
+    const cached = await cache.match(key);
+    const previous = cached ? await cached.clone().json() : null;
+
+    const revalidate = fetch(event.request, { cache: 'no-cache' }).then(async response => {
+        if (response.ok) {
+            const next = await response.clone().json();
+            await cache.put(key, response.clone());
+            if (previous) {
+                await notifyLibraryUpdates(previous, next);
+            }
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(revalidate.catch(() => {}));
+        return cached;
+    }
+    return revalidate;
+}
+
+/**
+ * Library files: versioned URLs never change, so the cache wins
+ */
+async function handleLibrary(request) {
+    const cache = await caches.open(DATA_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        await putLibrary(cache, request.url, response.clone());
+    }
+    return response;
+}
+
+/**
+ * App shell: serve the cached copy and refresh it for the next load
+ */
+async function handleShell(event) {
+    const cache = await caches.open(SHELL_CACHE);
+    const request = event.request.mode === 'navigate' ? scoped('index.html') : event.request;
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const refresh = fetch(event.request).then(async response => {
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(Array.from(SHELL_URLS));
+        await precacheData();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith('pantone-shell-') && key !== SHELL_CACHE)
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+
+    switch (message.type) {
+        case 'skip-waiting':
+            // The page accepted an app update
+            self.skipWaiting();
+            break;
+        case 'cache-libraries':
+            event.waitUntil(caches.open(DATA_CACHE).then(cache =>
+                Promise.all(message.urls.map(url => cacheLibrary(cache, scoped(url))))
+            ));
+            break;
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (url.href.split('?')[0] === scoped(MANIFEST_URL)) {
+        event.respondWith(handleManifest(event));
+    } else if (url.href.startsWith(scoped('data/')) && url.pathname.endsWith('.json')) {
+        event.respondWith(handleLibrary(request));
+    } else if (request.mode === 'navigate' || SHELL_URLS.has(url.href.split('?')[0])) {
+        event.respondWith(handleShell(event));
+    }
+});